@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ── Transports ────────────────────────────────────────────────────────────────
+// A transport is async (message) => void, where message is
+// { from, to, subject, text, html }. Pick one with MAIL_TRANSPORT.
+
+// Prints the message to stdout — the default in development
+const consoleTransport = async (message) => {
+  console.log(`✉️  Mail to ${message.to} — ${message.subject}\n${message.text}\n`);
+};
+
+// Writes each message to MAIL_DIR as JSON — handy for tests and local inboxes
+const fileTransport = async (message) => {
+  const dir = process.env.MAIL_DIR || 'tmp/mail';
+  await fs.mkdir(dir, { recursive: true });
+
+  const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+  const file   = path.join(dir, `${Date.now()}-${safeTo}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+};
+
+const transports = {
+  console: consoleTransport,
+  file:    fileTransport,
+};
+
+/**
+ * registerMailTransport — plugs in another transport (e.g. SMTP or an email
+ * API client) under a name that MAIL_TRANSPORT can select
+ * @param {string}   name
+ * @param {Function} transport - async (message) => void
+ */
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * sendMail — delivers a message through the configured transport
+ * @param {{ to, subject, text, html? }} message
+ * @throws if MAIL_TRANSPORT names a transport that was never registered
+ */
+export const sendMail = async (message) => {
+  const name      = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport '${name}'`);
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@finalproject.com',
+    ...message,
+  });
+};
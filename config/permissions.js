@@ -0,0 +1,90 @@
+/**
+ * Permissions — what a role can grant, as 'resource:action'.
+ *
+ *   platform → staff acting across the whole marketplace
+ *   store    → acting for one store (req.vendorId): the vendor, their team,
+ *              or the Admin / staff in single-store mode
+ *
+ * '*' grants everything (the built-in admin role).
+ */
+export const PERMISSIONS = {
+  // ── Platform ──
+  'orders:read':       { scope: 'platform', description: 'View any order' },
+  'orders:manage':     { scope: 'platform', description: 'Override order and sub-order status' },
+  'orders:refund':     { scope: 'platform', description: 'Issue refunds' },
+  'users:read':        { scope: 'platform', description: 'List user accounts' },
+  'users:manage':      { scope: 'platform', description: 'Activate and deactivate accounts' },
+  'vendors:review':    { scope: 'platform', description: 'Approve, reject and suspend vendors' },
+  'products:moderate': { scope: 'platform', description: 'Edit or remove any product' },
+  'categories:manage': { scope: 'platform', description: 'Edit the category tree' },
+  'coupons:platform':  { scope: 'platform', description: 'Create platform coupons and edit any coupon' },
+  'stores:manage':     { scope: 'platform', description: 'Edit any store\'s shipping rates' },
+  'reports:read':      { scope: 'platform', description: 'Platform stats and commission reports' },
+  'payouts:manage':    { scope: 'platform', description: 'Run settlements and settle payouts' },
+  'webhooks:manage':   { scope: 'platform', description: 'Inspect and replay Stripe webhooks' },
+  'roles:manage':      { scope: 'platform', description: 'Edit roles and assign staff' },
+  'audit:read':        { scope: 'platform', description: 'Read the audit log' },
+
+  // ── Store ──
+  'products:manage':   { scope: 'store', description: 'Create and edit the store\'s products' },
+  'orders:fulfil':     { scope: 'store', description: 'Update the store\'s sub-order status' },
+  'sales:read':        { scope: 'store', description: 'Store sales and dashboard' },
+  'coupons:manage':    { scope: 'store', description: 'Create and edit the store\'s coupons' },
+  'shipping:manage':   { scope: 'store', description: 'Edit the store\'s shipping rates' },
+  'payouts:read':      { scope: 'store', description: 'Store balance and payout history' },
+  'payouts:account':   { scope: 'store', description: 'Link the store\'s payout account' },
+  'team:manage':       { scope: 'store', description: 'Invite and remove team members' },
+};
+
+const STORE_PERMISSIONS = Object.keys(PERMISSIONS).filter((p) => PERMISSIONS[p].scope === 'store');
+
+/**
+ * DEFAULT_ROLES — created on startup if missing (see syncDefaultRoles).
+ * Admins can change their permissions afterwards; only 'admin' is locked.
+ *   admin        → every Admin account
+ *   vendor_owner → every approved Vendor account, for their own store
+ */
+export const DEFAULT_ROLES = [
+  {
+    name:        'admin',
+    label:       'Administrator',
+    scope:       'platform',
+    permissions: ['*'],
+  },
+  {
+    name:        'support_agent',
+    label:       'Support agent',
+    scope:       'platform',
+    permissions: ['orders:read', 'orders:manage', 'users:read', 'users:manage'],
+  },
+  {
+    name:        'finance',
+    label:       'Finance',
+    scope:       'platform',
+    permissions: ['orders:read', 'orders:refund', 'payouts:manage', 'reports:read', 'webhooks:manage'],
+  },
+  {
+    name:        'catalogue_moderator',
+    label:       'Catalogue moderator',
+    scope:       'platform',
+    permissions: ['products:moderate', 'categories:manage', 'vendors:review'],
+  },
+  {
+    name:        'vendor_owner',
+    label:       'Store owner',
+    scope:       'store',
+    permissions: STORE_PERMISSIONS,
+  },
+  {
+    name:        'store_manager',
+    label:       'Store manager',
+    scope:       'store',
+    permissions: ['products:manage', 'orders:fulfil', 'sales:read', 'coupons:manage', 'shipping:manage'],
+  },
+  {
+    name:        'catalogue_editor',
+    label:       'Catalogue editor',
+    scope:       'store',
+    permissions: ['products:manage'],
+  },
+];
@@ -0,0 +1,18 @@
+/**
+ * Store mode — set by STORE_MODE in .env
+ *   multi  → multi-vendor marketplace (default)
+ *   single → one brand: no vendor sign-ups, no commission, store owner = Admin
+ *
+ * Read at call time, not import time — dotenv is loaded after modules import.
+ */
+export const getStoreMode = () => (process.env.STORE_MODE === 'single' ? 'single' : 'multi');
+
+export const isSingleStore = () => getStoreMode() === 'single';
+
+/**
+ * storeVendorId — the vendor a catalogue/shipping change belongs to.
+ * In single-store mode everything belongs to the store owner
+ * (STORE_OWNER_ID, or the Admin making the change).
+ */
+export const storeVendorId = (user) =>
+  (isSingleStore() ? process.env.STORE_OWNER_ID || user._id : user._id);
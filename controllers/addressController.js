@@ -0,0 +1,104 @@
+import asyncHandler from 'express-async-handler';
+import User, { MAX_ADDRESSES } from '../models/User.js';
+
+const ADDRESS_FIELDS = ['label', 'fullName', 'phone', 'street', 'city', 'province', 'zip'];
+
+// Exactly one default while any address is saved
+const setDefault = (user, address) => {
+  user.addresses.forEach((a) => { a.isDefault = a._id.equals(address._id); });
+};
+
+const savedAddress = (user, res, addressId) => {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    res.status(404);
+    throw new Error('Address not found');
+  }
+  return address;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    List my saved addresses (default first)
+// @route   GET /api/auth/profile/addresses
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const getAddresses = asyncHandler(async (req, res) => {
+  const addresses = [...req.user.addresses].sort((a, b) => b.isDefault - a.isDefault);
+  res.status(200).json({ success: true, count: addresses.length, addresses });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Save a new address (the first one becomes the default)
+// @route   POST /api/auth/profile/addresses
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const addAddress = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    res.status(400);
+    throw new Error(`You can save up to ${MAX_ADDRESSES} addresses — remove one first`);
+  }
+
+  const data = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+  user.addresses.push(data);
+
+  const address = user.addresses[user.addresses.length - 1];
+  if (req.body.isDefault || user.addresses.length === 1) setDefault(user, address);
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(201).json({ success: true, address, addresses: user.addresses });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Edit a saved address
+// @route   PUT /api/auth/profile/addresses/:id
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateAddress = asyncHandler(async (req, res) => {
+  const user    = await User.findById(req.user._id);
+  const address = savedAddress(user, res, req.params.id);
+
+  ADDRESS_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) address[field] = req.body[field];
+  });
+  if (req.body.isDefault === true) setDefault(user, address);
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({ success: true, address, addresses: user.addresses });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Make a saved address the default
+// @route   PUT /api/auth/profile/addresses/:id/default
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const setDefaultAddress = asyncHandler(async (req, res) => {
+  const user    = await User.findById(req.user._id);
+  const address = savedAddress(user, res, req.params.id);
+
+  setDefault(user, address);
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({ success: true, addresses: user.addresses });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Remove a saved address (past orders keep their own copy)
+// @route   DELETE /api/auth/profile/addresses/:id
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const deleteAddress = asyncHandler(async (req, res) => {
+  const user    = await User.findById(req.user._id);
+  const address = savedAddress(user, res, req.params.id);
+
+  const wasDefault = address.isDefault;
+  address.deleteOne();
+  if (wasDefault && user.addresses.length) setDefault(user, user.addresses[0]);
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({ success: true, addresses: user.addresses });
+});
@@ -1,12 +1,32 @@
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
 import Product from '../models/Product.js';
-import Order from '../models/Order.js';
+import Order, { PAID_ORDER_STATUSES } from '../models/Order.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Payout from '../models/Payout.js';
+import Role from '../models/Role.js';
+import AuditLog from '../models/AuditLog.js';
+import LoginEvent from '../models/LoginEvent.js';
+import VendorMember from '../models/VendorMember.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { can, clearRoleCache } from '../utils/permissions.js';
+import { processStripeEvent } from '../utils/stripeEvents.js';
+import { isSingleStore } from '../config/storeMode.js';
+import { revokeAllSessions } from '../utils/sessions.js';
+import { lockedFor } from '../utils/loginSecurity.js';
+import { getVendorBalances } from '../utils/ledger.js';
+import { failPayout, payoutHoldDays, runSettlement } from '../utils/settlement.js';
+import { REVIEW_TRANSITIONS, withDocumentLinks } from '../utils/vendorApplications.js';
+import { sendVendorDecisionEmail } from '../utils/emails.js';
+import { refreshSearchIndexSoon } from '../utils/searchIndex.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+
+const REVIEW_ACTIONS = { approved: 'vendor.approve', rejected: 'vendor.reject', suspended: 'vendor.suspend' };
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Platform-wide stats overview
 // @route   GET /api/admin/stats
-// @access  Private — Admin
+// @access  Private — reports:read
 // ─────────────────────────────────────────────────────────────────────────────
 export const getPlatformStats = asyncHandler(async (_req, res) => {
   const [
@@ -20,13 +40,15 @@ export const getPlatformStats = asyncHandler(async (_req, res) => {
     User.countDocuments({ role: 'Vendor' }),
     Product.countDocuments({ isActive: true }),
     Order.countDocuments(),
-    Order.find({ status: { $in: ['Paid', 'Processing', 'Shipped', 'Delivered'] } })
-      .select('total platformFeeTotal')
+    Order.find({ status: { $in: PAID_ORDER_STATUSES } })
+      .select('total platformFeeTotal refundedTotal items.refundedFee')
       .lean(),
   ]);
 
-  const totalRevenue       = paidOrders.reduce((s, o) => s + o.total, 0);
-  const totalPlatformFees  = paidOrders.reduce((s, o) => s + (o.platformFeeTotal || 0), 0);
+  // Net of refunds — refunded sales stop counting as revenue
+  const refundedFees = (o) => o.items.reduce((s, i) => s + (i.refundedFee || 0), 0);
+  const totalRevenue       = paidOrders.reduce((s, o) => s + o.total - (o.refundedTotal || 0), 0);
+  const totalPlatformFees  = paidOrders.reduce((s, o) => s + (o.platformFeeTotal || 0) - refundedFees(o), 0);
 
   // Orders by status
   const statusAgg = await Order.aggregate([
@@ -43,33 +65,42 @@ export const getPlatformStats = asyncHandler(async (_req, res) => {
     .limit(5)
     .populate('customer', 'name email');
 
+  const stats = {
+    totalUsers,
+    totalVendors,
+    totalProducts,
+    totalOrders,
+    paidOrdersCount: paidOrders.length,
+    totalRevenue:      parseFloat(totalRevenue.toFixed(2)),
+    totalPlatformFees: parseFloat(totalPlatformFees.toFixed(2)),
+    ordersByStatus,
+  };
+
+  // Single-store mode has no vendors and no commission to report
+  if (isSingleStore()) {
+    delete stats.totalVendors;
+    delete stats.totalPlatformFees;
+  }
+
   res.status(200).json({
     success: true,
     currency: process.env.CURRENCY || 'PKR',
-    stats: {
-      totalUsers,
-      totalVendors,
-      totalProducts,
-      totalOrders,
-      paidOrdersCount: paidOrders.length,
-      totalRevenue:      parseFloat(totalRevenue.toFixed(2)),
-      totalPlatformFees: parseFloat(totalPlatformFees.toFixed(2)),
-      ordersByStatus,
-    },
+    stats,
     recentOrders,
   });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    Get all users (with optional role filter)
-// @route   GET /api/admin/users
-// @access  Private — Admin
+// @desc    Get all users (with optional role / locked filter)
+// @route   GET /api/admin/users?role=&isActive=&locked=true
+// @access  Private — users:read
 // ─────────────────────────────────────────────────────────────────────────────
 export const getAllUsers = asyncHandler(async (req, res) => {
-  const { role, isActive, page = 1, limit = 20 } = req.query;
+  const { role, isActive, locked, page = 1, limit = 20 } = req.query;
   const filter = {};
   if (role)     filter.role     = role;
   if (isActive !== undefined) filter.isActive = isActive === 'true';
+  if (locked === 'true')      filter['loginSecurity.lockedUntil'] = { $gt: new Date() };
 
   const total = await User.countDocuments(filter);
   const users = await User.find(filter)
@@ -83,7 +114,7 @@ export const getAllUsers = asyncHandler(async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Toggle user active / deactivated status
 // @route   PUT /api/admin/users/:id
-// @access  Private — Admin
+// @access  Private — users:manage
 // ─────────────────────────────────────────────────────────────────────────────
 export const toggleUserStatus = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
@@ -98,8 +129,27 @@ export const toggleUserStatus = asyncHandler(async (req, res) => {
     throw new Error('Cannot deactivate an Admin account');
   }
 
+  // Staff accounts are managed by whoever manages roles
+  if (user.role === 'Staff' && !can(req, 'roles:manage')) {
+    res.status(403);
+    throw new Error('Not authorised to deactivate staff accounts');
+  }
+
   user.isActive = !user.isActive;
   await user.save({ validateBeforeSave: false });
+  if (user.role === 'Vendor') refreshSearchIndexSoon();
+
+  // Deactivated accounts are signed out everywhere straight away
+  if (!user.isActive) await revokeAllSessions(user._id, 'account_disabled');
+
+  await recordAudit(req, {
+    action:      user.isActive ? 'user.activate' : 'user.deactivate',
+    targetType:  'User',
+    targetId:    user._id,
+    targetLabel: user.email,
+    before:      { isActive: !user.isActive },
+    after:       { isActive: user.isActive },
+  });
 
   res.status(200).json({
     success: true,
@@ -108,22 +158,153 @@ export const toggleUserStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Sign-in security for one account — lockout state and recent attempts
+// @route   GET /api/admin/users/:id/security
+// @access  Private — users:read
+// ─────────────────────────────────────────────────────────────────────────────
+export const getUserSecurity = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role isActive lastLogin loginSecurity twoFactor');
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const events = await LoginEvent.find({ user: user._id })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .lean();
+
+  res.status(200).json({
+    success:       true,
+    user,
+    lockedMinutes: lockedFor(user),
+    events,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Sign-in attempts across all accounts (newest first)
+// @route   GET /api/admin/login-events?user=&email=&success=&flagged=&reason=&from=&to=
+// @access  Private — users:read
+// ─────────────────────────────────────────────────────────────────────────────
+export const getLoginEvents = asyncHandler(async (req, res) => {
+  const { user, email, success, flagged, reason, from, to, page = 1, limit = 50 } = req.query;
+  const filter = {};
+
+  if (user)                  filter.user    = user;
+  if (email)                 filter.email   = email.toLowerCase();
+  if (success !== undefined) filter.success = success === 'true';
+  if (flagged !== undefined) filter.flagged = flagged === 'true';
+  if (reason)                filter.reason  = reason;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to)   filter.createdAt.$lte = new Date(to);
+  }
+
+  const total  = await LoginEvent.countDocuments(filter);
+  const events = await LoginEvent.find(filter)
+    .populate('user', 'name email role')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(Number(limit))
+    .lean();
+
+  res.status(200).json({ success: true, total, page: Number(page), events });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Lift a sign-in lockout (also resets the escalation)
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private — users:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const before = snapshot(user, ['loginSecurity']);
+  user.loginSecurity = { failedAttempts: 0, lockouts: 0 };
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, {
+    action:      'user.unlock',
+    targetType:  'User',
+    targetId:    user._id,
+    targetLabel: user.email,
+    before,
+    after:       snapshot(user, ['loginSecurity']),
+  });
+
+  res.status(200).json({ success: true, message: `${user.email} can sign in again` });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Reset a user's two-factor authentication (lost device and
+//          recovery codes). They sign in with their password and enrol again.
+// @route   DELETE /api/admin/users/:id/2fa
+// @access  Private — users:manage (roles:manage for staff and admins)
+// ─────────────────────────────────────────────────────────────────────────────
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (['Admin', 'Staff'].includes(user.role) && !can(req, 'roles:manage')) {
+    res.status(403);
+    throw new Error('Not authorised to reset two-factor authentication for staff accounts');
+  }
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not on for this account');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  // Whoever holds the lost device mustn't keep a session either
+  await revokeAllSessions(user._id, 'two_factor_reset');
+
+  await recordAudit(req, {
+    action:      'user.2fa_reset',
+    targetType:  'User',
+    targetId:    user._id,
+    targetLabel: user.email,
+    before:      { enabled: true },
+    after:       { enabled: false },
+    meta:        { reason: req.body?.reason },
+  });
+
+  res.status(200).json({ success: true, message: `Two-factor authentication reset for ${user.email}` });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Commission summary — per vendor breakdown
 // @route   GET /api/admin/commission
-// @access  Private — Admin
+// @access  Private — reports:read
 // ─────────────────────────────────────────────────────────────────────────────
 export const getCommissionSummary = asyncHandler(async (req, res) => {
   const result = await Order.aggregate([
-    { $match: { status: { $in: ['Paid', 'Processing', 'Shipped', 'Delivered'] } } },
+    { $match: { status: { $in: PAID_ORDER_STATUSES } } },
     { $unwind: '$items' },
     {
+      // Refunded portions are reversed out of revenue, fees and earnings
       $group: {
-        _id:          '$items.vendorId',
-        totalRevenue: { $sum: '$items.itemRevenue' },
-        totalFees:    { $sum: '$items.platformFee' },
-        netEarnings:  { $sum: '$items.vendorPayout' },
-        orderCount:   { $sum: 1 },
+        _id:           '$items.vendorId',
+        totalRevenue:  { $sum: { $subtract: ['$items.itemRevenue',  { $ifNull: ['$items.refundedAmount', 0] }] } },
+        totalFees:     { $sum: { $subtract: ['$items.platformFee',  { $ifNull: ['$items.refundedFee', 0] }] } },
+        netEarnings:   { $sum: { $subtract: ['$items.vendorPayout', { $ifNull: ['$items.refundedPayout', 0] }] } },
+        totalRefunded: { $sum: { $ifNull: ['$items.refundedAmount', 0] } },
+        orderCount:    { $sum: 1 },
       },
     },
     {
@@ -141,23 +322,34 @@ export const getCommissionSummary = asyncHandler(async (req, res) => {
         vendorName:   '$vendor.name',
         vendorEmail:  '$vendor.email',
         storeName:    '$vendor.storeInfo.name',
-        totalRevenue: 1,
-        totalFees:    1,
-        netEarnings:  1,
-        orderCount:   1,
+        totalRevenue:  1,
+        totalFees:     1,
+        netEarnings:   1,
+        totalRefunded: 1,
+        orderCount:    1,
       },
     },
     { $sort: { totalRevenue: -1 } },
   ]);
 
+  // Ledger view: what is still owed to each vendor vs. already paid out
+  const balances = await getVendorBalances();
+  result.forEach((v) => {
+    v.balance = balances[v.vendorId.toString()]?.balance ?? 0;
+    v.paidOut = balances[v.vendorId.toString()]?.paidOut ?? 0;
+  });
+
   const grandTotal = result.reduce(
     (acc, v) => {
       acc.revenue  += v.totalRevenue;
       acc.fees     += v.totalFees;
       acc.earnings += v.netEarnings;
+      acc.refunded += v.totalRefunded;
+      acc.owed     += v.balance;
+      acc.paidOut  += v.paidOut;
       return acc;
     },
-    { revenue: 0, fees: 0, earnings: 0 }
+    { revenue: 0, fees: 0, earnings: 0, refunded: 0, owed: 0, paidOut: 0 }
   );
 
   res.status(200).json({
@@ -167,3 +359,481 @@ export const getCommissionSummary = asyncHandler(async (req, res) => {
     vendors: result,
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    List received Stripe webhook events (payload omitted)
+// @route   GET /api/admin/webhooks?status=failed&type=charge.refunded
+// @access  Private — webhooks:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { status, type, page = 1, limit = 20 } = req.query;
+  const filter = {};
+  if (status) filter.status = status;
+  if (type)   filter.type   = type;
+
+  const total  = await WebhookEvent.countDocuments(filter);
+  const events = await WebhookEvent.find(filter)
+    .select('-payload')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(Number(limit));
+
+  res.status(200).json({ success: true, total, page: Number(page), events });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Get one webhook event including its stored payload
+// @route   GET /api/admin/webhooks/:id
+// @access  Private — webhooks:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const getWebhookEventById = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
+
+  if (!event) {
+    res.status(404);
+    throw new Error('Webhook event not found');
+  }
+
+  res.status(200).json({ success: true, event });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Replay a failed webhook event from its stored payload
+// @route   POST /api/admin/webhooks/:id/replay
+// @access  Private — webhooks:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const replayWebhookEvent = asyncHandler(async (req, res) => {
+  // Claim atomically so a replay can't race a Stripe retry of the same event
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: req.params.id, status: 'failed' },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    const exists = await WebhookEvent.exists({ _id: req.params.id });
+    res.status(exists ? 400 : 404);
+    throw new Error(exists ? 'Only failed events can be replayed' : 'Webhook event not found');
+  }
+
+  await processStripeEvent(event);
+
+  await recordAudit(req, {
+    action:      'webhook.replay',
+    targetType:  'WebhookEvent',
+    targetId:    event._id,
+    targetLabel: `${event.type} ${event.eventId}`,
+    meta:        { status: event.status, error: event.error },
+  });
+
+  res.status(200).json({
+    success: event.status !== 'failed',
+    event:   { ...event.toObject(), payload: undefined },
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Run a settlement — pay vendors for delivered items past the hold
+//          period. Body: { holdDays?, vendorId? }
+// @route   POST /api/admin/payouts/run
+// @access  Private — payouts:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const runPayoutSettlement = asyncHandler(async (req, res) => {
+  const { holdDays = payoutHoldDays(), vendorId } = req.body;
+
+  const { runId, cutoff, payouts, skipped } = await runSettlement({
+    holdDays,
+    vendorId,
+    triggeredBy: req.user._id,
+  });
+
+  const totalPaid = parseFloat(payouts.reduce((s, p) => s + p.amount, 0).toFixed(2));
+  await recordAudit(req, {
+    action:      'payout.settlement_run',
+    targetType:  'SettlementRun',
+    targetLabel: runId,
+    meta:        { holdDays, vendorId, cutoff, payouts: payouts.length, totalPaid },
+  });
+
+  res.status(201).json({
+    success:  true,
+    currency: process.env.CURRENCY || 'PKR',
+    runId,
+    cutoff,
+    totalPaid,
+    payouts,
+    skipped,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    List payouts (filter by status / vendor / settlement run)
+// @route   GET /api/admin/payouts
+// @access  Private — payouts:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const getPayouts = asyncHandler(async (req, res) => {
+  const { status, vendorId, runId, page = 1, limit = 20 } = req.query;
+  const filter = {};
+  if (status)   filter.status        = status;
+  if (vendorId) filter.vendorId      = vendorId;
+  if (runId)    filter.settlementRun = runId;
+
+  const total   = await Payout.countDocuments(filter);
+  const payouts = await Payout.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(Number(limit))
+    .populate('vendorId', 'name email storeInfo.name');
+
+  res.status(200).json({ success: true, total, page: Number(page), payouts });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Settle a manual payout — mark it paid (with bank reference) or failed
+// @route   PUT /api/admin/payouts/:id
+// @access  Private — payouts:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const updatePayoutStatus = asyncHandler(async (req, res) => {
+  const { status, reference, failureReason } = req.body;
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    res.status(404);
+    throw new Error('Payout not found');
+  }
+
+  if (payout.status !== 'pending') {
+    res.status(400);
+    throw new Error(`Only pending payouts can be updated — this one is ${payout.status}`);
+  }
+
+  const before = snapshot(payout, ['status', 'reference', 'failureReason']);
+
+  if (status === 'paid') {
+    payout.status    = 'paid';
+    payout.reference = reference;
+    payout.paidAt    = new Date();
+    await payout.save();
+  } else {
+    await failPayout(payout, failureReason || 'Marked failed by admin');
+  }
+
+  await recordAudit(req, {
+    action:     `payout.${status}`,
+    targetType: 'Payout',
+    targetId:   payout._id,
+    before,
+    after:      snapshot(payout, ['status', 'reference', 'failureReason']),
+    meta:       { vendorId: payout.vendorId, amount: payout.amount },
+  });
+
+  res.status(200).json({ success: true, payout });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    List vendor applications (default: submitted and awaiting review)
+// @route   GET /api/admin/vendor-applications?status=pending
+// @access  Private — vendors:review
+// ─────────────────────────────────────────────────────────────────────────────
+export const getVendorApplications = asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+  const filter = { role: 'Vendor', 'vendorApplication.status': status };
+
+  // Pending vendors who haven't sent their details yet aren't ready to review
+  if (status === 'pending') filter['vendorApplication.submittedAt'] = { $exists: true };
+
+  const total   = await User.countDocuments(filter);
+  const vendors = await User.find(filter)
+    .select('name email emailVerified storeInfo vendorApplication createdAt')
+    .sort({ 'vendorApplication.submittedAt': 1 })   // oldest first — FIFO queue
+    .skip((page - 1) * limit)
+    .limit(Number(limit));
+
+  res.status(200).json({
+    success: true,
+    total,
+    page:    Number(page),
+    vendors: vendors.map((v) => ({ ...v.toJSON(), vendorApplication: withDocumentLinks(v.vendorApplication) })),
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Get one vendor's application, documents and review history
+// @route   GET /api/admin/vendor-applications/:id
+// @access  Private — vendors:review
+// ─────────────────────────────────────────────────────────────────────────────
+export const getVendorApplicationById = asyncHandler(async (req, res) => {
+  const vendor = await User.findOne({ _id: req.params.id, role: 'Vendor' })
+    .populate('vendorApplication.history.by', 'name email');
+
+  if (!vendor) {
+    res.status(404);
+    throw new Error('Vendor not found');
+  }
+
+  const productCount = await Product.countDocuments({ vendorId: vendor._id, isActive: true });
+
+  // Documents are private — reviewers get links that expire
+  res.status(200).json({
+    success: true,
+    status:  vendor.vendorStatus(),
+    vendor:  { ...vendor.toJSON(), vendorApplication: withDocumentLinks(vendor.vendorApplication) },
+    productCount,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Approve, reject or suspend a vendor (reason required to reject/suspend)
+// @route   PUT /api/admin/vendor-applications/:id
+// @access  Private — vendors:review
+// ─────────────────────────────────────────────────────────────────────────────
+export const reviewVendorApplication = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+  const vendor = await User.findOne({ _id: req.params.id, role: 'Vendor' });
+
+  if (!vendor) {
+    res.status(404);
+    throw new Error('Vendor not found');
+  }
+
+  const current = vendor.vendorStatus();
+  if (!REVIEW_TRANSITIONS[current].includes(status)) {
+    res.status(400);
+    throw new Error(`Cannot move a ${current} vendor to ${status}`);
+  }
+
+  if (current === 'pending' && !vendor.vendorApplication.submittedAt) {
+    res.status(400);
+    throw new Error('This vendor has not submitted their application yet');
+  }
+
+  if (status !== 'approved' && !reason) {
+    res.status(400);
+    throw new Error(`A reason is required to mark a vendor ${status}`);
+  }
+
+  vendor.setVendorStatus(status, { by: req.user._id, reason: status === 'approved' ? undefined : reason });
+  await vendor.save({ validateBeforeSave: false });
+  refreshSearchIndexSoon();   // the store's products leave or rejoin suggestions
+
+  await recordAudit(req, {
+    action:      REVIEW_ACTIONS[status],
+    targetType:  'User',
+    targetId:    vendor._id,
+    targetLabel: vendor.email,
+    before:      { vendorStatus: current },
+    after:       { vendorStatus: status },
+    meta:        reason ? { reason } : undefined,
+  });
+
+  try {
+    await sendVendorDecisionEmail(vendor);
+  } catch (error) {
+    console.error(`Vendor decision email to ${vendor.email} failed: ${error.message}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Vendor ${status}`,
+    status:  vendor.vendorStatus(),
+    application: vendor.vendorApplication,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    List roles and the permissions they can grant
+// @route   GET /api/admin/roles
+// @access  Private — roles:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const getRoles = asyncHandler(async (_req, res) => {
+  const roles = await Role.find().sort({ scope: 1, name: 1 });
+  res.status(200).json({ success: true, permissions: PERMISSIONS, roles });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Create a custom role
+// @route   POST /api/admin/roles
+// @access  Private — roles:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, label, scope, permissions, requireTwoFactor } = req.body;
+
+  if (await Role.exists({ name })) {
+    res.status(400);
+    throw new Error(`Role '${name}' already exists`);
+  }
+
+  const role = await Role.create({ name, label, scope, permissions, requireTwoFactor });
+
+  await recordAudit(req, {
+    action:      'role.create',
+    targetType:  'Role',
+    targetId:    role._id,
+    targetLabel: role.name,
+    after:       snapshot(role, ['label', 'scope', 'permissions', 'requireTwoFactor']),
+  });
+
+  res.status(201).json({ success: true, role });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Change a role's label, permissions or 2FA requirement
+//          (takes effect within a minute)
+// @route   PUT /api/admin/roles/:id
+// @access  Private — roles:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  // Only its 2FA requirement — admin permissions are fixed
+  if (role.name === 'admin' && (req.body.label !== undefined || req.body.permissions !== undefined)) {
+    res.status(400);
+    throw new Error('The admin role cannot be changed apart from requireTwoFactor');
+  }
+
+  const before = snapshot(role, ['label', 'permissions', 'requireTwoFactor']);
+  if (req.body.label !== undefined)            role.label            = req.body.label;
+  if (req.body.permissions !== undefined)      role.permissions      = req.body.permissions;
+  if (req.body.requireTwoFactor !== undefined) role.requireTwoFactor = req.body.requireTwoFactor;
+  await role.save();
+  clearRoleCache();
+
+  await recordAudit(req, {
+    action:      'role.update',
+    targetType:  'Role',
+    targetId:    role._id,
+    targetLabel: role.name,
+    before,
+    after:       snapshot(role, ['label', 'permissions', 'requireTwoFactor']),
+  });
+
+  res.status(200).json({ success: true, role });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Delete a custom role that nobody holds
+// @route   DELETE /api/admin/roles/:id
+// @access  Private — roles:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  if (role.isSystem) {
+    res.status(400);
+    throw new Error('Built-in roles cannot be deleted');
+  }
+
+  const inUse = role.scope === 'platform'
+    ? await User.exists({ role: 'Staff', staffRole: role.name })
+    : await VendorMember.exists({ role: role.name });
+  if (inUse) {
+    res.status(400);
+    throw new Error(`Role '${role.name}' is still assigned — reassign those users first`);
+  }
+
+  await role.deleteOne();
+  clearRoleCache();
+
+  await recordAudit(req, {
+    action:      'role.delete',
+    targetType:  'Role',
+    targetId:    role._id,
+    targetLabel: role.name,
+    before:      snapshot(role, ['label', 'scope', 'permissions']),
+  });
+
+  res.status(200).json({ success: true, message: 'Role deleted' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Make a customer staff with a platform role, change it, or
+//          (staffRole: null) turn a staff member back into a customer
+// @route   PUT /api/admin/users/:id/staff-role
+// @access  Private — roles:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const setStaffRole = asyncHandler(async (req, res) => {
+  const { staffRole } = req.body;
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (!['Customer', 'Staff'].includes(user.role)) {
+    res.status(400);
+    throw new Error(`${user.role} accounts cannot be given a staff role`);
+  }
+
+  if (staffRole) {
+    if (!(await Role.exists({ name: staffRole, scope: 'platform' }))) {
+      res.status(400);
+      throw new Error(`Unknown platform role '${staffRole}'`);
+    }
+    if (staffRole === 'admin') {
+      res.status(400);
+      throw new Error('Full admin access is only for Admin accounts');
+    }
+    // Staff don't double as store team members
+    await VendorMember.deleteMany({ user: user._id });
+  }
+
+  const before = snapshot(user, ['role', 'staffRole']);
+  user.role      = staffRole ? 'Staff' : 'Customer';
+  user.staffRole = staffRole || undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, {
+    action:      'user.staff_role',
+    targetType:  'User',
+    targetId:    user._id,
+    targetLabel: user.email,
+    before,
+    after:       snapshot(user, ['role', 'staffRole']),
+  });
+
+  res.status(200).json({ success: true, user });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Search the audit log (newest first)
+// @route   GET /api/admin/audit?actor=&action=&targetType=&targetId=&from=&to=
+// @access  Private — audit:read
+// actor is a user ID or the email the actor had at the time
+// ─────────────────────────────────────────────────────────────────────────────
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const { actor, action, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+  const filter = {};
+
+  if (actor) {
+    if (/^[a-f\d]{24}$/i.test(actor)) filter['actor.user'] = actor;
+    else                               filter['actor.email'] = actor.toLowerCase();
+  }
+  if (action)     filter.action     = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId)   filter.targetId   = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to)   filter.createdAt.$lte = new Date(to);
+  }
+
+  const total   = await AuditLog.countDocuments(filter);
+  const entries = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(Number(limit))
+    .lean();
+
+  res.status(200).json({ success: true, total, page: Number(page), entries });
+});
@@ -1,6 +1,85 @@
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
-import generateToken from '../utils/generateToken.js';
+import {
+  startSession,
+  rotateRefreshToken,
+  endSessionByToken,
+  revokeAllSessions,
+} from '../utils/sessions.js';
+import { mergeGuestCart } from '../utils/cart.js';
+import { createActionToken, readActionToken, isActionTokenFresh } from '../utils/actionTokens.js';
+import { checkSecondFactor } from '../utils/twoFactor.js';
+import { avatarFolder, isUploadUrl } from '../utils/uploads.js';
+import { clearLoginFailures, lockedFor, recordLoginFailure, recordLoginSuccess } from '../utils/loginSecurity.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/emails.js';
+import { isSingleStore } from '../config/storeMode.js';
+
+// 423 with the time left on an account lockout
+const refuseLocked = (res, minutes) => {
+  res.status(423);
+  throw new Error(`Too many failed sign-in attempts — account locked, try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+};
+
+// Last step of a successful sign-in (after the password, and the second
+// factor when 2FA is on)
+const completeLogin = async (user, req, res, method) => {
+  // A successful sign-in clears the lockout counters — unless parallel
+  // guesses locked the account after refuseIfLocked looked at it
+  const minutes = await clearLoginFailures(user);
+  if (minutes) refuseLocked(res, minutes);
+
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  const event = await recordLoginSuccess(user, req, method);
+
+  // Carry over anything added to the cart before signing in
+  await mergeGuestCart(user._id, req.body.guestCartId || req.get('X-Cart-Id'));
+
+  const tokens = await startSession(user, req);
+
+  res.status(200).json({
+    success: true,
+    ...tokens,
+    user: {
+      _id:       user._id,
+      name:      user.name,
+      email:     user.email,
+      role:      user.role,
+      storeInfo: user.storeInfo,
+      vendorStatus: user.vendorStatus(),
+      avatar:    user.avatar,
+      isActive:  user.isActive,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactor?.enabled || false,
+      lastLogin: user.lastLogin,
+    },
+    newSignIn: event.flagged,   // new device or network — the user has been emailed
+  });
+};
+
+// 423 while an account is locked (checked before the password, so guessing
+// during a lockout learns nothing). Uses the user as loaded; a lock set by
+// attempts running alongside is caught by recordLoginFailure and
+// clearLoginFailures.
+const refuseIfLocked = async (user, req, res) => {
+  const minutes = lockedFor(user);
+  if (!minutes) return;
+
+  await recordLoginFailure(user, req, 'locked');
+  refuseLocked(res, minutes);
+};
+
+// 401 for a wrong password / code — or 423 if this attempt triggered a lockout
+const refuseFailedAttempt = async (user, req, res, reason, message) => {
+  const minutes = await recordLoginFailure(user, req, reason);
+  if (minutes) {
+    res.status(423);
+    throw new Error(`Too many failed sign-in attempts — account locked for ${minutes} minutes`);
+  }
+  res.status(401);
+  throw new Error(message);
+};
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Register a new user
@@ -11,6 +90,12 @@ export const register = asyncHandler(async (req, res) => {
   const { name, email, password, role } = req.body;
 
   // Only allow Customer and Vendor self-registration
+  // (single-store mode has no vendors, so customers only)
+  if (role === 'Vendor' && isSingleStore()) {
+    res.status(403);
+    throw new Error('Vendor registration is not available on this store');
+  }
+
   const allowedRoles = ['Customer', 'Vendor'];
   const assignedRole = allowedRoles.includes(role) ? role : 'Customer';
 
@@ -26,27 +111,39 @@ export const register = asyncHandler(async (req, res) => {
     password,
     role: assignedRole,
     storeInfo: assignedRole === 'Vendor' ? {} : undefined,
+    // Vendors can't sell until an admin approves their application
+    vendorApplication: assignedRole === 'Vendor' ? { status: 'pending' } : undefined,
   });
 
-  const token = generateToken(user._id, user.role);
+  // A mail outage shouldn't block sign-up — the user can ask for a new link
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error(`Verification email to ${user.email} failed: ${error.message}`);
+  }
+
+  const tokens = await startSession(user, req);
 
   res.status(201).json({
     success: true,
-    token,
+    ...tokens,
     user: {
       _id:       user._id,
       name:      user.name,
       email:     user.email,
       role:      user.role,
       storeInfo: user.storeInfo,
+      vendorStatus: user.vendorStatus(),
       isActive:  user.isActive,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt,
     },
   });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    Login user
+// @desc    Login user — with 2FA on, returns a challenge token instead of a
+//          session; finish at POST /api/auth/login/2fa
 // @route   POST /api/auth/login
 // @access  Public
 // ─────────────────────────────────────────────────────────────────────────────
@@ -61,36 +158,62 @@ export const login = asyncHandler(async (req, res) => {
   // .select('+password') because password has select:false on schema
   const user = await User.findOne({ email }).select('+password');
 
-  if (!user || !(await user.matchPassword(password))) {
+  if (!user) {
+    await recordLoginFailure(null, req, 'unknown_account', email);
     res.status(401);
     throw new Error('Invalid credentials');
   }
 
+  await refuseIfLocked(user, req, res);
+
+  if (!(await user.matchPassword(password))) {
+    await refuseFailedAttempt(user, req, res, 'invalid_password', 'Invalid credentials');
+  }
+
   if (!user.isActive) {
+    await recordLoginFailure(user, req, 'inactive');
     res.status(403);
     throw new Error('Account deactivated — contact support');
   }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save({ validateBeforeSave: false });
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      success:           true,
+      twoFactorRequired: true,
+      challengeToken:    createActionToken(user, 'login_2fa'),
+    });
+  }
 
-  const token = generateToken(user._id, user.role);
+  await completeLogin(user, req, res, 'password');
+});
 
-  res.status(200).json({
-    success: true,
-    token,
-    user: {
-      _id:       user._id,
-      name:      user.name,
-      email:     user.email,
-      role:      user.role,
-      storeInfo: user.storeInfo,
-      avatar:    user.avatar,
-      isActive:  user.isActive,
-      lastLogin: user.lastLogin,
-    },
-  });
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Login step 2 — authenticator code (or a recovery code)
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from /login)
+// ─────────────────────────────────────────────────────────────────────────────
+export const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const decoded = readActionToken(challengeToken, 'login_2fa');
+  const user    = decoded.userId && await User.findById(decoded.userId)
+    .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user || !isActionTokenFresh(decoded, user, 'login_2fa') || !user.isActive) {
+    res.status(401);
+    throw new Error('Sign-in has expired — please log in again');
+  }
+
+  await refuseIfLocked(user, req, res);
+
+  const method = checkSecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    await refuseFailedAttempt(user, req, res, 'invalid_2fa',
+      recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code');
+  }
+
+  // checkSecondFactor spent the code; completeLogin saves it with lastLogin
+  await completeLogin(user, req, res, method);
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -104,7 +227,17 @@ export const getProfile = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('User not found');
   }
-  res.status(200).json({ success: true, user });
+
+  // What the UI may show: resolved by protect from role + team membership
+  res.status(200).json({
+    success: true,
+    user,
+    access: {
+      permissions: [...req.permissions],
+      vendorId:    req.vendorId,
+      teamRole:    req.teamRole,
+    },
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -120,7 +253,15 @@ export const updateProfile = asyncHandler(async (req, res) => {
   }
 
   if (req.body.name)      user.name   = req.body.name;
-  if (req.body.avatar)    user.avatar = req.body.avatar;
+
+  // Avatars come from the signed upload (POST /api/upload, purpose 'avatar')
+  if (req.body.avatar) {
+    if (!isUploadUrl(req.body.avatar, avatarFolder(user._id))) {
+      res.status(400);
+      throw new Error('Upload the avatar through /api/upload with purpose \'avatar\' first');
+    }
+    user.avatar = req.body.avatar;
+  }
 
   // Password update requires current password verification
   if (req.body.newPassword) {
@@ -143,9 +284,152 @@ export const updateProfile = asyncHandler(async (req, res) => {
 
   const updatedUser = await user.save();
 
+  // New password → every existing session is signed out; this device gets a fresh one
+  let tokens;
+  if (req.body.newPassword) {
+    updatedUser.tokenVersion = await revokeAllSessions(updatedUser._id, 'password_changed');
+    tokens = await startSession(updatedUser, req);
+  }
+
   res.status(200).json({
     success: true,
     user: updatedUser,
-    ...(req.body.newPassword && { token: generateToken(updatedUser._id, updatedUser.role) }),
+    ...tokens,
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Swap a refresh token for a new access + refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token in body)
+// ─────────────────────────────────────────────────────────────────────────────
+export const refreshSession = asyncHandler(async (req, res) => {
+  const { tokens, error } = await rotateRefreshToken(req.body.refreshToken, req);
+  if (error) {
+    res.status(401);
+    throw new Error(error);
+  }
+
+  res.status(200).json({ success: true, ...tokens });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Log out this session
+// @route   POST /api/auth/logout
+// @access  Public (refresh token in body)
+// ─────────────────────────────────────────────────────────────────────────────
+export const logout = asyncHandler(async (req, res) => {
+  await endSessionByToken(req.body.refreshToken);
+
+  // Always succeed — an unknown or expired token is already logged out
+  res.status(200).json({ success: true, message: 'Logged out' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Log out every session on every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const logoutAll = asyncHandler(async (req, res) => {
+  await revokeAllSessions(req.user._id, 'logout_all');
+
+  res.status(200).json({ success: true, message: 'Logged out of all sessions' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Confirm the account's email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public (token in body)
+// ─────────────────────────────────────────────────────────────────────────────
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const decoded = readActionToken(req.body.token, 'verify_email');
+  if (decoded.error) {
+    res.status(400);
+    throw new Error(decoded.error);
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !isActionTokenFresh(decoded, user, 'verify_email')) {
+    res.status(400);
+    throw new Error(user?.emailVerified ? 'Email is already verified' : 'This link is invalid');
+  }
+
+  user.emailVerified   = true;
+  user.emailVerifiedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, message: 'Email verified' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Send the verification email again
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    res.status(400);
+    throw new Error('Email is already verified');
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.status(200).json({ success: true, message: `Verification email sent to ${req.user.email}` });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+// ─────────────────────────────────────────────────────────────────────────────
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email, isActive: true }).select('+password');
+
+  if (user) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      console.error(`Password reset email to ${user.email} failed: ${error.message}`);
+    }
+  }
+
+  // Same answer whether or not the account exists — no email enumeration
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a reset link is on its way',
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Set a new password with the emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (token in body)
+// ─────────────────────────────────────────────────────────────────────────────
+export const resetPassword = asyncHandler(async (req, res) => {
+  const decoded = readActionToken(req.body.token, 'reset_password');
+  if (decoded.error) {
+    res.status(400);
+    throw new Error(decoded.error);
+  }
+
+  const user = await User.findById(decoded.userId).select('+password');
+  if (!user || !user.isActive || !isActionTokenFresh(decoded, user, 'reset_password')) {
+    res.status(400);
+    throw new Error('This link is invalid or has already been used');
+  }
+
+  user.password = req.body.password;
+  user.loginSecurity = { failedAttempts: 0, lockouts: 0 };   // a reset also lifts a lockout
+
+  // Opening the emailed link proves the address too
+  if (!user.emailVerified) {
+    user.emailVerified   = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Whoever knew the old password is signed out everywhere
+  await revokeAllSessions(user._id, 'password_changed');
+
+  res.status(200).json({ success: true, message: 'Password updated — please log in' });
+});
@@ -0,0 +1,136 @@
+import asyncHandler from 'express-async-handler';
+import Product from '../models/Product.js';
+import { findCart, mergeGuestCart, priceCart } from '../utils/cart.js';
+
+// Empty cart response for callers that don't have one yet
+const EMPTY_CART = { items: [], subtotal: 0, itemCount: 0, hasIssues: false };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Get cart (re-priced against current products)
+// @route   GET /api/cart
+// @access  Public — guest (X-Cart-Id header) or signed-in user
+// ─────────────────────────────────────────────────────────────────────────────
+export const getCart = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+
+  res.status(200).json({
+    success: true,
+    cart:    cart ? await priceCart(cart) : EMPTY_CART,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Add a product to the cart (creates the cart if needed)
+// @route   POST /api/cart/items
+// @access  Public — guest (X-Cart-Id header) or signed-in user
+// Body: { productId, variantId? (required for products with variants), qty? }
+// ─────────────────────────────────────────────────────────────────────────────
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { productId, variantId, qty = 1 } = req.body;
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const variant = product.getVariant(variantId);
+  if (product.variants.length > 0 && !variant) {
+    res.status(400);
+    throw new Error(variantId
+      ? 'That option is not available'
+      : `Choose ${product.options.map((o) => o.name).join(' / ')} first`);
+  }
+
+  const stock  = variant ? variant.stock : product.stock;
+  const cart   = await findCart(req, { create: true });
+  const inCart = cart.findItem(product._id, variant?._id)?.qty || 0;
+  if (inCart + qty > stock) {
+    res.status(400);
+    throw new Error(`Only ${stock} of "${product.name}" in stock`);
+  }
+
+  cart.addItem(product._id, variant?._id, qty, {
+    name:  product.name,
+    price: variant?.price ?? product.price,
+  });
+  await cart.save();
+
+  res.status(201).json({ success: true, cart: await priceCart(cart) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Change a cart line's quantity
+// @route   PUT /api/cart/items/:productId?variantId=
+// @access  Public — guest (X-Cart-Id header) or signed-in user
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+  const line = cart?.findItem(req.params.productId, req.query.variantId);
+  if (!line) {
+    res.status(404);
+    throw new Error('Item not in cart');
+  }
+
+  const product = await Product.findById(line.product).select('name stock variants');
+  const stock   = line.variantId ? product?.getVariant(line.variantId)?.stock : product?.stock;
+  if (stock !== undefined && req.body.qty > stock) {
+    res.status(400);
+    throw new Error(`Only ${stock} of "${product.name}" in stock`);
+  }
+
+  line.qty = req.body.qty;
+  await cart.save();
+
+  res.status(200).json({ success: true, cart: await priceCart(cart) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Remove a line from the cart
+// @route   DELETE /api/cart/items/:productId?variantId=
+// @access  Public — guest (X-Cart-Id header) or signed-in user
+// ─────────────────────────────────────────────────────────────────────────────
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+  if (!cart) {
+    res.status(404);
+    throw new Error('Cart not found');
+  }
+
+  const line = cart.findItem(req.params.productId, req.query.variantId);
+  cart.items = cart.items.filter((i) => i !== line);
+  await cart.save();
+
+  res.status(200).json({ success: true, cart: await priceCart(cart) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Public — guest (X-Cart-Id header) or signed-in user
+// ─────────────────────────────────────────────────────────────────────────────
+export const clearCart = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+  if (cart) {
+    cart.items = [];
+    await cart.save();
+  }
+
+  res.status(200).json({ success: true, message: 'Cart cleared' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Merge a guest cart into the signed-in user's cart
+// @route   POST /api/cart/merge
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const mergeCart = asyncHandler(async (req, res) => {
+  const guestId = req.body.guestCartId || req.get('X-Cart-Id');
+  await mergeGuestCart(req.user._id, guestId);
+
+  const cart = await findCart(req);
+  res.status(200).json({
+    success: true,
+    cart:    cart ? await priceCart(cart) : EMPTY_CART,
+  });
+});
@@ -0,0 +1,186 @@
+import asyncHandler from 'express-async-handler';
+import Category, { MAX_CATEGORY_DEPTH } from '../models/Category.js';
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import { buildCategoryTree, subtreeDepth, syncCategoryPaths } from '../utils/categories.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { refreshSearchIndexSoon } from '../utils/searchIndex.js';
+
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'icon', 'sortOrder', 'isActive'];
+const AUDITED_FIELDS  = [...EDITABLE_FIELDS, 'parent'];
+
+const findParent = async (res, parentId) => {
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    res.status(400);
+    throw new Error('Parent category not found');
+  }
+  return parent;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    The active category tree
+// @route   GET /api/categories
+// @access  Public
+// ─────────────────────────────────────────────────────────────────────────────
+export const getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ isActive: true })
+    .select('name slug description icon parent sortOrder')
+    .lean();
+
+  res.status(200).json({ success: true, categories: buildCategoryTree(categories) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    The whole tree, inactive categories included, with how many
+//          products are filed directly under each
+// @route   GET /api/admin/categories
+// @access  Private — categories:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const getAdminCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find().lean(),
+    Product.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const productCounts = new Map(counts.map((c) => [c._id?.toString(), c.count]));
+  categories.forEach((c) => { c.productCount = productCounts.get(c._id.toString()) || 0; });
+
+  res.status(200).json({
+    success:    true,
+    count:      categories.length,
+    categories: buildCategoryTree(categories),
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Create a category (top-level unless parent is given)
+// @route   POST /api/admin/categories
+// @access  Private — categories:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const createCategory = asyncHandler(async (req, res) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  if (req.body.parent) {
+    const parent = await findParent(res, req.body.parent);
+    if (parent.ancestors.length + 2 > MAX_CATEGORY_DEPTH) {
+      res.status(400);
+      throw new Error(`Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+    }
+    data.parent    = parent._id;
+    data.ancestors = parent.path;
+  }
+
+  const category = await Category.create(data);
+
+  await recordAudit(req, {
+    action:      'category.create',
+    targetType:  'Category',
+    targetId:    category._id,
+    targetLabel: category.name,
+    after:       snapshot(category, AUDITED_FIELDS),
+  });
+  refreshSearchIndexSoon();
+
+  res.status(201).json({ success: true, category });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Edit a category, or move it (and everything below it) under
+//          another parent — parent: null makes it top-level
+// @route   PUT /api/admin/categories/:id
+// @access  Private — categories:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    res.status(404);
+    throw new Error('Category not found');
+  }
+
+  const before = snapshot(category, AUDITED_FIELDS);
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) category[field] = req.body[field];
+  });
+
+  const moved = req.body.parent !== undefined &&
+    (req.body.parent?.toString() || null) !== (category.parent?.toString() || null);
+
+  if (moved) {
+    const parent = req.body.parent && await findParent(res, req.body.parent);
+
+    if (parent && (parent._id.equals(category._id) || parent.ancestors.some((id) => id.equals(category._id)))) {
+      res.status(400);
+      throw new Error('A category cannot be moved under itself or one of its subcategories');
+    }
+    const newDepth = (parent ? parent.ancestors.length + 1 : 0) + await subtreeDepth(category);
+    if (newDepth > MAX_CATEGORY_DEPTH) {
+      res.status(400);
+      throw new Error(`Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+    }
+
+    category.parent    = parent?._id || null;
+    category.ancestors = parent?.path || [];
+  }
+
+  await category.save();
+  if (moved) await syncCategoryPaths(category);
+
+  await recordAudit(req, {
+    action:      moved ? 'category.move' : 'category.update',
+    targetType:  'Category',
+    targetId:    category._id,
+    targetLabel: category.name,
+    before,
+    after:       snapshot(category, AUDITED_FIELDS),
+  });
+  refreshSearchIndexSoon();
+
+  res.status(200).json({ success: true, category });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Delete an empty category — one with subcategories, products or
+//          coupons has to be deactivated instead
+// @route   DELETE /api/admin/categories/:id
+// @access  Private — categories:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    res.status(404);
+    throw new Error('Category not found');
+  }
+
+  // Removed products still point at their category for order history
+  const [hasChildren, hasProducts, hasCoupons] = await Promise.all([
+    Category.exists({ parent: category._id }),
+    Product.exists({ category: category._id }),
+    Coupon.exists({ category: category._id }),
+  ]);
+  if (hasChildren || hasProducts || hasCoupons) {
+    res.status(400);
+    throw new Error(`"${category.name}" still has ${
+      hasChildren ? 'subcategories' : hasProducts ? 'products' : 'coupons'
+    } — move them or deactivate the category instead`);
+  }
+
+  await category.deleteOne();
+
+  await recordAudit(req, {
+    action:      'category.delete',
+    targetType:  'Category',
+    targetId:    category._id,
+    targetLabel: category.name,
+    before:      snapshot(category, AUDITED_FIELDS),
+  });
+  refreshSearchIndexSoon();
+
+  res.status(200).json({ success: true, message: 'Category deleted' });
+});
@@ -0,0 +1,206 @@
+import asyncHandler from 'express-async-handler';
+import Coupon from '../models/Coupon.js';
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import { applyCoupons } from '../utils/coupons.js';
+import { priceCart } from '../utils/cart.js';
+import { resolveCategory } from '../utils/categories.js';
+import { can } from '../utils/permissions.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+
+// Fields that can be changed after a coupon is created
+// (code, type, scope and funder are fixed — they shape past orders)
+const EDITABLE_FIELDS = [
+  'description', 'value', 'maxDiscount', 'minSpend',
+  'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'isActive',
+];
+
+const canManage = (req, coupon) =>
+  can(req, 'coupons:platform') ||
+  (coupon.fundedBy === 'vendor' && coupon.vendorId?.toString() === req.vendorId?.toString());
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private — coupons:manage (own store, vendor-funded), coupons:platform
+// ─────────────────────────────────────────────────────────────────────────────
+export const createCoupon = asyncHandler(async (req, res) => {
+  const data = { ...req.body, createdBy: req.user._id };
+
+  if (!can(req, 'coupons:platform')) {
+    // Stores discount their own items and pay for it themselves
+    if (!['vendor', 'product'].includes(data.scope)) {
+      res.status(403);
+      throw new Error('Vendors can only create store-wide or product coupons');
+    }
+    data.vendorId = req.vendorId;
+    data.fundedBy = 'vendor';
+  }
+
+  if ((data.scope === 'vendor' || data.fundedBy === 'vendor') && !data.vendorId) {
+    res.status(400);
+    throw new Error('vendorId is required for vendor coupons');
+  }
+  if (data.scope === 'category') {
+    const category = await resolveCategory(data.category, { activeOnly: false });
+    if (!category) {
+      res.status(400);
+      throw new Error(data.category ? 'Category not found' : 'category is required for category coupons');
+    }
+    data.category = category._id;
+  }
+  if (data.scope === 'product') {
+    const filter = { _id: { $in: data.products || [] } };
+    if (data.fundedBy === 'vendor') filter.vendorId = data.vendorId;
+
+    const count = await Product.countDocuments(filter);
+    if (!data.products?.length || count !== data.products.length) {
+      res.status(400);
+      throw new Error(data.fundedBy === 'vendor'
+        ? 'Product coupons can only include the store\'s own products'
+        : 'One or more products were not found');
+    }
+  }
+
+  if (await Coupon.exists({ code: data.code.toUpperCase() })) {
+    res.status(400);
+    throw new Error(`Coupon code ${data.code.toUpperCase()} is already taken`);
+  }
+
+  const coupon = await Coupon.create(data);
+
+  await recordAudit(req, {
+    action:      'coupon.create',
+    targetType:  'Coupon',
+    targetId:    coupon._id,
+    targetLabel: coupon.code,
+    after:       snapshot(coupon, ['code', 'type', 'scope', 'fundedBy', 'vendorId', ...EDITABLE_FIELDS]),
+  });
+
+  res.status(201).json({ success: true, coupon });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    List coupons (vendors see their own)
+// @route   GET /api/coupons?active=true&vendorId=
+// @access  Private — coupons:manage, coupons:platform
+// ─────────────────────────────────────────────────────────────────────────────
+export const getCoupons = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (!can(req, 'coupons:platform')) {
+    filter.vendorId = req.vendorId;
+    filter.fundedBy = 'vendor';
+  } else if (req.query.vendorId) {
+    filter.vendorId = req.query.vendorId;
+  }
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+  const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+  res.status(200).json({ success: true, count: coupons.length, coupons });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private — coupons:manage (own store), coupons:platform
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+  if (!canManage(req, coupon)) {
+    res.status(403);
+    throw new Error('Not authorised — you can only edit your own coupons');
+  }
+
+  const before = snapshot(coupon, EDITABLE_FIELDS);
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) coupon[field] = req.body[field];
+  });
+  await coupon.save();
+
+  await recordAudit(req, {
+    action:      'coupon.update',
+    targetType:  'Coupon',
+    targetId:    coupon._id,
+    targetLabel: coupon.code,
+    before,
+    after:       snapshot(coupon, EDITABLE_FIELDS),
+  });
+
+  res.status(200).json({ success: true, coupon });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Deactivate a coupon (kept for order history)
+// @route   DELETE /api/coupons/:id
+// @access  Private — coupons:manage (own store), coupons:platform
+// ─────────────────────────────────────────────────────────────────────────────
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+  if (!canManage(req, coupon)) {
+    res.status(403);
+    throw new Error('Not authorised — you can only delete your own coupons');
+  }
+
+  const before = snapshot(coupon, ['isActive']);
+  coupon.isActive = false;
+  await coupon.save();
+
+  await recordAudit(req, {
+    action:      'coupon.deactivate',
+    targetType:  'Coupon',
+    targetId:    coupon._id,
+    targetLabel: coupon.code,
+    before,
+    after:       { isActive: false },
+  });
+
+  res.status(200).json({ success: true, message: 'Coupon deactivated' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Preview coupon codes against the saved cart
+// @route   POST /api/coupons/preview
+// @access  Private — Customer
+// ─────────────────────────────────────────────────────────────────────────────
+export const previewCoupons = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne({ user: req.user._id });
+  const view = cart && await priceCart(cart);
+  const lines = view?.items.filter((line) => line.available) || [];
+  if (lines.length === 0) {
+    res.status(400);
+    throw new Error('Your cart is empty');
+  }
+
+  const products   = await Product.find({ _id: { $in: lines.map((l) => l.product) } }).select('categoryPath');
+  const categories = new Map(products.map((p) => [p._id.toString(), p.categoryPath]));
+  const items      = lines.map(({ product, vendorId, price, qty }) => ({ product, vendorId, price, qty }));
+
+  const { discounts, error } = await applyCoupons(req.body.codes, {
+    userId: req.user._id,
+    items,
+    categories,
+  });
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const itemDiscount = items.reduce(
+    (sum, item) => sum + (item.vendorDiscount || 0) + (item.platformDiscount || 0), 0);
+
+  res.status(200).json({
+    success:  true,
+    discounts,
+    subtotal: view.subtotal,
+    discount: parseFloat(itemDiscount.toFixed(2)),
+    total:    parseFloat((view.subtotal - itemDiscount).toFixed(2)),
+  });
+});
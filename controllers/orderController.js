@@ -1,18 +1,91 @@
 import asyncHandler from 'express-async-handler';
-import Order from '../models/Order.js';
-import Product from '../models/Product.js';
+import Order, { FULFILMENT_STATUSES, PAID_ORDER_STATUSES } from '../models/Order.js';
+import Product, { variantLabel } from '../models/Product.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Cart from '../models/Cart.js';
 import stripe from '../config/stripe.js';
+import { processStripeEvent } from '../utils/stripeEvents.js';
+import { priceCart } from '../utils/cart.js';
+import { applyCoupons, claimCoupons, releaseCoupons } from '../utils/coupons.js';
+import { quoteShipping } from '../utils/shipping.js';
+import { hiddenVendorIds } from '../utils/vendorApplications.js';
+import { checkOrderTransition, checkFulfilmentTransition } from '../utils/orderStateMachine.js';
+import { can } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  reserveStock,
+  releaseStock,
+  releaseReservation,
+  reservationExpiry,
+} from '../utils/stock.js';
+import {
+  buildRefundLines,
+  isFullyRefunded,
+  issueRefund,
+  remainingShipping,
+} from '../utils/refunds.js';
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 const CURRENCY      = 'pkr';
 
+// A webhook still 'processing' after this long is assumed to have crashed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Copy of a saved address in the shape orders store
+const savedShippingAddress = (user, addressId) => {
+  const address = user.findAddress(addressId);
+  if (!address) return null;
+  const { fullName, phone, street, city, province, zip } = address;
+  return { fullName, phone, street, city, province, zip, country: 'Pakistan' };
+};
+
+// Vendor's slice of an order — only their items and their own sub-order
+const toVendorView = (order, vendorId) => {
+  const vid = vendorId.toString();
+  return {
+    ...order,
+    items:    order.items.filter((item) => item.vendorId.toString() === vid),
+    subOrder: order.subOrders?.find((s) => s.vendorId.toString() === vid) || null,
+    subOrders: undefined,
+  };
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Create order + initiate Stripe Checkout session
 // @route   POST /api/orders
 // @access  Private — Customer
+// Body: items[] — or fromCart: true to check out the saved cart; couponCodes[];
+//       shippingAddress — or addressId from the address book (default if neither)
+// Shipping is always quoted server-side from each vendor's shipping profile.
 // ─────────────────────────────────────────────────────────────────────────────
 export const createOrder = asyncHandler(async (req, res) => {
-  const { items, shippingAddress, shippingCost = 0 } = req.body;
+  const { fromCart = false, couponCodes } = req.body;
+  let { items } = req.body;
+
+  // Typed in, or from the address book — addressId, else the default address
+  const shippingAddress = req.body.shippingAddress || savedShippingAddress(req.user, req.body.addressId);
+  if (!shippingAddress) {
+    res.status(400);
+    throw new Error(req.body.addressId ? 'Saved address not found' : 'Shipping address is required');
+  }
+
+  if (fromCart) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    const view = cart && await priceCart(cart);
+    if (!view?.items.length) {
+      res.status(400);
+      throw new Error('Your cart is empty');
+    }
+
+    // Nothing is charged that the customer hasn't seen — review first
+    const problem = view.items.find((line) => line.issue);
+    if (problem) {
+      res.status(409);
+      throw new Error(`Please review your cart — "${problem.name}": ${problem.issue}`);
+    }
+
+    items = view.items.map((line) => ({ productId: line.product, variantId: line.variantId, qty: line.qty }));
+  }
 
   if (!items || items.length === 0) {
     res.status(400);
@@ -21,6 +94,9 @@ export const createOrder = asyncHandler(async (req, res) => {
 
   // Validate each item against DB (ensure stock + active)
   const validatedItems = [];
+  const categories     = new Map();   // productId → categoryPath, for coupon scopes
+  const weights        = new Map();   // productId → unit weight, for shipping
+  const hiddenVendors  = new Set((await hiddenVendorIds()).map(String));   // suspended stores can't sell
   for (const item of items) {
     const product = await Product.findById(item.productId);
 
@@ -28,64 +104,184 @@ export const createOrder = asyncHandler(async (req, res) => {
       res.status(404);
       throw new Error(`Product not found: ${item.productId}`);
     }
-    if (product.stock < item.qty) {
+    if (hiddenVendors.has(product.vendorId.toString())) {
+      res.status(400);
+      throw new Error(`"${product.name}" is no longer available — its store is not selling right now`);
+    }
+
+    // Products with variants are bought as a specific combination
+    const variant = product.getVariant(item.variantId);
+    if (product.variants.length > 0 && !variant) {
+      res.status(400);
+      throw new Error(item.variantId
+        ? `That option of "${product.name}" is no longer available`
+        : `Choose ${product.options.map((o) => o.name).join(' / ')} for "${product.name}"`);
+    }
+    if (product.variants.length === 0 && item.variantId) {
       res.status(400);
-      throw new Error(`Insufficient stock for "${product.name}" — only ${product.stock} left`);
+      throw new Error(`"${product.name}" has no variants`);
+    }
+
+    const stock = variant ? variant.stock : product.stock;
+    if (stock < item.qty) {
+      res.status(400);
+      throw new Error(`Insufficient stock for "${product.name}" — only ${stock} left`);
     }
 
     validatedItems.push({
-      product:  product._id,
-      vendorId: product.vendorId,
-      name:     product.name,
-      image:    product.images[0],
-      price:    product.price,
-      qty:      item.qty,
+      product:   product._id,
+      vendorId:  product.vendorId,
+      name:      product.name,
+      image:     variant?.image || product.images[0],
+      price:     variant?.price ?? product.price,
+      qty:       item.qty,
+      variantId: variant?._id,
+      variant:   variant
+        ? { sku: variant.sku, label: variantLabel(variant), attributes: variant.attributes }
+        : undefined,
     });
+    categories.set(product._id.toString(), product.categoryPath);
+    weights.set(product._id.toString(), product.weight);
   }
 
-  // Build the order (pre-save hook calculates totals + commissions)
-  const order = new Order({
-    customer:        req.user._id,
-    items:           validatedItems,
-    shippingAddress,
-    shippingCost,
-    subtotal:        0,   // calculated in pre-save
-    total:           0,   // calculated in pre-save
+  // Shipping — one parcel per vendor, priced from their shipping profile
+  const quote = await quoteShipping(
+    validatedItems.map((item) => ({ ...item, weight: weights.get(item.product.toString()) })),
+    shippingAddress
+  );
+  if (quote.error) {
+    res.status(400);
+    throw new Error(quote.error);
+  }
+  const shipping = new Map(quote.vendors.map((v) => [v.vendorId.toString(), v.cost]));
+
+  // Coupons — writes each line's vendor/platform discount onto validatedItems
+  const {
+    coupons,
+    discounts,
+    shippingDiscount,
+    shippingDiscounts,
+    error: couponError,
+  } = await applyCoupons(couponCodes, {
+    userId: req.user._id,
+    items:  validatedItems,
+    categories,
+    shipping,
   });
-  await order.save();
+  if (couponError) {
+    res.status(400);
+    throw new Error(couponError);
+  }
 
-  // Build Stripe line items (PKR amounts must be in paisa — smallest unit)
-  const lineItems = validatedItems.map((item) => ({
-    price_data: {
-      currency:     CURRENCY,
-      product_data: { name: item.name, images: [item.image] },
-      unit_amount:  Math.round(item.price * 100),   // PKR → paisa
-    },
-    quantity: item.qty,
-  }));
+  // Hold the stock now — conditional updates, so the last unit can't be sold twice
+  const unavailable = await reserveStock(validatedItems);
+  if (unavailable) {
+    res.status(400);
+    throw new Error(`Insufficient stock for "${unavailable.name}" — it was just bought by someone else`);
+  }
+
+  // Count the redemptions now so neither a coupon's usage limit nor the
+  // customer's own limit can be overrun by concurrent checkouts
+  const unclaimed = await claimCoupons(coupons, req.user._id);
+  if (unclaimed) {
+    await releaseStock(validatedItems);
+    res.status(400);
+    throw new Error(`Coupon ${unclaimed.coupon.code} ${unclaimed.problem}`);
+  }
 
-  if (shippingCost > 0) {
-    lineItems.push({
+  const expiresAt = reservationExpiry();
+  let order;
+  let session;
+
+  try {
+    // Build the order (pre-save hook calculates totals + commissions)
+    order = new Order({
+      customer:        req.user._id,
+      items:           validatedItems,
+      shippingAddress,
+      shippingCost:    quote.total,
+      shippingDiscount,
+      discounts,
+      subtotal:        0,   // calculated in pre-save
+      total:           0,   // calculated in pre-save
+      reservation:     { status: 'held', expiresAt },
+      fromCart,
+    });
+    order.ensureSubOrders();
+    order.subOrders.forEach((sub) => {
+      const waived = shippingDiscounts.get(sub.vendorId.toString());
+      sub.shippingCost     = shipping.get(sub.vendorId.toString()) || 0;
+      sub.shippingDiscount = waived?.amount || 0;
+      sub.shippingFundedBy = waived?.fundedBy;
+    });
+    order.recordStatus({ to: 'Pending', actor: { user: req.user._id, role: 'Customer' } });
+    await order.save();
+
+    // Build Stripe line items (PKR amounts must be in paisa — smallest unit)
+    const lineItems = validatedItems.map((item) => ({
       price_data: {
         currency:     CURRENCY,
-        product_data: { name: 'Shipping' },
-        unit_amount:  Math.round(shippingCost * 100),
+        product_data: {
+          name:   item.variant ? `${item.name} (${item.variant.label})` : item.name,
+          images: [item.image],
+        },
+        unit_amount:  Math.round(item.price * 100),   // PKR → paisa
       },
-      quantity: 1,
+      quantity: item.qty,
+    }));
+
+    if (order.shippingCost > 0) {
+      lineItems.push({
+        price_data: {
+          currency:     CURRENCY,
+          product_data: { name: 'Shipping' },
+          unit_amount:  Math.round(order.shippingCost * 100),
+        },
+        quantity: 1,
+      });
+    }
+
+    // Discounts go to Stripe as a single-use coupon for this order's total discount
+    let stripeDiscounts;
+    if (order.discountTotal > 0) {
+      const stripeCoupon = await stripe.coupons.create({
+        amount_off:      Math.round(order.discountTotal * 100),   // PKR → paisa
+        currency:        CURRENCY,
+        duration:        'once',
+        max_redemptions: 1,
+        name:            discounts.map((d) => d.code).join(' + ').slice(0, 40),
+        metadata:        { orderId: order._id.toString() },
+      });
+      stripeDiscounts = [{ coupon: stripeCoupon.id }];
+    }
+
+    // Create Stripe Checkout session — expires together with the reservation
+    session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items:           lineItems,
+      discounts:            stripeDiscounts,
+      mode:                 'payment',
+      success_url:          `${FRONTEND_URL}/order-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url:           `${FRONTEND_URL}/cart`,
+      metadata:             { orderId: order._id.toString() },
+      payment_intent_data:  { metadata: { orderId: order._id.toString() } },
+      customer_email:       req.user.email,
+      expires_at:           Math.floor(expiresAt.getTime() / 1000),
     });
+  } catch (error) {
+    // Never leave stock held for a checkout that doesn't exist
+    if (order && !order.isNew) {
+      await releaseReservation(order._id, {
+        role: 'System',
+        note: 'Checkout session could not be created',
+      });
+    } else {
+      await releaseStock(validatedItems);
+      await releaseCoupons(coupons.map((c) => c._id), req.user._id);
+    }
+    throw error;
   }
 
-  // Create Stripe Checkout session
-  const session = await stripe.checkout.sessions.create({
-    payment_method_types: ['card'],
-    line_items:           lineItems,
-    mode:                 'payment',
-    success_url:          `${FRONTEND_URL}/order-success?session_id={CHECKOUT_SESSION_ID}`,
-    cancel_url:           `${FRONTEND_URL}/cart`,
-    metadata:             { orderId: order._id.toString() },
-    customer_email:       req.user.email,
-  });
-
   // Save session ID for webhook reconciliation
   order.stripeSessionId = session.id;
   await order.save({ validateBeforeSave: false });
@@ -103,56 +299,68 @@ export const createOrder = asyncHandler(async (req, res) => {
 // @access  Private — Customer
 // ─────────────────────────────────────────────────────────────────────────────
 export const getMyOrders = asyncHandler(async (req, res) => {
+  // subOrders carry the per-vendor fulfilment breakdown (status, tracking)
   const orders = await Order.find({ customer: req.user._id })
     .sort({ createdAt: -1 })
-    .populate('items.product', 'name images');
+    .populate('items.product', 'name images')
+    .populate('subOrders.vendorId', 'name storeInfo.name');
 
   res.status(200).json({ success: true, count: orders.length, orders });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    Get vendor's received orders (items where vendorId = me)
+// @desc    Get the store's received orders (items where vendorId = my store)
 // @route   GET /api/orders/vendor/sales
-// @access  Private — Vendor
+// @access  Private — sales:read, orders:fulfil
 // ─────────────────────────────────────────────────────────────────────────────
 export const getVendorSales = asyncHandler(async (req, res) => {
-  const orders = await Order.find({
-    'items.vendorId': req.user._id,
+  const filter = {
+    'items.vendorId': req.vendorId,
     status: { $ne: 'Pending' },   // only show paid+ orders to vendor
-  })
+  };
+
+  // ?status=Shipped → filter on this vendor's own sub-order status
+  if (req.query.status) {
+    filter.subOrders = { $elemMatch: { vendorId: req.vendorId, status: req.query.status } };
+  }
+
+  const orders = await Order.find(filter)
     .sort({ createdAt: -1 })
     .populate('customer', 'name email')
     .lean();
 
-  // Filter items to only this vendor's items per order
-  const vendorOrders = orders.map((order) => ({
-    ...order,
-    items: order.items.filter(
-      (item) => item.vendorId.toString() === req.user._id.toString()
-    ),
-  }));
+  // Filter items to only this vendor's items (and sub-order) per order
+  const vendorOrders = orders.map((order) => toVendorView(order, req.vendorId));
 
   // Revenue summary
   const summary = vendorOrders.reduce(
     (acc, order) => {
       order.items.forEach((item) => {
-        acc.totalRevenue  += item.itemRevenue  || 0;
-        acc.totalFees     += item.platformFee  || 0;
-        acc.netEarnings   += item.vendorPayout || 0;
+        acc.totalRevenue  += (item.itemRevenue  || 0) - (item.refundedAmount || 0);
+        acc.totalFees     += (item.platformFee  || 0) - (item.refundedFee    || 0);
+        acc.netEarnings   += (item.vendorPayout || 0) - (item.refundedPayout || 0);
+        acc.totalRefunded += item.refundedAmount || 0;
         acc.totalOrders   += 1;
       });
       return acc;
     },
-    { totalRevenue: 0, totalFees: 0, netEarnings: 0, totalOrders: 0 }
+    { totalRevenue: 0, totalFees: 0, netEarnings: 0, totalRefunded: 0, totalOrders: 0 }
   );
 
+  // Fulfilment breakdown — how many of my sub-orders sit in each status
+  summary.byStatus = vendorOrders.reduce((acc, order) => {
+    const status = order.subOrder?.status || order.items[0]?.itemStatus || 'Pending';
+    acc[status] = (acc[status] || 0) + 1;
+    return acc;
+  }, {});
+
   res.status(200).json({ success: true, summary, orders: vendorOrders });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    Get all orders (Admin)
+// @desc    Get all orders (staff)
 // @route   GET /api/orders
-// @access  Private — Admin
+// @access  Private — orders:read
 // ─────────────────────────────────────────────────────────────────────────────
 export const getAllOrders = asyncHandler(async (req, res) => {
   const { status, page = 1, limit = 20 } = req.query;
@@ -171,7 +379,7 @@ export const getAllOrders = asyncHandler(async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Get single order by ID
 // @route   GET /api/orders/:id
-// @access  Private — Owner customer or Admin
+// @access  Private — Owner customer or orders:read
 // ─────────────────────────────────────────────────────────────────────────────
 export const getOrderById = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id)
@@ -184,9 +392,9 @@ export const getOrderById = asyncHandler(async (req, res) => {
   }
 
   const isOwner = order.customer._id.toString() === req.user._id.toString();
-  const isAdmin = req.user.role === 'Admin';
+  const isStaff = can(req, 'orders:read');
 
-  if (!isOwner && !isAdmin) {
+  if (!isOwner && !isStaff) {
     res.status(403);
     throw new Error('Not authorised to view this order');
   }
@@ -196,11 +404,15 @@ export const getOrderById = asyncHandler(async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Update order status
+//          Store → moves its own sub-order (Processing / Shipped / Delivered)
+//          Staff → moves one vendor's sub-order when `vendorId` is given,
+//                  otherwise overrides the parent order status (a paid order
+//                  is cancelled / refunded through the refund endpoint)
 // @route   PUT /api/orders/:id/status
-// @access  Private — Vendor (own items), Admin
+// @access  Private — orders:fulfil (own sub-order), orders:manage
 // ─────────────────────────────────────────────────────────────────────────────
 export const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
+  const { status, trackingNumber, carrier, note } = req.body;
   const order = await Order.findById(req.params.id);
 
   if (!order) {
@@ -208,29 +420,311 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
+  // Staff act as 'Admin' on the order state machine; store teams as 'Vendor'
+  const isVendor = !can(req, 'orders:manage');
+  const vendorId = isVendor ? req.vendorId : req.body.vendorId;
+  const actor    = { user: req.user._id, role: isVendor ? 'Vendor' : 'Admin', note };
+
+  // Staff override of the parent order
+  if (!vendorId) {
+    const denied = checkOrderTransition(order.status, status, actor.role);
+    if (denied) {
+      res.status(denied.status);
+      throw new Error(denied.message);
+    }
+
+    // Calling off a paid sale moves money and stock — only the refund flow does that
+    if (order.isPaid && ['Cancelled', 'Refunded'].includes(status)) {
+      res.status(400);
+      throw new Error(`A paid order can't be set to '${status}' here — refund it through POST /api/orders/${order._id}/refund`);
+    }
+
+    const from = order.status;
+    if (status === 'Cancelled') order.cancelSubOrders(actor);
+    order.transitionTo(status, actor);
+    order.advanceSubOrders(status, actor);
+    await order.save();
+
+    await recordAudit(req, {
+      action:      'order.status',
+      targetType:  'Order',
+      targetId:    order._id,
+      before:      { status: from },
+      after:       { status: order.status },
+      meta:        note ? { note } : undefined,
+    });
+
+    return res.status(200).json({ success: true, order });
+  }
+
   // Vendors can only update orders that include their products
-  if (req.user.role === 'Vendor') {
-    const hasVendorItems = order.items.some(
-      (item) => item.vendorId.toString() === req.user._id.toString()
-    );
-    if (!hasVendorItems) {
-      res.status(403);
-      throw new Error('Not authorised — this order contains none of your products');
+  if (!order.items.some((item) => item.vendorId.toString() === vendorId.toString())) {
+    res.status(isVendor ? 403 : 404);
+    throw new Error(isVendor
+      ? 'Not authorised — this order contains none of your products'
+      : 'This order contains no items from that vendor');
+  }
+
+  if (!FULFILMENT_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Sub-order status must be one of: ${FULFILMENT_STATUSES.join(', ')}`);
+  }
+
+  // Nothing ships before the payment clears
+  if (!PAID_ORDER_STATUSES.includes(order.status)) {
+    res.status(400);
+    throw new Error(`Cannot fulfil an order with status '${order.status}'`);
+  }
+
+  order.ensureSubOrders();
+  const from   = order.getSubOrder(vendorId).status;
+  const denied = checkFulfilmentTransition(from, status, actor.role);
+  if (denied) {
+    res.status(denied.status);
+    throw new Error(denied.message);
+  }
+
+  // Cancelling one store's part refunds and restocks its lines, like
+  // cancelOrder does for the whole order — and the shipping too once no
+  // other store is left to deliver
+  let refund;
+  if (status === 'Cancelled') {
+    const requested = order.items
+      .filter((item) => item.vendorId.toString() === vendorId.toString())
+      .map((item) => ({ productId: item.product, variantId: item.variantId, qty: item.qty - (item.refundedQty || 0) }))
+      .filter((line) => line.qty > 0);
+    const lines = requested.length ? buildRefundLines(order, requested).lines : [];
+    const lastLive = order.subOrders.every((sub) =>
+      sub.status === 'Cancelled' || sub.vendorId.toString() === vendorId.toString());
+    const includeShipping = lastLive && remainingShipping(order) > 0;
+
+    if (lines.length || includeShipping) {
+      try {
+        refund = await issueRefund(order, {
+          lines,
+          includeShipping,
+          reason: note || 'Sub-order cancelled by staff',
+          source: 'admin',
+          actor,
+        });
+      } catch (error) {
+        res.status(502);
+        throw new Error(`Refund could not be issued — ${error.message}`);
+      }
+      await releaseStock(lines);
     }
   }
 
-  order.status = status;
-  if (status === 'Delivered') {
-    order.isDelivered  = true;
-    order.deliveredAt  = new Date();
+  order.setSubOrderStatus(vendorId, status, { trackingNumber, carrier }, actor);
+  await order.save();
+
+  // The last store cancelled calls off the whole sale
+  if (order.status === 'Cancelled') await releaseCoupons(order.discounts.map((d) => d.coupon), order.customer);
+
+  await recordAudit(req, {
+    action:      'order.fulfilment',
+    targetType:  'Order',
+    targetId:    order._id,
+    before:      { status: from },
+    after:       { status },
+    meta:        { vendorId, trackingNumber, carrier, note, ...(refund && { refundId: refund._id, amount: refund.amount }) },
+  });
+
+  res.status(200).json({
+    success: true,
+    order:   isVendor ? toVendorView(order.toObject(), vendorId) : order,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Status timeline (append-only history) for an order
+// @route   GET /api/orders/:id/timeline
+// @access  Private — Owner customer, involved store (own entries), orders:read
+// ─────────────────────────────────────────────────────────────────────────────
+export const getOrderTimeline = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .select('customer items.vendorId status statusHistory')
+    .populate('statusHistory.by', 'name role')
+    .lean();
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const vendorId = req.vendorId?.toString();
+  const isOwner  = order.customer.toString() === req.user._id.toString();
+  const isStaff  = can(req, 'orders:read');
+  const isVendor = Boolean(vendorId) &&
+    order.items.some((item) => item.vendorId.toString() === vendorId);
+
+  if (!isOwner && !isStaff && !isVendor) {
+    res.status(403);
+    throw new Error('Not authorised to view this order');
+  }
+
+  // Vendors see order-level entries plus their own sub-order only
+  const timeline = isVendor && !isOwner && !isStaff
+    ? order.statusHistory.filter(
+      (e) => e.scope === 'order' || e.vendorId?.toString() === vendorId
+    )
+    : order.statusHistory;
+
+  res.status(200).json({ success: true, status: order.status, timeline });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Cancel an order before any of it has shipped
+//          Unpaid → releases the stock hold and expires the Checkout session
+//          Paid   → full Stripe refund + restock
+// @route   POST /api/orders/:id/cancel
+// @access  Private — Owner customer
+// ─────────────────────────────────────────────────────────────────────────────
+export const cancelOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (order.customer.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorised to cancel this order');
+  }
+
+  const actor  = { user: req.user._id, role: 'Customer', note: req.body.reason };
+  const denied = checkOrderTransition(order.status, 'Cancelled', actor.role);
+  if (denied) {
+    res.status(400);
+    throw new Error(`Order can no longer be cancelled — it is ${order.status}`);
+  }
+
+  order.ensureSubOrders();
+  if (order.subOrders.some((s) => ['Shipped', 'Delivered'].includes(s.status))) {
+    res.status(400);
+    throw new Error('Order can no longer be cancelled — part of it has already shipped');
+  }
+
+  // Unpaid: close the Checkout session so it can't be paid, then release stock
+  if (!order.isPaid) {
+    if (order.stripeSessionId) {
+      try {
+        await stripe.checkout.sessions.expire(order.stripeSessionId);
+      } catch (error) {
+        // Already expired, or paid just now — checkout.session.completed then
+        // finds the order cancelled and refunds the payment
+        console.error(`Cancel: could not expire session ${order.stripeSessionId}:`, error.message);
+      }
+    }
+
+    const released = await releaseReservation(order._id, actor);
+    if (!released) {
+      order.cancelSubOrders(actor);
+      order.transitionTo('Cancelled', actor);
+      await order.save();
+    }
+
+    return res.status(200).json({ success: true, message: 'Order cancelled' });
+  }
+
+  // Paid: refund everything (incl. shipping), restock, cancel
+  const { lines } = buildRefundLines(order);
+  try {
+    await issueRefund(order, {
+      lines,
+      includeShipping: true,
+      reason:          req.body.reason || 'Cancelled by customer',
+      source:          'customer_cancel',
+      actor,
+    });
+  } catch (error) {
+    res.status(502);
+    throw new Error(`Refund could not be issued — ${error.message}`);
   }
 
+  await releaseStock(lines);
+
+  order.cancelSubOrders(actor);
+  order.transitionTo('Cancelled', actor);
   await order.save();
-  res.status(200).json({ success: true, order });
+  await releaseCoupons(order.discounts.map((d) => d.coupon), order.customer);
+
+  res.status(200).json({ success: true, message: 'Order cancelled and refunded', order });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    Stripe webhook — confirms payment and fulfils order
+// @desc    Refund an order — full, or partial by line (productId + qty)
+//          Body: { items?: [{ productId, qty }], includeShipping?, restock?, reason? }
+// @route   POST /api/orders/:id/refund
+// @access  Private — orders:refund
+// ─────────────────────────────────────────────────────────────────────────────
+export const refundOrder = asyncHandler(async (req, res) => {
+  const { items, includeShipping, restock = true, reason } = req.body;
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (!order.isPaid || !order.stripePaymentIntentId || !PAID_ORDER_STATUSES.includes(order.status)) {
+    res.status(400);
+    throw new Error(`Cannot refund an order with status '${order.status}'`);
+  }
+
+  const isFull = !items?.length;
+  const { lines, error } = buildRefundLines(order, items);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const shippingAmount = isFull || includeShipping ? remainingShipping(order) : 0;
+  if (lines.length === 0 && shippingAmount === 0) {
+    res.status(400);
+    throw new Error('Nothing left to refund on this order');
+  }
+
+  const actor = { user: req.user._id, role: 'Admin', note: reason };   // staff act as Admin
+  let refund;
+  try {
+    refund = await issueRefund(order, {
+      lines,
+      includeShipping: shippingAmount > 0,
+      reason,
+      source:          'admin',
+      actor,
+    });
+  } catch (error) {
+    res.status(502);
+    throw new Error(`Refund could not be issued — ${error.message}`);
+  }
+
+  if (restock) await releaseStock(lines);
+
+  const statusBefore = order.status;
+  // Refunded is final, so the coupon redemptions are given back only once
+  if (isFullyRefunded(order) && !checkOrderTransition(order.status, 'Refunded', actor.role)) {
+    order.transitionTo('Refunded', actor);
+    await order.save();
+    await releaseCoupons(order.discounts.map((d) => d.coupon), order.customer);
+  }
+
+  await recordAudit(req, {
+    action:      'order.refund',
+    targetType:  'Order',
+    targetId:    order._id,
+    before:      { status: statusBefore },
+    after:       { status: order.status },
+    meta:        { refundId: refund._id, amount: refund.amount, lines: lines.length, includeShipping: shippingAmount > 0, restock, reason },
+  });
+
+  res.status(200).json({ success: true, refund, order });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Stripe webhook — logs every event and processes it exactly once
 // @route   POST /api/stripe/webhook
 // @access  Stripe (raw body, signature verified)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -245,29 +739,39 @@ export const stripeWebhook = asyncHandler(async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const order   = await Order.findOne({ stripeSessionId: session.id });
-
-    if (!order) {
-      console.error('Webhook: order not found for session', session.id);
-      return res.status(200).json({ received: true });
-    }
-
-    // Mark as paid
-    order.status               = 'Paid';
-    order.isPaid               = true;
-    order.paidAt               = new Date();
-    order.stripePaymentIntentId= session.payment_intent;
-    await order.save({ validateBeforeSave: false });
+  // Re-claim an event whose earlier attempt failed, or stalled mid-processing
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+  let record = await WebhookEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
 
-    // Decrement stock for each product
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, { $inc: { stock: -item.qty } });
+  // First delivery — the unique eventId index rejects concurrent duplicates
+  if (!record) {
+    try {
+      record = await WebhookEvent.create({
+        eventId:  event.id,
+        type:     event.type,
+        livemode: event.livemode,
+        payload:  event,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(200).json({ received: true, duplicate: true });
+      }
+      throw error;
     }
-
-    console.log(`✅  Order ${order._id} marked as Paid`);
   }
 
-  res.status(200).json({ received: true });
+  await processStripeEvent(record);
+
+  // Non-2xx makes Stripe retry a failed event later
+  res.status(record.status === 'failed' ? 500 : 200).json({ received: true, status: record.status });
 });
@@ -1,35 +1,90 @@
 import asyncHandler from 'express-async-handler';
-import Product, { PRODUCT_CATEGORIES } from '../models/Product.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
 import { buildProductQuery, buildSortOption, paginate } from '../utils/queryHelpers.js';
+import { can } from '../utils/permissions.js';
+import { buildCategoryTree, resolveCategory } from '../utils/categories.js';
+import { productFacets } from '../utils/productFacets.js';
+import { refreshSearchIndexSoon, suggest } from '../utils/searchIndex.js';
+import WishlistItem from '../models/WishlistItem.js';
+import Review from '../models/Review.js';
+import User from '../models/User.js';
+import { approvedVendorFilter } from '../utils/vendorApplications.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { queueProductAlerts } from '../utils/notifications.js';
+
+// Fields updateProduct accepts. Existing variants must be sent back with
+// their _id — orders and carts refer to it
+const UPDATABLE_FIELDS = [
+  'name', 'description', 'price', 'images', 'category', 'stock', 'weight', 'tags', 'options', 'variants',
+];
+const AUDITED_FIELDS = [...UPDATABLE_FIELDS, 'isActive'];
+
+// Products are filed under an active category, given by id or slug
+const filedUnder = async (res, value) => {
+  const category = await resolveCategory(value);
+  if (!category) {
+    res.status(400);
+    throw new Error('Category not found');
+  }
+  return { category: category._id, categoryPath: category.path };
+};
+
+// Reviews embedded in the single-product response
+const PRODUCT_PAGE_REVIEWS = 10;
+
+// Moderators may touch any product; everyone else only their store's
+const canEdit = (req, product) =>
+  can(req, 'products:moderate') || product.vendorId.toString() === req.vendorId?.toString();
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    Get all active products (public, with search / filter / pagination)
+// @desc    Get all active products (public, with search / filter / pagination).
+//          ?facets=true adds filter counts over the whole result set
 // @route   GET /api/products
 // @access  Public
 // ─────────────────────────────────────────────────────────────────────────────
 export const getProducts = asyncHandler(async (req, res) => {
-  const filter = buildProductQuery(req.query);
-  const sort   = buildSortOption(req.query.sort);
+  const filter = await buildProductQuery(req.query);
+  const sort   = buildSortOption(req.query.sort, Boolean(req.query.keyword));
 
   const total      = await Product.countDocuments(filter);
   const pagination = paginate(req.query, total);
 
-  const products = await Product.find(filter)
-    .populate('vendorId', 'name storeInfo.name storeInfo.logo')
-    .sort(sort)
-    .skip(pagination.skip)
-    .limit(pagination.limit)
-    .lean();
+  const [products, categories] = await Promise.all([
+    Product.find(filter)
+      .populate('vendorId', 'name storeInfo.name storeInfo.logo')
+      .populate('category', 'name slug')
+      .sort(sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .lean(),
+    Category.find({ isActive: true }).select('name slug icon parent sortOrder').lean(),
+  ]);
+  const facets = req.query.facets === 'true' ? await productFacets(filter, categories) : undefined;
 
   res.status(200).json({
     success: true,
     count:   products.length,
     pagination,
-    categories: PRODUCT_CATEGORIES,
+    categories: buildCategoryTree(categories),
+    facets,
     products,
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Autocomplete while typing — product names, tags, categories and
+//          stores matching ?q= (prefixes and small typos included)
+// @route   GET /api/products/suggest?q=hedph&limit=5
+// @access  Public
+// ─────────────────────────────────────────────────────────────────────────────
+export const getSuggestions = asyncHandler(async (req, res) => {
+  const { q, limit = 5 } = req.query;
+  const suggestions = await suggest(q, Number(limit));
+
+  res.status(200).json({ success: true, query: q, ...suggestions });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Get single product by ID
 // @route   GET /api/products/:id
@@ -38,35 +93,63 @@ export const getProducts = asyncHandler(async (req, res) => {
 export const getProductById = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id)
     .populate('vendorId', 'name email storeInfo avatar')
-    .populate('reviews.user', 'name avatar');
+    .populate('category', 'name slug ancestors');
 
-  if (!product || !product.isActive) {
+  // A suspended (or otherwise hidden) store's products go with it
+  const vendorVisible = product?.vendorId &&
+    await User.exists({ _id: product.vendorId._id, ...approvedVendorFilter() });
+  if (!product || !product.isActive || !vendorVisible) {
     res.status(404);
     throw new Error('Product not found');
   }
 
-  res.status(200).json({ success: true, product });
+  // Only the latest few — the full list is paged at /api/products/:id/reviews
+  const reviews = await Review.find({ product: product._id, status: 'published' })
+    .select('-reports -openReports -moderation -order')
+    .populate('user', 'name avatar')
+    .sort({ createdAt: -1 })
+    .limit(PRODUCT_PAGE_REVIEWS);
+
+  res.status(200).json({
+    success: true,
+    product: { ...product.toJSON(), reviews },
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Create a new product
 // @route   POST /api/products
-// @access  Private — Vendor, Admin
+// @access  Private — products:manage (for req.vendorId's store)
 // ─────────────────────────────────────────────────────────────────────────────
 export const createProduct = asyncHandler(async (req, res) => {
-  const { name, description, price, images, category, stock, tags, variants } = req.body;
+  const {
+    name, description, price, images, category, stock, weight, tags, options, variants,
+  } = req.body;
 
   const product = await Product.create({
     name,
     description,
     price,
     images,
-    category,
+    ...(await filedUnder(res, category)),
     stock,
+    weight,
     tags,
+    options,
     variants,
-    vendorId: req.user._id,
+    // The store the user acts for — their own, their team's, or (single-store) the owner's
+    vendorId: req.vendorId,
+  });
+
+  await recordAudit(req, {
+    action:      'product.create',
+    targetType:  'Product',
+    targetId:    product._id,
+    targetLabel: product.name,
+    after:       snapshot(product, AUDITED_FIELDS),
+    meta:        { vendorId: product.vendorId },
   });
+  refreshSearchIndexSoon();
 
   res.status(201).json({ success: true, product });
 });
@@ -74,7 +157,7 @@ export const createProduct = asyncHandler(async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Update a product (owner vendor or admin only)
 // @route   PUT /api/products/:id
-// @access  Private — Vendor (own), Admin
+// @access  Private — products:manage (own store), products:moderate
 // ─────────────────────────────────────────────────────────────────────────────
 export const updateProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
@@ -84,25 +167,41 @@ export const updateProduct = asyncHandler(async (req, res) => {
     throw new Error('Product not found');
   }
 
-  // Ownership check (Admin bypasses)
-  if (req.user.role !== 'Admin' && product.vendorId.toString() !== req.user._id.toString()) {
+  // Ownership check (moderators bypass)
+  if (!canEdit(req, product)) {
     res.status(403);
     throw new Error('Not authorised — you can only edit your own products');
   }
 
-  const updatable = ['name', 'description', 'price', 'images', 'category', 'stock', 'tags', 'variants'];
-  updatable.forEach((field) => {
-    if (req.body[field] !== undefined) product[field] = req.body[field];
+  const before = snapshot(product, AUDITED_FIELDS);
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined && field !== 'category') product[field] = req.body[field];
   });
+  if (req.body.category !== undefined) Object.assign(product, await filedUnder(res, req.body.category));
 
   const updatedProduct = await product.save();
+
+  // Restocked from zero / cheaper → tell wishlist subscribers (sent by the notification worker)
+  await queueProductAlerts(updatedProduct, before);
+  refreshSearchIndexSoon();
+
+  await recordAudit(req, {
+    action:      'product.update',
+    targetType:  'Product',
+    targetId:    product._id,
+    targetLabel: product.name,
+    before,
+    after:       snapshot(updatedProduct, AUDITED_FIELDS),
+    meta:        { vendorId: product.vendorId },
+  });
+
   res.status(200).json({ success: true, product: updatedProduct });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Soft-delete a product
 // @route   DELETE /api/products/:id
-// @access  Private — Vendor (own), Admin
+// @access  Private — products:manage (own store), products:moderate
 // ─────────────────────────────────────────────────────────────────────────────
 export const deleteProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
@@ -112,7 +211,7 @@ export const deleteProduct = asyncHandler(async (req, res) => {
     throw new Error('Product not found');
   }
 
-  if (req.user.role !== 'Admin' && product.vendorId.toString() !== req.user._id.toString()) {
+  if (!canEdit(req, product)) {
     res.status(403);
     throw new Error('Not authorised — you can only delete your own products');
   }
@@ -120,16 +219,27 @@ export const deleteProduct = asyncHandler(async (req, res) => {
   product.isActive = false;
   await product.save();
 
+  await recordAudit(req, {
+    action:      'product.delete',
+    targetType:  'Product',
+    targetId:    product._id,
+    targetLabel: product.name,
+    before:      { isActive: true },
+    after:       { isActive: false },
+    meta:        { vendorId: product.vendorId },
+  });
+  refreshSearchIndexSoon();
+
   res.status(200).json({ success: true, message: 'Product removed' });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    Get logged-in vendor's products
+// @desc    Get logged-in vendor's products (with how often each is wishlisted)
 // @route   GET /api/products/vendor/mine
-// @access  Private — Vendor
+// @access  Private — products:manage
 // ─────────────────────────────────────────────────────────────────────────────
 export const getMyProducts = asyncHandler(async (req, res) => {
-  const filter = { vendorId: req.user._id };
+  const filter = { vendorId: req.vendorId };
 
   // Vendor can see their inactive products too (for management)
   if (req.query.isActive !== undefined) {
@@ -138,34 +248,19 @@ export const getMyProducts = asyncHandler(async (req, res) => {
 
   const products = await Product.find(filter).sort({ createdAt: -1 });
 
-  res.status(200).json({ success: true, count: products.length, products });
-});
+  // How many customers have each product on their wishlist
+  const counts = await WishlistItem.aggregate([
+    { $match: { product: { $in: products.map((p) => p._id) } } },
+    { $group: { _id: '$product', count: { $sum: 1 } } },
+  ]);
+  const wishlisted = new Map(counts.map((c) => [c._id.toString(), c.count]));
 
-// ─────────────────────────────────────────────────────────────────────────────
-// @desc    Add a review to a product
-// @route   POST /api/products/:id/reviews
-// @access  Private — Customer
-// ─────────────────────────────────────────────────────────────────────────────
-export const addReview = asyncHandler(async (req, res) => {
-  const { rating, comment } = req.body;
-  const product = await Product.findById(req.params.id);
-
-  if (!product || !product.isActive) {
-    res.status(404);
-    throw new Error('Product not found');
-  }
-
-  const alreadyReviewed = product.reviews.find(
-    (r) => r.user.toString() === req.user._id.toString()
-  );
-  if (alreadyReviewed) {
-    res.status(400);
-    throw new Error('You have already reviewed this product');
-  }
-
-  product.reviews.push({ user: req.user._id, name: req.user.name, rating, comment });
-  product.recalculateRating();
-  await product.save();
-
-  res.status(201).json({ success: true, message: 'Review added' });
+  res.status(200).json({
+    success:  true,
+    count:    products.length,
+    products: products.map((p) => ({
+      ...p.toObject({ virtuals: true }),
+      wishlistCount: wishlisted.get(p._id.toString()) || 0,
+    })),
+  });
 });
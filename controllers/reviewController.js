@@ -0,0 +1,402 @@
+import asyncHandler from 'express-async-handler';
+import Product from '../models/Product.js';
+import Review, { publicReview } from '../models/Review.js';
+import Order from '../models/Order.js';
+import { can } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+
+const REVIEW_SORTS = {
+  newest:  { createdAt: -1 },
+  oldest:  { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest:  { rating: 1, createdAt: -1 },
+};
+
+// Open reports that take a published review down until a moderator decides
+const autoHideReports = () => parseInt(process.env.REVIEW_AUTO_HIDE_REPORTS) || 5;
+
+const findProduct = async (res, productId) => {
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+  return product;
+};
+
+const findReview = async (res, product, reviewId) => {
+  const review = await Review.findOne({ _id: reviewId, product: product._id });
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  return review;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Published reviews for a product, with the rating breakdown
+// @route   GET /api/products/:id/reviews?page=1&limit=10&sort=newest&rating=5&verified=true
+// @access  Public
+// ─────────────────────────────────────────────────────────────────────────────
+export const getProductReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = 'newest', rating, verified } = req.query;
+  const product = await Product.findById(req.params.id).select('rating numReviews ratingCounts isActive');
+
+  if (!product || !product.isActive) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const filter = { product: product._id, status: 'published' };
+  if (rating)              filter.rating = Number(rating);
+  if (verified === 'true') filter.verifiedPurchase = true;
+
+  const [total, reviews] = await Promise.all([
+    Review.countDocuments(filter),
+    Review.find(filter)
+      .select('-reports -openReports -moderation -order')
+      .populate('user', 'name avatar')
+      .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+      .skip((page - 1) * limit)
+      .limit(Number(limit)),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page:    Number(page),
+    pages:   Math.ceil(total / limit),
+    summary: {
+      rating:     product.rating,
+      numReviews: product.numReviews,
+      histogram:  product.ratingCounts,
+    },
+    reviews,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Review a product I've had delivered
+// @route   POST /api/products/:id/reviews
+// @access  Private — Customer with a delivered order item for the product
+// ─────────────────────────────────────────────────────────────────────────────
+export const addReview = asyncHandler(async (req, res) => {
+  const { rating, comment } = req.body;
+  const product = await findProduct(res, req.params.id);
+
+  // Store accounts and team members can't rate their own listings
+  if (req.user.role !== 'Customer' ||
+      req.vendorId?.toString() === product.vendorId.toString()) {
+    res.status(403);
+    throw new Error('Only customers can review products');
+  }
+
+  const alreadyReviewed = await Review.exists({ product: product._id, user: req.user._id });
+  if (alreadyReviewed) {
+    res.status(400);
+    throw new Error('You have already reviewed this product — edit your review instead');
+  }
+
+  const order = await Order.findOne({
+    customer: req.user._id,
+    items:    { $elemMatch: { product: product._id, itemStatus: 'Delivered' } },
+  }).select('_id');
+  if (!order) {
+    res.status(403);
+    throw new Error('You can review this product once an order containing it has been delivered');
+  }
+
+  const review = await Review.create({
+    product:          product._id,
+    user:             req.user._id,
+    name:             req.user.name,
+    rating,
+    comment,
+    verifiedPurchase: true,
+    order:            order._id,
+  });
+  await Product.applyReviewRatings(product._id, { added: review.rating });
+
+  res.status(201).json({ success: true, message: 'Review added', review: publicReview(review) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Edit my review
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private — review author
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateReview = asyncHandler(async (req, res) => {
+  const product = await findProduct(res, req.params.id);
+  const review  = await findReview(res, product, req.params.reviewId);
+
+  if (!review.user.equals(req.user._id)) {
+    res.status(403);
+    throw new Error('You can only edit your own review');
+  }
+
+  const changes = { editedAt: new Date() };
+  if (req.body.rating !== undefined)  changes.rating  = req.body.rating;
+  if (req.body.comment !== undefined) changes.comment = req.body.comment;
+
+  // Only from the rating and status read above — a concurrent edit or
+  // moderation decision makes this miss rather than move the totals twice
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, rating: review.rating, status: review.status },
+    { $set: changes },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    res.status(409);
+    throw new Error('This review was changed at the same time — reload it and try again');
+  }
+
+  if (updated.status === 'published') {
+    await Product.applyReviewRatings(product._id, { added: updated.rating, removed: review.rating });
+  }
+
+  res.status(200).json({ success: true, review: publicReview(updated) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Delete a review
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private — review author, products:moderate
+// ─────────────────────────────────────────────────────────────────────────────
+export const deleteReview = asyncHandler(async (req, res) => {
+  const product = await findProduct(res, req.params.id);
+  const review  = await findReview(res, product, req.params.reviewId);
+
+  const isAuthor = review.user.equals(req.user._id);
+  if (!isAuthor && !can(req, 'products:moderate')) {
+    res.status(403);
+    throw new Error('You can only delete your own review');
+  }
+
+  // The deleted document's own status decides, not the one read above
+  const deleted = await Review.findOneAndDelete({ _id: review._id });
+  if (deleted?.status === 'published') {
+    await Product.applyReviewRatings(product._id, { removed: deleted.rating });
+  }
+
+  if (!isAuthor) {
+    await recordAudit(req, {
+      action:      'review.delete',
+      targetType:  'Product',
+      targetId:    product._id,
+      targetLabel: product.name,
+      before:      { rating: review.rating, comment: review.comment },
+      meta:        { reviewId: review._id, author: review.user },
+    });
+  }
+
+  res.status(200).json({ success: true, message: 'Review deleted' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Report a review for moderation (once per user); enough open
+//          reports hide it until a moderator decides
+// @route   POST /api/products/:id/reviews/:reviewId/report
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const reportReview = asyncHandler(async (req, res) => {
+  const { reason, note } = req.body;
+  const product = await findProduct(res, req.params.id);
+  const review  = await findReview(res, product, req.params.reviewId);
+
+  if (review.user.equals(req.user._id)) {
+    res.status(400);
+    throw new Error('You cannot report your own review');
+  }
+
+  // One atomic update, so concurrent reports neither lose a count nor let
+  // the same user report twice
+  const reported = await Review.findOneAndUpdate(
+    { _id: review._id, 'reports.user': { $ne: req.user._id } },
+    {
+      $push: { reports: { user: req.user._id, reason, note } },
+      $inc:  { openReports: 1 },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!reported) {
+    res.status(400);
+    throw new Error('You have already reported this review');
+  }
+
+  // Judged on the count this report produced; only the request that
+  // actually flips the status takes the rating out
+  if (reported.status === 'published' && reported.openReports >= autoHideReports()) {
+    const hidden = await Review.findOneAndUpdate(
+      { _id: reported._id, status: 'published' },
+      {
+        $set: {
+          status:     'hidden',
+          moderation: { action: 'hide', note: `Hidden automatically after ${reported.openReports} reports`, at: new Date() },
+        },
+      }
+    );
+    if (hidden) await Product.applyReviewRatings(product._id, { removed: hidden.rating });
+  }
+
+  res.status(201).json({ success: true, message: 'Thanks — a moderator will take a look' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Reply to a review on the store's product (create or edit the reply)
+// @route   PUT /api/products/:id/reviews/:reviewId/reply
+// @access  Private — products:manage (own store)
+// ─────────────────────────────────────────────────────────────────────────────
+export const replyToReview = asyncHandler(async (req, res) => {
+  const product = await findProduct(res, req.params.id);
+  const review  = await findReview(res, product, req.params.reviewId);
+
+  if (product.vendorId.toString() !== req.vendorId?.toString()) {
+    res.status(403);
+    throw new Error('You can only reply to reviews of your own products');
+  }
+
+  const before = review.reply?.text ? { reply: review.reply.text } : undefined;
+  const now    = new Date();
+  review.reply = {
+    text:      req.body.text,
+    by:        req.user._id,
+    createdAt: review.reply?.createdAt || now,
+    updatedAt: now,
+  };
+  await review.save();
+
+  await recordAudit(req, {
+    action:      'review.reply',
+    targetType:  'Product',
+    targetId:    product._id,
+    targetLabel: product.name,
+    before,
+    after:       { reply: review.reply.text },
+    meta:        { reviewId: review._id, author: review.user },
+  });
+
+  res.status(200).json({ success: true, review: publicReview(review) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Remove the store's reply
+// @route   DELETE /api/products/:id/reviews/:reviewId/reply
+// @access  Private — products:manage (own store), products:moderate
+// ─────────────────────────────────────────────────────────────────────────────
+export const deleteReviewReply = asyncHandler(async (req, res) => {
+  const product = await findProduct(res, req.params.id);
+  const review  = await findReview(res, product, req.params.reviewId);
+
+  if (product.vendorId.toString() !== req.vendorId?.toString() && !can(req, 'products:moderate')) {
+    res.status(403);
+    throw new Error('You can only remove replies on your own products');
+  }
+  if (!review.reply?.text) {
+    res.status(404);
+    throw new Error('This review has no reply');
+  }
+
+  const before = { reply: review.reply.text, by: review.reply.by };
+  review.reply = undefined;
+  await review.save();
+
+  await recordAudit(req, {
+    action:      'review.reply.delete',
+    targetType:  'Product',
+    targetId:    product._id,
+    targetLabel: product.name,
+    before,
+    meta:        { reviewId: review._id, author: review.user },
+  });
+
+  res.status(200).json({ success: true, message: 'Reply removed' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Reported reviews awaiting moderation (most reported first)
+// @route   GET /api/admin/reviews/reported
+// @access  Private — products:moderate
+// ─────────────────────────────────────────────────────────────────────────────
+export const getReportedReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const filter = { openReports: { $gt: 0 } };
+
+  const [total, reported] = await Promise.all([
+    Review.countDocuments(filter),
+    Review.find(filter)
+      .populate('product', 'name vendorId')
+      .sort({ openReports: -1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit)),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page:    Number(page),
+    reviews: reported.map((review) => {
+      const { product, ...rest } = review.toObject();
+      return { product, review: { ...rest, product: product?._id } };
+    }),
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Decide on a reported review — dismiss the reports, hide it, or
+//          restore a hidden one. Body: { action, note? }
+// @route   PUT /api/admin/reviews/:reviewId
+// @access  Private — products:moderate
+// ─────────────────────────────────────────────────────────────────────────────
+export const moderateReview = asyncHandler(async (req, res) => {
+  const { action, note } = req.body;
+  const review = await Review.findById(req.params.reviewId).populate('product', 'name');
+
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+
+  const before = review.status;
+  let after = before;
+  if (action === 'hide')    after = 'hidden';
+  if (action === 'restore') after = 'published';
+
+  // Only from the status and rating read above — a concurrent decision or
+  // edit makes this miss rather than move the totals twice
+  const moderated = await Review.findOneAndUpdate(
+    { _id: review._id, status: before, rating: review.rating },
+    {
+      $set: {
+        status:      after,
+        openReports: 0,
+        moderation:  { action, by: req.user._id, note, at: new Date() },
+      },
+    },
+    { new: true, runValidators: true }
+  ).populate('product', 'name');
+  if (!moderated) {
+    res.status(409);
+    throw new Error('This review was changed at the same time — reload it and try again');
+  }
+
+  // Only a change of visibility moves the product's rating
+  const productId = review.product._id;
+  if (before === 'published' && after === 'hidden') {
+    await Product.applyReviewRatings(productId, { removed: moderated.rating });
+  } else if (before === 'hidden' && after === 'published') {
+    await Product.applyReviewRatings(productId, { added: moderated.rating });
+  }
+
+  await recordAudit(req, {
+    action:      `review.${action}`,
+    targetType:  'Product',
+    targetId:    productId,
+    targetLabel: review.product.name,
+    before:      { status: before },
+    after:       { status: moderated.status },
+    meta:        { reviewId: moderated._id, author: moderated.user, reports: moderated.reports.length, note },
+  });
+
+  res.status(200).json({ success: true, review: moderated });
+});
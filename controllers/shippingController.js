@@ -0,0 +1,99 @@
+import asyncHandler from 'express-async-handler';
+import ShippingProfile from '../models/ShippingProfile.js';
+import Product from '../models/Product.js';
+import { can } from '../utils/permissions.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { defaultShippingRate, quoteShipping } from '../utils/shipping.js';
+import { findCart } from '../utils/cart.js';
+
+// Whose profile a request manages — platform staff may name a vendor with ?vendorId=
+const profileOwner = (req, res) => {
+  const vendorId = can(req, 'stores:manage') && req.query.vendorId ? req.query.vendorId : req.vendorId;
+  if (!vendorId) {
+    res.status(400);
+    throw new Error('vendorId is required');
+  }
+  return vendorId;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Get shipping profile
+// @route   GET /api/shipping/profile
+// @access  Private — shipping:manage (own store), stores:manage (?vendorId=)
+// ─────────────────────────────────────────────────────────────────────────────
+export const getShippingProfile = asyncHandler(async (req, res) => {
+  const profile = await ShippingProfile.findOne({ vendorId: profileOwner(req, res) });
+
+  res.status(200).json({
+    success:     true,
+    profile,
+    defaultRate: defaultShippingRate(),   // charged while no profile exists
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Create or replace shipping profile
+// @route   PUT /api/shipping/profile
+// @access  Private — shipping:manage (own store), stores:manage (?vendorId=)
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateShippingProfile = asyncHandler(async (req, res) => {
+  const vendorId = profileOwner(req, res);
+  const { rates, freeShippingThreshold } = req.body;
+
+  const profile = (await ShippingProfile.findOne({ vendorId })) || new ShippingProfile({ vendorId });
+  const before  = profile.isNew ? {} : snapshot(profile, ['rates', 'freeShippingThreshold']);
+  if (rates !== undefined)                 profile.rates = rates;
+  if (freeShippingThreshold !== undefined) profile.freeShippingThreshold = freeShippingThreshold || undefined;
+  await profile.save();
+
+  await recordAudit(req, {
+    action:      'shipping.update',
+    targetType:  'ShippingProfile',
+    targetId:    profile._id,
+    before,
+    after:       snapshot(profile, ['rates', 'freeShippingThreshold']),
+    meta:        { vendorId },
+  });
+
+  res.status(200).json({ success: true, profile });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Quote shipping for the cart (or a list of items) to an address
+// @route   POST /api/shipping/quote
+// @access  Public — guest (X-Cart-Id header) or signed-in user
+// Body: { province, city, items?: [{ productId, variantId?, qty }] } — items default to the cart
+// ─────────────────────────────────────────────────────────────────────────────
+export const getShippingQuote = asyncHandler(async (req, res) => {
+  const { province, city } = req.body;
+
+  let lines = req.body.items;
+  if (!lines?.length) {
+    const cart = await findCart(req);
+    lines = cart?.items.map((i) => ({ productId: i.product, variantId: i.variantId, qty: i.qty })) || [];
+  }
+  if (lines.length === 0) {
+    res.status(400);
+    throw new Error('Nothing to quote — your cart is empty');
+  }
+
+  const products = await Product.find({ _id: { $in: lines.map((l) => l.productId) }, isActive: true })
+    .select('vendorId price weight variants');
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = lines
+    .filter((line) => byId.has(line.productId.toString()))
+    .map((line) => {
+      const product = byId.get(line.productId.toString());
+      const price   = product.getVariant(line.variantId)?.price ?? product.price;
+      return { vendorId: product.vendorId, price, weight: product.weight, qty: line.qty };
+    });
+
+  const quote = await quoteShipping(items, { province, city });
+  if (quote.error) {
+    res.status(400);
+    throw new Error(quote.error);
+  }
+
+  res.status(200).json({ success: true, quote });
+});
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import asyncHandler from 'express-async-handler';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import VendorMember from '../models/VendorMember.js';
+import { sendTeamInviteEmail } from '../utils/emails.js';
+import { recordAudit } from '../utils/audit.js';
+import { can } from '../utils/permissions.js';
+
+const INVITE_TTL_DAYS = 7;
+
+const hashToken = (raw) => crypto.createHash('sha256').update(raw).digest('hex');
+
+// Whether a team member's role reaches beyond the caller's own permissions
+// (store owners and staff have no teamRole and may manage anyone)
+const exceedsCaller = (req, role) =>
+  Boolean(req.teamRole) && (role.name === 'vendor_owner' || !role.permissions.every((p) => can(req, p)));
+
+// A store role the caller may hand out. Team members can't make anyone an
+// owner, and can't grant a permission they don't hold themselves.
+const findStoreRole = async (req, res, name) => {
+  const role = await Role.findOne({ name, scope: 'store' }).select('name label permissions');
+  if (!role) {
+    res.status(400);
+    throw new Error(`Unknown store role '${name}'`);
+  }
+
+  if (exceedsCaller(req, role)) {
+    res.status(403);
+    throw new Error(`You cannot assign the '${role.label}' role`);
+  }
+  return role;
+};
+
+// A member of the caller's store the caller may change or remove — not one
+// whose current role holds permissions the caller lacks
+const findMember = async (req, res) => {
+  const member = await VendorMember.findOne({ _id: req.params.id, vendor: req.vendorId });
+  if (!member) {
+    res.status(404);
+    throw new Error('Team member not found');
+  }
+
+  if (req.teamRole) {
+    const current = await Role.findOne({ name: member.role }).select('name label permissions');
+    if (current && exceedsCaller(req, current)) {
+      res.status(403);
+      throw new Error(`You cannot change or remove a member with the '${current.label}' role`);
+    }
+  }
+  return member;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    List the store's team (members and open invites) and store roles
+// @route   GET /api/vendors/team
+// @access  Private — team:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const getTeam = asyncHandler(async (req, res) => {
+  const [members, roles] = await Promise.all([
+    VendorMember.find({ vendor: req.vendorId })
+      .select('-inviteTokenHash')
+      .populate('user', 'name email avatar lastLogin')
+      .sort({ createdAt: 1 }),
+    Role.find({ scope: 'store' }).select('name label permissions').sort({ name: 1 }),
+  ]);
+
+  res.status(200).json({ success: true, count: members.length, members, roles });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Invite someone to the store team by email (re-inviting resends)
+// @route   POST /api/vendors/team
+// @access  Private — team:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const inviteMember = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const role = await findStoreRole(req, res, req.body.role);
+
+  // Staff and vendors have accounts of their own kind — only customer accounts join teams
+  const existing = await User.findOne({ email }).select('role');
+  if (existing && existing.role !== 'Customer') {
+    res.status(400);
+    throw new Error('That account cannot join a store team');
+  }
+
+  let member = await VendorMember.findOne({ vendor: req.vendorId, email });
+  if (member?.status === 'active') {
+    res.status(400);
+    throw new Error(`${email} is already on the team`);
+  }
+  member ??= new VendorMember({ vendor: req.vendorId, email });
+
+  const raw = crypto.randomBytes(32).toString('base64url');
+  member.role            = role.name;
+  member.inviteTokenHash = hashToken(raw);
+  member.inviteExpiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  member.invitedBy       = req.user._id;
+  await member.save();
+
+  const store = await User.findById(req.vendorId).select('name storeInfo.name');
+  await sendTeamInviteEmail({ email, token: raw, storeName: store.storeInfo?.name || store.name, role });
+
+  await recordAudit(req, {
+    action:      'team.invite',
+    targetType:  'VendorMember',
+    targetId:    member._id,
+    targetLabel: email,
+    after:       { role: member.role },
+    meta:        { vendorId: req.vendorId },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${email}`,
+    member:  { ...member.toObject(), inviteTokenHash: undefined },
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Accept a team invite (signed in with the invited email address)
+// @route   POST /api/vendors/team/accept
+// @access  Private — Customer
+// ─────────────────────────────────────────────────────────────────────────────
+export const acceptInvite = asyncHandler(async (req, res) => {
+  const member = await VendorMember.findOne({
+    inviteTokenHash: hashToken(req.body.token),
+    status:          'invited',
+    inviteExpiresAt: { $gt: new Date() },
+  });
+
+  if (!member) {
+    res.status(400);
+    throw new Error('This invitation is invalid or has expired');
+  }
+
+  if (member.email !== req.user.email) {
+    res.status(403);
+    throw new Error(`This invitation was sent to ${member.email} — sign in with that account`);
+  }
+
+  if (req.user.role !== 'Customer') {
+    res.status(400);
+    throw new Error('This account cannot join a store team');
+  }
+
+  if (await VendorMember.exists({ user: req.user._id, status: 'active' })) {
+    res.status(400);
+    throw new Error('You already belong to a store team — leave it first');
+  }
+
+  member.status          = 'active';
+  member.user            = req.user._id;
+  member.joinedAt        = new Date();
+  member.inviteTokenHash = undefined;
+  member.inviteExpiresAt = undefined;
+  await member.save();
+
+  res.status(200).json({ success: true, message: 'Welcome to the team', vendorId: member.vendor, role: member.role });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Change a team member's role
+// @route   PUT /api/vendors/team/:id
+// @access  Private — team:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const member = await findMember(req, res);
+  const role   = await findStoreRole(req, res, req.body.role);
+
+  const before = { role: member.role };
+  member.role = role.name;
+  await member.save();
+
+  await recordAudit(req, {
+    action:      'team.role',
+    targetType:  'VendorMember',
+    targetId:    member._id,
+    targetLabel: member.email,
+    before,
+    after:       { role: member.role },
+    meta:        { vendorId: req.vendorId },
+  });
+
+  res.status(200).json({ success: true, member: { ...member.toObject(), inviteTokenHash: undefined } });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Remove a member or cancel an invite (takes effect on their next request)
+// @route   DELETE /api/vendors/team/:id
+// @access  Private — team:manage
+// ─────────────────────────────────────────────────────────────────────────────
+export const removeMember = asyncHandler(async (req, res) => {
+  const member = await findMember(req, res);
+  await member.deleteOne();
+
+  await recordAudit(req, {
+    action:      'team.remove',
+    targetType:  'VendorMember',
+    targetId:    member._id,
+    targetLabel: member.email,
+    before:      { role: member.role, status: member.status },
+    meta:        { vendorId: req.vendorId },
+  });
+
+  res.status(200).json({ success: true, message: 'Team member removed' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Leave the store team I belong to
+// @route   POST /api/vendors/team/leave
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const leaveTeam = asyncHandler(async (req, res) => {
+  const { deletedCount } = await VendorMember.deleteOne({ user: req.user._id, status: 'active' });
+  if (!deletedCount) {
+    res.status(404);
+    throw new Error('You are not on a store team');
+  }
+
+  res.status(200).json({ success: true, message: 'You have left the team' });
+});
@@ -0,0 +1,177 @@
+import asyncHandler from 'express-async-handler';
+import User from '../models/User.js';
+import { startSession, revokeAllSessions } from '../utils/sessions.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  checkSecondFactor,
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  otpauthUri,
+  verifyTotp,
+} from '../utils/twoFactor.js';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    My two-factor status (and whether my role requires it)
+// @route   GET /api/auth/2fa
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    success:           true,
+    enabled:           user.twoFactor?.enabled || false,
+    enabledAt:         user.twoFactor?.enabledAt,
+    recoveryCodesLeft: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    required:          Boolean(req.twoFactorRequired),
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Start enrolment — new secret and otpauth URI (show as a QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already on — turn it off first to change device');
+  }
+
+  // Not active until confirmed with a code, so a half-finished setup can't lock anyone out
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success:    true,
+    secret,                               // for manual entry
+    otpauthUri: otpauthUri(secret, user.email),
+    message:    'Scan the code with your authenticator app, then confirm with a code at /api/auth/2fa/enable',
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Confirm enrolment with a code — turns 2FA on and returns recovery
+//          codes (shown once). Other sessions are signed out.
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+  const tf   = user.twoFactor;
+
+  if (tf.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already on');
+  }
+  if (!tf.pendingSecret) {
+    res.status(400);
+    throw new Error('Start with /api/auth/2fa/setup');
+  }
+
+  const step = verifyTotp(decryptSecret(tf.pendingSecret), req.body.code);
+  if (step === null) {
+    res.status(400);
+    throw new Error('Invalid authentication code — check your device\'s clock and try again');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  tf.enabled       = true;
+  tf.enabledAt     = new Date();
+  tf.secret        = tf.pendingSecret;
+  tf.pendingSecret = undefined;
+  tf.recoveryCodes = hashes;
+  tf.lastUsedStep  = step;
+  await user.save({ validateBeforeSave: false });
+
+  // Sessions opened with the password alone end; this device gets a fresh one
+  user.tokenVersion = await revokeAllSessions(user._id, 'two_factor_enabled');
+  const tokens = await startSession(user, req);
+
+  await recordAudit(req, {
+    action:      'user.2fa_enable',
+    targetType:  'User',
+    targetId:    user._id,
+    targetLabel: user.email,
+    before:      { enabled: false },
+    after:       { enabled: true },
+  });
+
+  res.status(200).json({
+    success:       true,
+    message:       'Two-factor authentication is on — store these recovery codes somewhere safe',
+    recoveryCodes: codes,
+    ...tokens,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Turn 2FA off (password + code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(`+password ${SECRET_FIELDS}`);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not on');
+  }
+  if (req.twoFactorRequired) {
+    res.status(403);
+    throw new Error('Your role requires two-factor authentication — it can\'t be turned off');
+  }
+  if (!(await user.matchPassword(req.body.password))) {
+    res.status(400);
+    throw new Error('Password is incorrect');
+  }
+  if (!checkSecondFactor(user, req.body)) {
+    res.status(400);
+    throw new Error('Invalid authentication code');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, {
+    action:      'user.2fa_disable',
+    targetType:  'User',
+    targetId:    user._id,
+    targetLabel: user.email,
+    before:      { enabled: true },
+    after:       { enabled: false },
+  });
+
+  res.status(200).json({ success: true, message: 'Two-factor authentication is off' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Replace my recovery codes (the old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not on');
+  }
+  if (!checkSecondFactor(user, { code: req.body.code })) {
+    res.status(400);
+    throw new Error('Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, recoveryCodes: codes });
+});
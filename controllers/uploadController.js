@@ -1,27 +1,56 @@
 import asyncHandler from 'express-async-handler';
 import cloudinary from '../config/cloudinary.js';
+import { VENDOR_DOCUMENT_TYPE, vendorDocumentFolder } from '../utils/vendorApplications.js';
+import { avatarFolder } from '../utils/uploads.js';
 
-// ─────────────────────────────────────────────────────────────────────────────
-// @desc    Generate a Cloudinary signed upload URL for direct browser upload
-// @route   POST /api/upload
-// @access  Private — Vendor, Admin
-// ─────────────────────────────────────────────────────────────────────────────
-export const getUploadSignature = asyncHandler(async (req, res) => {
+// Signed parameters for a direct browser upload into one folder; `type`
+// 'authenticated' keeps the file out of public delivery
+const signUpload = (folder, type) => {
   const timestamp = Math.round(new Date().getTime() / 1000);
-  const folder    = `finalproject/products/${req.user._id}`;
 
   const signature = cloudinary.utils.api_sign_request(
-    { timestamp, folder, upload_preset: process.env.CLOUDINARY_UPLOAD_PRESET },
+    { timestamp, folder, upload_preset: process.env.CLOUDINARY_UPLOAD_PRESET, ...(type && { type }) },
     process.env.CLOUDINARY_API_SECRET
   );
 
-  res.status(200).json({
-    success:    true,
+  return {
     signature,
     timestamp,
     folder,
+    ...(type && { type }),
     cloudName:  process.env.CLOUDINARY_CLOUD_NAME,
     apiKey:     process.env.CLOUDINARY_API_KEY,
     uploadPreset: process.env.CLOUDINARY_UPLOAD_PRESET,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Generate a Cloudinary signed upload URL for direct browser upload
+//          Body: { purpose: 'product' (default) | 'avatar' }
+// @route   POST /api/upload
+// @access  Private — products:manage (product images), any user (own avatar)
+// ─────────────────────────────────────────────────────────────────────────────
+export const getUploadSignature = asyncHandler(async (req, res) => {
+  if (req.body?.purpose === 'avatar') {
+    return res.status(200).json({ success: true, ...signUpload(avatarFolder(req.user._id)) });
+  }
+
+  res.status(200).json({
+    success: true,
+    ...signUpload(`finalproject/products/${req.vendorId}`),
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Signed upload for vendor application documents (CNIC, registration…)
+//          Uploaded as authenticated files — send `type` with the upload;
+//          reviewers get short-lived signed links
+// @route   POST /api/upload/vendor-documents
+// @access  Private — Vendor (any application status)
+// ─────────────────────────────────────────────────────────────────────────────
+export const getDocumentUploadSignature = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    ...signUpload(vendorDocumentFolder(req.user._id), VENDOR_DOCUMENT_TYPE),
   });
 });
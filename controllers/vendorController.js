@@ -1,15 +1,22 @@
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
 import Product from '../models/Product.js';
-import Order from '../models/Order.js';
+import Order, { PAID_ORDER_STATUSES } from '../models/Order.js';
+import Payout from '../models/Payout.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import stripe from '../config/stripe.js';
+import { getVendorBalances } from '../utils/ledger.js';
+import { payoutHoldDays } from '../utils/settlement.js';
+import { approvedVendorFilter, isVendorDocumentUrl, withDocumentLinks } from '../utils/vendorApplications.js';
+import { recordAudit } from '../utils/audit.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
-// @desc    List all active vendors (public)
+// @desc    List all active, approved vendors (public)
 // @route   GET /api/vendors
 // @access  Public
 // ─────────────────────────────────────────────────────────────────────────────
 export const getAllVendors = asyncHandler(async (req, res) => {
-  const vendors = await User.find({ role: 'Vendor', isActive: true })
+  const vendors = await User.find(approvedVendorFilter())
     .select('name storeInfo avatar createdAt')
     .sort({ createdAt: -1 });
 
@@ -22,7 +29,7 @@ export const getAllVendors = asyncHandler(async (req, res) => {
 // @access  Public
 // ─────────────────────────────────────────────────────────────────────────────
 export const getVendorProfile = asyncHandler(async (req, res) => {
-  const vendor = await User.findOne({ _id: req.params.id, role: 'Vendor', isActive: true })
+  const vendor = await User.findOne({ _id: req.params.id, ...approvedVendorFilter() })
     .select('name storeInfo avatar createdAt');
 
   if (!vendor) {
@@ -40,10 +47,10 @@ export const getVendorProfile = asyncHandler(async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // @desc    Get vendor dashboard stats
 // @route   GET /api/vendors/dashboard
-// @access  Private — Vendor
+// @access  Private — sales:read
 // ─────────────────────────────────────────────────────────────────────────────
 export const getVendorDashboard = asyncHandler(async (req, res) => {
-  const vendorId = req.user._id;
+  const vendorId = req.vendorId;
 
   // Month boundaries
   const now       = new Date();
@@ -52,10 +59,10 @@ export const getVendorDashboard = asyncHandler(async (req, res) => {
   // All paid orders containing this vendor's items
   const orders = await Order.find({
     'items.vendorId': vendorId,
-    status:           { $in: ['Paid', 'Processing', 'Shipped', 'Delivered'] },
+    status:           { $in: PAID_ORDER_STATUSES },
   }).lean();
 
-  let totalRevenue = 0, totalFees = 0, netEarnings = 0;
+  let totalRevenue = 0, totalFees = 0, netEarnings = 0, totalRefunded = 0;
   let ordersThisMonth = 0;
   const productSales = {};   // productId → { name, qty, revenue }
 
@@ -65,9 +72,11 @@ export const getVendorDashboard = asyncHandler(async (req, res) => {
     );
 
     myItems.forEach((item) => {
-      totalRevenue += item.itemRevenue  || 0;
-      totalFees    += item.platformFee  || 0;
-      netEarnings  += item.vendorPayout || 0;
+      // Refunded portions no longer count as sales
+      totalRevenue  += (item.itemRevenue  || 0) - (item.refundedAmount || 0);
+      totalFees     += (item.platformFee  || 0) - (item.refundedFee    || 0);
+      netEarnings   += (item.vendorPayout || 0) - (item.refundedPayout || 0);
+      totalRefunded += item.refundedAmount || 0;
 
       if (order.createdAt >= monthStart) ordersThisMonth++;
 
@@ -76,8 +85,8 @@ export const getVendorDashboard = asyncHandler(async (req, res) => {
       if (!productSales[pid]) {
         productSales[pid] = { name: item.name, qty: 0, revenue: 0 };
       }
-      productSales[pid].qty     += item.qty;
-      productSales[pid].revenue += item.itemRevenue || 0;
+      productSales[pid].qty     += item.qty - (item.refundedQty || 0);
+      productSales[pid].revenue += (item.itemRevenue || 0) - (item.refundedAmount || 0);
     });
   });
 
@@ -103,6 +112,7 @@ export const getVendorDashboard = asyncHandler(async (req, res) => {
       totalRevenue:   parseFloat(totalRevenue.toFixed(2)),
       totalFees:      parseFloat(totalFees.toFixed(2)),
       netEarnings:    parseFloat(netEarnings.toFixed(2)),
+      totalRefunded:  parseFloat(totalRefunded.toFixed(2)),
       ordersThisMonth,
       totalOrders:    orders.length,
       totalProducts,
@@ -111,3 +121,153 @@ export const getVendorDashboard = asyncHandler(async (req, res) => {
     lowStockProducts,
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Vendor payouts — ledger balance, payout history, recent entries
+// @route   GET /api/vendors/payouts
+// @access  Private — payouts:read
+// ─────────────────────────────────────────────────────────────────────────────
+export const getMyPayouts = asyncHandler(async (req, res) => {
+  const vendorId = req.vendorId;
+  const { page = 1, limit = 20 } = req.query;
+
+  const [vendor, balances, total, payouts, ledger] = await Promise.all([
+    User.findById(vendorId).select('payoutAccount'),
+    getVendorBalances(vendorId),
+    Payout.countDocuments({ vendorId }),
+    Payout.find({ vendorId })
+      .select('-items')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit)),
+    LedgerEntry.find({ vendorId, account: 'vendor_balance' })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select('type direction amount order payout description createdAt'),
+  ]);
+
+  const { balance = 0, paidOut = 0 } = balances[vendorId.toString()] || {};
+
+  res.status(200).json({
+    success:  true,
+    currency: process.env.CURRENCY || 'PKR',
+    balance,
+    paidOut,
+    holdDays: payoutHoldDays(),
+    payoutAccount: {
+      linked:         Boolean(vendor.payoutAccount?.stripeAccountId),
+      payoutsEnabled: Boolean(vendor.payoutAccount?.payoutsEnabled),
+    },
+    total,
+    page: Number(page),
+    payouts,
+    ledger,
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Start (or resume) Stripe Connect onboarding for payouts
+// @route   POST /api/vendors/payouts/connect
+// @access  Private — payouts:account
+// ─────────────────────────────────────────────────────────────────────────────
+export const connectPayoutAccount = asyncHandler(async (req, res) => {
+  const vendor = await User.findById(req.vendorId);
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  if (!vendor.payoutAccount?.stripeAccountId) {
+    const account = await stripe.accounts.create({
+      type:         'express',
+      email:        vendor.email,
+      capabilities: { transfers: { requested: true } },
+      metadata:     { vendorId: vendor._id.toString() },
+    });
+    vendor.payoutAccount = { stripeAccountId: account.id, payoutsEnabled: false, linkedAt: new Date() };
+    await vendor.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+      action:      'payout_account.link',
+      targetType:  'User',
+      targetId:    vendor._id,
+      targetLabel: vendor.email,
+      after:       { stripeAccountId: account.id },
+    });
+  }
+
+  // payoutsEnabled flips once Stripe sends account.updated
+  const link = await stripe.accountLinks.create({
+    account:     vendor.payoutAccount.stripeAccountId,
+    refresh_url: `${frontendUrl}/vendor/payouts?connect=refresh`,
+    return_url:  `${frontendUrl}/vendor/payouts?connect=done`,
+    type:        'account_onboarding',
+  });
+
+  res.status(200).json({ success: true, url: link.url });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Get my vendor application and its status
+// @route   GET /api/vendors/application
+// @access  Private — Vendor (any application status)
+// ─────────────────────────────────────────────────────────────────────────────
+export const getMyApplication = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success:     true,
+    status:      req.user.vendorStatus(),
+    storeInfo:   req.user.storeInfo,
+    application: withDocumentLinks(req.user.vendorApplication),
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Submit (or resubmit after rejection) the vendor application
+// @route   PUT /api/vendors/application
+// @access  Private — Vendor (pending or rejected)
+// ─────────────────────────────────────────────────────────────────────────────
+export const submitApplication = asyncHandler(async (req, res) => {
+  const { storeInfo, business, documents } = req.body;
+  const vendor = await User.findById(req.user._id);
+
+  const status = vendor.vendorStatus();
+  if (!['pending', 'rejected'].includes(status)) {
+    res.status(400);
+    throw new Error(`Your application is already ${status} — update your store from your profile`);
+  }
+
+  // Documents must come from this vendor's signed upload folder
+  const foreign = documents.find((doc) => !isVendorDocumentUrl(doc.url, vendor._id));
+  if (foreign) {
+    res.status(400);
+    throw new Error('Documents must be uploaded through /api/upload/vendor-documents');
+  }
+
+  vendor.storeInfo = { ...vendor.storeInfo?.toObject(), ...storeInfo };
+  vendor.vendorApplication ??= {};
+  vendor.vendorApplication.business    = business;
+  vendor.vendorApplication.documents   = documents;
+  vendor.vendorApplication.submittedAt = new Date();
+
+  // Fixing a rejected application puts it back in the review queue
+  if (status === 'rejected' || !vendor.vendorApplication.history.length) {
+    vendor.setVendorStatus('pending');
+  }
+
+  await vendor.save();
+
+  await recordAudit(req, {
+    action:      'vendor.application_submit',
+    targetType:  'User',
+    targetId:    vendor._id,
+    targetLabel: vendor.email,
+    before:      { status },
+    after:       { status: vendor.vendorStatus() },
+    meta:        { documents: documents.length },
+  });
+
+  res.status(200).json({
+    success:     true,
+    message:     'Application submitted — we will email you once it has been reviewed',
+    status:      vendor.vendorStatus(),
+    storeInfo:   vendor.storeInfo,
+    application: withDocumentLinks(vendor.vendorApplication),
+  });
+});
@@ -0,0 +1,98 @@
+import asyncHandler from 'express-async-handler';
+import WishlistItem from '../models/WishlistItem.js';
+import Product from '../models/Product.js';
+
+// Alert flags from the body ({ backInStock, priceDrop }) → schema fields
+const alertFields = (body) => {
+  const fields = {};
+  if (body.backInStock !== undefined) fields.notifyBackInStock = body.backInStock;
+  if (body.priceDrop !== undefined)   fields.notifyPriceDrop   = body.priceDrop;
+  return fields;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    My wishlist (newest first) with current price and stock
+// @route   GET /api/wishlist
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const getWishlist = asyncHandler(async (req, res) => {
+  const items = await WishlistItem.find({ user: req.user._id })
+    .populate('product', 'name price images stock isActive vendorId')
+    .sort({ createdAt: -1 });
+
+  const wishlist = items.map((item) => {
+    const product = item.product;
+    return {
+      ...item.toObject(),
+      product:        product?.isActive ? product.toObject({ virtuals: true }) : null,
+      available:      Boolean(product?.isActive),   // removed listings stay until the customer clears them
+      priceDroppedBy: product?.isActive && item.priceWhenAdded !== undefined
+        ? Math.max(0, item.priceWhenAdded - product.price)
+        : 0,
+    };
+  });
+
+  res.status(200).json({ success: true, count: wishlist.length, wishlist });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Save a product (and optionally turn on its alerts)
+//          Body: { productId, backInStock?, priceDrop? }
+// @route   POST /api/wishlist
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const addWishlistItem = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.body.productId).select('price isActive');
+  if (!product || !product.isActive) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  // Saving twice keeps the original entry and only updates the alerts
+  const item = await WishlistItem.findOneAndUpdate(
+    { user: req.user._id, product: product._id },
+    {
+      $setOnInsert: { priceWhenAdded: product.price },
+      $set:         alertFields(req.body),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(201).json({ success: true, item });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Turn a saved product's alerts on or off
+//          Body: { backInStock?, priceDrop? }
+// @route   PUT /api/wishlist/:productId
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const updateWishlistAlerts = asyncHandler(async (req, res) => {
+  const item = await WishlistItem.findOneAndUpdate(
+    { user: req.user._id, product: req.params.productId },
+    { $set: alertFields(req.body) },
+    { new: true }
+  );
+
+  if (!item) {
+    res.status(404);
+    throw new Error('That product is not on your wishlist');
+  }
+
+  res.status(200).json({ success: true, item });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// @desc    Remove a product from my wishlist (its alerts go with it)
+// @route   DELETE /api/wishlist/:productId
+// @access  Private
+// ─────────────────────────────────────────────────────────────────────────────
+export const removeWishlistItem = asyncHandler(async (req, res) => {
+  const { deletedCount } = await WishlistItem.deleteOne({ user: req.user._id, product: req.params.productId });
+  if (!deletedCount) {
+    res.status(404);
+    throw new Error('That product is not on your wishlist');
+  }
+
+  res.status(200).json({ success: true, message: 'Removed from wishlist' });
+});
@@ -4,11 +4,22 @@ import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { connectDB } from './config/db.js';
 import { errorHandler, notFound } from './middleware/errorMiddleware.js';
+import { multiVendorOnly } from './middleware/storeModeMiddleware.js';
+import { getStoreMode } from './config/storeMode.js';
+import { startReservationSweeper } from './utils/reservationSweeper.js';
+import { syncDefaultRoles } from './utils/permissions.js';
+import { startNotificationWorker } from './utils/notifications.js';
+import { startSearchIndex } from './utils/searchIndex.js';
 
 // Route imports
 import authRoutes from './routes/authRoutes.js';
 import productRoutes from './routes/productRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
 import vendorRoutes from './routes/vendorRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import uploadRoutes from './routes/uploadRoutes.js';
@@ -41,7 +52,7 @@ if (process.env.NODE_ENV === 'development') {
 app.get('/api/health', (_req, res) => {
   res.status(200).json({
     ok: true,
-    mode: process.env.STORE_MODE,
+    mode: getStoreMode(),
     env: process.env.NODE_ENV,
     timestamp: new Date().toISOString(),
   });
@@ -50,8 +61,13 @@ app.get('/api/health', (_req, res) => {
 // ── API routes ────────────────────────────────────────────────────────────────
 app.use('/api/auth',     authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/orders',   orderRoutes);
-app.use('/api/vendors',  vendorRoutes);
+app.use('/api/cart',     cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/coupons',  couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/vendors',  multiVendorOnly, vendorRoutes);   // hidden in single-store mode
 app.use('/api/admin',    adminRoutes);
 app.use('/api/upload',   uploadRoutes);
 
@@ -62,5 +78,17 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀  Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
-  console.log(`🛒  Store mode: ${process.env.STORE_MODE?.toUpperCase()}`);
+  console.log(`🛒  Store mode: ${getStoreMode().toUpperCase()}`);
+
+  // Return stock held by abandoned checkouts
+  startReservationSweeper();
+
+  // Deliver queued wishlist alerts (back in stock, price drop)
+  startNotificationWorker();
+
+  // Autocomplete index (product names, tags, categories, stores)
+  startSearchIndex();
+
+  // Built-in roles (admin, support_agent, vendor_owner, …) must exist for permission checks
+  syncDefaultRoles().catch((error) => console.error(`❌  Role sync failed: ${error.message}`));
 });
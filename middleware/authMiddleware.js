@@ -1,9 +1,16 @@
 import jwt from 'jsonwebtoken';
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { resolveAccess } from '../utils/permissions.js';
 
 /**
- * protect — verifies JWT and attaches req.user
+ * protect — verifies JWT and attaches req.user (and req.sessionId)
+ * Tokens are rejected once the user's tokenVersion moves on or their
+ * session has been logged out.
+ * Also resolves what the user may do: req.permissions (Set) and
+ * req.vendorId — the store they act for (own store, or the store whose
+ * team they belong to) — and req.twoFactorRequired, the role's 2FA policy.
  * Usage: router.get('/route', protect, handler)
  */
 export const protect = asyncHandler(async (req, res, next) => {
@@ -18,23 +25,52 @@ export const protect = asyncHandler(async (req, res, next) => {
     throw new Error('Not authorised — no token provided');
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    res.status(401);
+    throw new Error(error.name === 'TokenExpiredError'
+      ? 'Not authorised — token expired'
+      : 'Not authorised — invalid token');
+  }
 
-    if (!req.user) {
-      res.status(401);
-      throw new Error('Not authorised — user not found');
-    }
+  req.user = await User.findById(decoded.id).select('-password');
 
-    if (!req.user.isActive) {
-      res.status(403);
-      throw new Error('Your account has been deactivated. Contact support.');
-    }
+  if (!req.user) {
+    res.status(401);
+    throw new Error('Not authorised — user not found');
+  }
 
-    next();
-  } catch (error) {
+  if (!req.user.isActive) {
+    res.status(403);
+    throw new Error('Your account has been deactivated. Contact support.');
+  }
+
+  // Revoked: logged out everywhere / password changed, or this session logged out
+  if ((decoded.tv || 0) !== (req.user.tokenVersion || 0) ||
+      (decoded.sid && !(await isSessionActive(decoded.sid)))) {
     res.status(401);
-    throw new Error('Not authorised — invalid token');
+    throw new Error('Not authorised — session has ended, please log in again');
   }
+
+  req.sessionId = decoded.sid;
+
+  const access = await resolveAccess(req.user);
+  req.permissions = access.permissions;
+  req.vendorId    = access.vendorId;
+  req.teamRole    = access.teamRole;
+  req.twoFactorRequired = access.twoFactorRequired;   // enforced by authorise()
+
+  next();
 });
+
+/**
+ * optionalProtect — like protect when a token is sent, otherwise lets the
+ * request through as a guest (req.user stays undefined)
+ * Usage: router.get('/cart', optionalProtect, handler)
+ */
+export const optionalProtect = (req, res, next) => {
+  if (req.headers.authorization?.startsWith('Bearer')) return protect(req, res, next);
+  next();
+};
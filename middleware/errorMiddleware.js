@@ -27,7 +27,8 @@ export const errorHandler = (err, req, res, _next) => {
 
   // Mongoose duplicate key (e.g. duplicate email)
   if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
+    // Compound keys are scoped by their leading fields — name the last one
+    const field = Object.keys(err.keyValue).at(-1);
     res.status(400).json({
       success: false,
       message: `${field} already exists`,
@@ -21,3 +21,14 @@ export const authLimiter = rateLimit({
   legacyHeaders: false,
   message: { success: false, message: 'Too many auth attempts — please try again in 15 minutes' },
 });
+
+/**
+ * suggestLimiter — autocomplete, called on every keystroke (60 req / min per IP)
+ */
+export const suggestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many requests — please try again later' },
+});
@@ -1,11 +1,46 @@
+import { can } from '../utils/permissions.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const VENDOR_STATUS_MESSAGES = {
+  pending:   'Your vendor application is awaiting approval',
+  rejected:  'Your vendor application was rejected — update it and resubmit',
+  suspended: 'Your store has been suspended — contact support',
+};
+
 /**
- * authorise(...roles) — restricts route to specific roles
+ * authorise(...permissions) — restricts a route to users holding at least one
+ * of the permissions (see config/permissions.js). Store permissions act on
+ * req.vendorId; controllers still check the resource belongs to it.
+ * Roles that require two-factor authentication are refused until it's on.
  * Must be used AFTER protect middleware
  *
  * Usage:
- *   router.post('/products', protect, authorise('Vendor', 'Admin'), createProduct)
+ *   router.post('/:id/refund', protect, authorise('orders:refund'), refundOrder)
+ */
+export const authorise = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some((permission) => can(req, permission))) {
+      // Vendors lose store permissions until approved — say why
+      const status = req.user.vendorStatus();
+      const storeRoute = permissions.some((p) => PERMISSIONS[p]?.scope === 'store');
+      res.status(403);
+      throw new Error(status && status !== 'approved' && storeRoute
+        ? VENDOR_STATUS_MESSAGES[status]
+        : `Access denied — requires the '${permissions.join("' or '")}' permission`);
+    }
+    if (req.twoFactorRequired && !req.user.twoFactor?.enabled) {
+      res.status(403);
+      throw new Error('Your role requires two-factor authentication — set it up at /api/auth/2fa/setup');
+    }
+    next();
+  };
+};
+
+/**
+ * requireRole(...roles) — restricts a route to account types
+ * (Admin | Staff | Vendor | Customer) rather than permissions
  */
-export const authorise = (...roles) => {
+export const requireRole = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
       res.status(403);
@@ -17,8 +52,17 @@ export const authorise = (...roles) => {
   };
 };
 
+// Any Vendor account, whatever its approval status (onboarding endpoints)
+export const vendorApplicantOnly = requireRole('Vendor');
+
 /**
- * Convenience role guards (shorthand for common patterns)
+ * verifiedEmailOnly — blocks vendors who haven't confirmed their email
+ * (staff and invited team members are trusted). Must be used AFTER protect
  */
-export const adminOnly  = authorise('Admin');
-export const vendorOnly = authorise('Vendor', 'Admin');
+export const verifiedEmailOnly = (req, res, next) => {
+  if (req.user.role === 'Vendor' && !req.user.emailVerified) {
+    res.status(403);
+    throw new Error('Please verify your email address before publishing products');
+  }
+  next();
+};
@@ -0,0 +1,16 @@
+import { isSingleStore } from '../config/storeMode.js';
+
+/**
+ * multiVendorOnly — hides marketplace-only routes in single-store mode.
+ * Responds exactly like an unknown route so the API surface simply isn't there.
+ *
+ * Usage:
+ *   app.use('/api/vendors', multiVendorOnly, vendorRoutes)
+ */
+export const multiVendorOnly = (req, res, next) => {
+  if (isSingleStore()) {
+    res.status(404);
+    throw new Error(`Route not found — ${req.originalUrl}`);
+  }
+  next();
+};
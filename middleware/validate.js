@@ -1,5 +1,11 @@
 import { body, param, query, validationResult } from 'express-validator';
-import { PRODUCT_CATEGORIES } from '../models/Product.js';
+import { variantCombinationError } from '../models/Product.js';
+import { REVIEW_REPORT_REASONS } from '../models/Review.js';
+import { ORDER_STATUSES } from '../models/Order.js';
+import { COUPON_TYPES, COUPON_SCOPES } from '../models/Coupon.js';
+import { VENDOR_STATUSES, VENDOR_DOCUMENT_TYPES, PAKISTAN_PROVINCES } from '../models/User.js';
+import { LOGIN_FAILURE_REASONS } from '../models/LoginEvent.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 /**
  * validate — runs after any chain of express-validator checks.
@@ -56,6 +62,84 @@ export const validateLogin = [
 
   body('password')
     .notEmpty().withMessage('Password is required'),
+
+  body('guestCartId')
+    .optional()
+    .isUUID().withMessage('Invalid guest cart id'),
+];
+
+// An authenticator code, or a recovery code in its place
+const secondFactorChecks = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 }).withMessage('Invalid recovery code'),
+
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required'),
+];
+
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString().withMessage('Challenge token is required')
+    .isJWT().withMessage('Invalid challenge token'),
+
+  ...secondFactorChecks,
+
+  body('guestCartId')
+    .optional()
+    .isUUID().withMessage('Invalid guest cart id'),
+];
+
+export const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits'),
+];
+
+export const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+
+  ...secondFactorChecks,
+];
+
+export const validateRefreshToken = [
+  body('refreshToken')
+    .isString().withMessage('Refresh token is required')
+    .isLength({ min: 20, max: 200 }).withMessage('Invalid refresh token'),
+];
+
+export const validateVerifyEmail = [
+  body('token')
+    .isString().withMessage('Verification token is required')
+    .isJWT().withMessage('This link is invalid'),
+];
+
+export const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please enter a valid email address')
+    .normalizeEmail(),
+];
+
+export const validateResetPassword = [
+  body('token')
+    .isString().withMessage('Reset token is required')
+    .isJWT().withMessage('This link is invalid'),
+
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
+    .matches(/[0-9]/).withMessage('Password must contain at least one number'),
 ];
 
 export const validateUpdateProfile = [
@@ -74,6 +158,10 @@ export const validateUpdateProfile = [
     .matches(/[A-Z]/).withMessage('New password must contain at least one uppercase letter')
     .matches(/[0-9]/).withMessage('New password must contain at least one number'),
 
+  body('avatar')
+    .optional()
+    .isURL({ protocols: ['https'], require_protocol: true }).withMessage('Avatar must be an uploaded image URL'),
+
   body('storeInfo.name')
     .optional()
     .trim()
@@ -85,10 +173,134 @@ export const validateUpdateProfile = [
     .isLength({ max: 500 }).withMessage('Store description cannot exceed 500 characters'),
 ];
 
+// ─────────────────────────────────────────────────────────────────────────────
+// ADDRESS VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * addressChecks — a Pakistani delivery address under `prefix`
+ * @param {string}  prefix   - e.g. 'shippingAddress.' ('' for a bare address body)
+ * @param {object}  [opts]
+ * @param {boolean} [opts.optional] - every field optional (partial updates)
+ * @param {*}       [opts.when]     - only check when this condition chain passes
+ */
+const addressChecks = (prefix, { optional = false, when } = {}) => {
+  const field = (name) => {
+    let chain = body(`${prefix}${name}`);
+    if (when)     chain = chain.if(when);
+    if (optional) chain = chain.optional();
+    return chain;
+  };
+
+  return [
+    field('label')
+      .optional()
+      .trim()
+      .isLength({ max: 30 }).withMessage('Label cannot exceed 30 characters'),
+
+    field('fullName')
+      .trim()
+      .notEmpty().withMessage('Full name is required')
+      .isLength({ max: 80 }).withMessage('Full name cannot exceed 80 characters'),
+
+    field('phone')
+      .trim()
+      .notEmpty().withMessage('Phone number is required')
+      .matches(/^(\+92|0)[0-9]{9,10}$/).withMessage('Enter a valid Pakistani phone number'),
+
+    field('street')
+      .trim()
+      .notEmpty().withMessage('Street address is required')
+      .isLength({ max: 200 }).withMessage('Street address cannot exceed 200 characters'),
+
+    field('city')
+      .trim()
+      .notEmpty().withMessage('City is required')
+      .isLength({ max: 60 }).withMessage('City cannot exceed 60 characters'),
+
+    field('province')
+      .trim()
+      .isIn(PAKISTAN_PROVINCES).withMessage(`Province must be one of: ${PAKISTAN_PROVINCES.join(', ')}`),
+
+    field('zip')
+      .optional()
+      .trim()
+      .matches(/^\d{5}$/).withMessage('Postal code must be 5 digits'),
+  ];
+};
+
+export const validateAddress = [
+  ...addressChecks(''),
+
+  body('isDefault')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('isDefault must be true or false'),
+];
+
+export const validateAddressUpdate = [
+  ...addressChecks('', { optional: true }),
+
+  body('isDefault')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('isDefault must be true or false'),
+];
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PRODUCT VALIDATORS
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Categories are referred to by id or slug (looked up in the controller)
+const isCategoryRef = (value) =>
+  typeof value === 'string' && (/^[a-f\d]{24}$/i.test(value) || /^[a-z0-9]+(-[a-z0-9]+)*$/i.test(value));
+
+// Options + variant combinations (shared by create and update)
+const validateVariants = [
+  body('options')
+    .optional()
+    .isArray({ max: 3 }).withMessage('Up to 3 options (e.g. Size, Colour)'),
+
+  body('options.*.name')
+    .trim()
+    .notEmpty().withMessage('Each option needs a name')
+    .isLength({ max: 30 }).withMessage('Option name cannot exceed 30 characters'),
+
+  body('options.*.values')
+    .isArray({ min: 1, max: 30 }).withMessage('Each option needs 1–30 values'),
+
+  body('variants')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Up to 100 variants per product')
+    .custom((variants, { req }) => {
+      // On update the options may be unchanged — the model re-checks on save
+      if (!req.body.options) return true;
+      const error = variantCombinationError(req.body.options, variants);
+      if (error) throw new Error(error);
+      return true;
+    }),
+
+  body('variants.*.sku')
+    .trim()
+    .notEmpty().withMessage('Each variant needs a SKU')
+    .isLength({ max: 40 }).withMessage('SKU cannot exceed 40 characters'),
+
+  body('variants.*.attributes')
+    .isObject().withMessage('Each variant needs attributes, e.g. { "Size": "M" }'),
+
+  body('variants.*.price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Variant price must be a positive number')
+    .toFloat(),
+
+  body('variants.*.stock')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer')
+    .toInt(),
+
+  body('variants.*.image')
+    .optional()
+    .isURL().withMessage('Variant image must be a valid URL'),
+];
+
 export const validateCreateProduct = [
   body('name')
     .trim()
@@ -113,13 +325,20 @@ export const validateCreateProduct = [
 
   body('category')
     .notEmpty().withMessage('Category is required')
-    .isIn(PRODUCT_CATEGORIES).withMessage(`Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`),
+    .custom(isCategoryRef).withMessage('Category must be a category ID or slug'),
 
+  // Products with variants take their stock from the variants
   body('stock')
+    .if((value, { req }) => !req.body.variants?.length)
     .notEmpty().withMessage('Stock quantity is required')
     .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
     .toInt(),
 
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 1000 }).withMessage('Weight must be 0–1000 kg')
+    .toFloat(),
+
   body('tags')
     .optional()
     .isArray().withMessage('Tags must be an array'),
@@ -128,6 +347,8 @@ export const validateCreateProduct = [
     .optional()
     .trim()
     .isLength({ max: 30 }).withMessage('Each tag cannot exceed 30 characters'),
+
+  ...validateVariants,
 ];
 
 export const validateUpdateProduct = [
@@ -156,12 +377,19 @@ export const validateUpdateProduct = [
 
   body('category')
     .optional()
-    .isIn(PRODUCT_CATEGORIES).withMessage(`Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`),
+    .custom(isCategoryRef).withMessage('Category must be a category ID or slug'),
 
   body('stock')
     .optional()
     .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
     .toInt(),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 1000 }).withMessage('Weight must be 0–1000 kg')
+    .toFloat(),
+
+  ...validateVariants,
 ];
 
 export const validateReview = [
@@ -176,89 +404,865 @@ export const validateReview = [
     .isLength({ min: 5, max: 1000 }).withMessage('Comment must be 5–1000 characters'),
 ];
 
+export const validateReviewUpdate = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
+    .toInt(),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 1000 }).withMessage('Comment must be 5–1000 characters'),
+
+  body()
+    .custom((value) => value.rating !== undefined || value.comment !== undefined)
+    .withMessage('Provide a rating or a comment to change'),
+];
+
+export const validateReviewReport = [
+  body('reason')
+    .notEmpty().withMessage('Reason is required')
+    .isIn(REVIEW_REPORT_REASONS).withMessage(`Reason must be one of: ${REVIEW_REPORT_REASONS.join(', ')}`),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+];
+
+export const validateReviewReply = [
+  body('text')
+    .trim()
+    .notEmpty().withMessage('Reply text is required')
+    .isLength({ min: 2, max: 1000 }).withMessage('Reply must be 2–1000 characters'),
+];
+
+export const validateReviewModeration = [
+  body('action')
+    .notEmpty().withMessage('Action is required')
+    .isIn(['dismiss', 'hide', 'restore']).withMessage('Action must be dismiss, hide or restore'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CATEGORY VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Shared by create and update; name is required on create only
+const categoryChecks = ({ optional }) => [
+  optional
+    ? body('name').optional().trim().notEmpty().withMessage('Category name cannot be empty')
+      .isLength({ max: 60 }).withMessage('Category name cannot exceed 60 characters')
+    : body('name').trim().notEmpty().withMessage('Category name is required')
+      .isLength({ max: 60 }).withMessage('Category name cannot exceed 60 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug may only contain letters, numbers and single hyphens')
+    .isLength({ max: 80 }).withMessage('Slug cannot exceed 80 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 300 }).withMessage('Icon cannot exceed 300 characters'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('parent must be a category ID or null'),
+
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0, max: 10000 }).withMessage('sortOrder must be a whole number from 0 to 10000')
+    .toInt(),
+
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('isActive must be true or false'),
+];
+
+export const validateCreateCategory = categoryChecks({ optional: false });
+export const validateUpdateCategory = categoryChecks({ optional: true });
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ORDER VALIDATORS
 // ─────────────────────────────────────────────────────────────────────────────
 
 export const validateCreateOrder = [
+  body('fromCart')
+    .optional()
+    .isBoolean().withMessage('fromCart must be true or false')
+    .toBoolean(),
+
+  // Not needed when checking out the saved cart
   body('items')
+    .if((value, { req }) => !req.body.fromCart)
     .isArray({ min: 1 }).withMessage('Order must contain at least one item'),
 
   body('items.*.productId')
     .notEmpty().withMessage('Each item must have a productId')
     .isMongoId().withMessage('Invalid productId format'),
 
+  body('items.*.variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variantId format'),
+
   body('items.*.qty')
     .notEmpty().withMessage('Each item must have a quantity')
     .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
     .toInt(),
 
-  body('shippingAddress.fullName')
-    .trim()
-    .notEmpty().withMessage('Full name is required'),
+  // A saved address (addressId, else the default) or one typed in
+  body('addressId')
+    .optional()
+    .isMongoId().withMessage('Invalid addressId'),
+
+  ...addressChecks('shippingAddress.', { when: body('shippingAddress').exists() }),
 
-  body('shippingAddress.phone')
+  body('couponCodes')
+    .optional()
+    .isArray({ max: 3 }).withMessage('Up to 3 coupon codes can be applied'),
+
+  body('couponCodes.*')
+    .isString().withMessage('Coupon codes must be text')
     .trim()
-    .notEmpty().withMessage('Phone number is required')
-    .matches(/^(\+92|0)[0-9]{9,10}$/).withMessage('Enter a valid Pakistani phone number'),
+    .notEmpty().withMessage('Coupon code cannot be empty'),
+];
+
+export const validateOrderStatus = [
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(ORDER_STATUSES)
+    .withMessage('Invalid order status'),
 
-  body('shippingAddress.street')
+  body('vendorId')
+    .optional()
+    .isMongoId().withMessage('Invalid vendorId format'),
+
+  body('trackingNumber')
+    .optional()
     .trim()
-    .notEmpty().withMessage('Street address is required'),
+    .isLength({ max: 100 }).withMessage('Tracking number cannot exceed 100 characters'),
 
-  body('shippingAddress.city')
+  body('carrier')
+    .optional()
     .trim()
-    .notEmpty().withMessage('City is required'),
+    .isLength({ max: 50 }).withMessage('Carrier cannot exceed 50 characters'),
 
-  body('shippingAddress.province')
+  body('note')
+    .optional()
     .trim()
-    .notEmpty().withMessage('Province is required'),
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+];
 
-  body('shippingCost')
+export const validateCancelOrder = [
+  body('reason')
     .optional()
-    .isFloat({ min: 0 }).withMessage('Shipping cost must be a positive number')
-    .toFloat(),
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
 ];
 
-export const validateOrderStatus = [
-  body('status')
-    .notEmpty().withMessage('Status is required')
-    .isIn(['Pending', 'Paid', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'])
-    .withMessage('Invalid order status'),
+export const validateRefund = [
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Items must be a non-empty array — omit it for a full refund'),
+
+  body('items.*.productId')
+    .isMongoId().withMessage('Invalid productId format'),
+
+  body('items.*.variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variantId format'),
+
+  body('items.*.qty')
+    .isInt({ min: 1 }).withMessage('Refund quantity must be at least 1')
+    .toInt(),
+
+  body('includeShipping')
+    .optional()
+    .isBoolean().withMessage('includeShipping must be true or false')
+    .toBoolean(),
+
+  body('restock')
+    .optional()
+    .isBoolean().withMessage('restock must be true or false')
+    .toBoolean(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
 ];
 
 // ─────────────────────────────────────────────────────────────────────────────
-// PARAM VALIDATORS (shared)
+// COUPON VALIDATORS
 // ─────────────────────────────────────────────────────────────────────────────
 
-export const validateMongoId = [
-  param('id')
-    .isMongoId().withMessage('Invalid ID format'),
+export const validateCreateCoupon = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Coupon code is required')
+    .matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3–30 letters, numbers, - or _'),
+
+  body('type')
+    .isIn(COUPON_TYPES).withMessage(`Type must be one of: ${COUPON_TYPES.join(', ')}`),
+
+  body('value')
+    .if(body('type').equals('percentage'))
+    .isFloat({ min: 1, max: 100 }).withMessage('Percentage must be 1–100')
+    .toFloat(),
+
+  body('value')
+    .if(body('type').equals('fixed'))
+    .isFloat({ min: 1 }).withMessage('Fixed discount must be at least 1')
+    .toFloat(),
+
+  body('scope')
+    .optional()
+    .isIn(COUPON_SCOPES).withMessage(`Scope must be one of: ${COUPON_SCOPES.join(', ')}`),
+
+  body('fundedBy')
+    .optional()
+    .isIn(['platform', 'vendor']).withMessage('fundedBy must be platform or vendor'),
+
+  body('vendorId')
+    .optional()
+    .isMongoId().withMessage('Invalid vendorId format'),
+
+  body('category')
+    .optional()
+    .custom(isCategoryRef).withMessage('Category must be a category ID or slug'),
+
+  body('products')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Products must be an array of up to 50 ids'),
+
+  body('products.*')
+    .isMongoId().withMessage('Invalid product id'),
+
+  body('maxDiscount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Max discount must be a positive number')
+    .toFloat(),
+
+  body('minSpend')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Min spend must be a positive number')
+    .toFloat(),
+
+  body('usageLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Usage limit must be at least 1')
+    .toInt(),
+
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Per-user limit must be at least 1')
+    .toInt(),
+
+  body('startsAt')
+    .optional()
+    .isISO8601().withMessage('Start date must be a valid date')
+    .toDate(),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601().withMessage('Expiry date must be a valid date')
+    .toDate(),
 ];
 
-// ─────────────────────────────────────────────────────────────────────────────
-// QUERY VALIDATORS (product listing)
-// ─────────────────────────────────────────────────────────────────────────────
+export const validateUpdateCoupon = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
 
-export const validateProductQuery = [
-  query('minPrice')
+  body('isActive')
     .optional()
-    .isFloat({ min: 0 }).withMessage('minPrice must be a positive number'),
+    .isBoolean().withMessage('isActive must be true or false')
+    .toBoolean(),
 
-  query('maxPrice')
+  body('value')
     .optional()
-    .isFloat({ min: 0 }).withMessage('maxPrice must be a positive number'),
+    .isFloat({ min: 0 }).withMessage('Value must be a positive number')
+    .toFloat(),
 
-  query('page')
+  body('maxDiscount')
     .optional()
-    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    .isFloat({ min: 0 }).withMessage('Max discount must be a positive number')
+    .toFloat(),
 
-  query('limit')
+  body('minSpend')
     .optional()
-    .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    .isFloat({ min: 0 }).withMessage('Min spend must be a positive number')
+    .toFloat(),
 
-  query('sort')
+  body('usageLimit')
     .optional()
-    .isIn(['newest', 'price_asc', 'price_desc', 'rating'])
-    .withMessage('Invalid sort option'),
+    .isInt({ min: 1 }).withMessage('Usage limit must be at least 1')
+    .toInt(),
+
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Per-user limit must be at least 1')
+    .toInt(),
+
+  body('startsAt')
+    .optional()
+    .isISO8601().withMessage('Start date must be a valid date')
+    .toDate(),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601().withMessage('Expiry date must be a valid date')
+    .toDate(),
+];
+
+export const validatePreviewCoupons = [
+  body('codes')
+    .isArray({ min: 1, max: 3 }).withMessage('Provide 1–3 coupon codes'),
+
+  body('codes.*')
+    .isString().withMessage('Coupon codes must be text')
+    .trim()
+    .notEmpty().withMessage('Coupon code cannot be empty'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SHIPPING VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateShippingProfile = [
+  body('rates')
+    .optional()
+    .isArray({ max: 200 }).withMessage('Rates must be an array of up to 200 rules'),
+
+  body('rates.*.province')
+    .trim()
+    .notEmpty().withMessage('Each rate needs a province (or * for everywhere else)'),
+
+  body('rates.*.city')
+    .optional()
+    .trim(),
+
+  body('rates.*.method')
+    .optional()
+    .isIn(['flat', 'weight']).withMessage('Rate method must be flat or weight'),
+
+  body('rates.*.flatRate')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Flat rate must be a positive number')
+    .toFloat(),
+
+  body('rates.*.tiers')
+    .optional()
+    .isArray({ max: 20 }).withMessage('Up to 20 weight tiers per rate'),
+
+  body('rates.*.tiers.*.upToKg')
+    .isFloat({ min: 0 }).withMessage('Tier weight must be a positive number')
+    .toFloat(),
+
+  body('rates.*.tiers.*.rate')
+    .isFloat({ min: 0 }).withMessage('Tier rate must be a positive number')
+    .toFloat(),
+
+  body('rates.*.extraPerKg')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Extra per kg must be a positive number')
+    .toFloat(),
+
+  body('freeShippingThreshold')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Free-shipping threshold must be a positive number')
+    .toFloat(),
+];
+
+export const validateShippingQuote = [
+  body('province')
+    .trim()
+    .notEmpty().withMessage('Province is required'),
+
+  body('city')
+    .trim()
+    .notEmpty().withMessage('City is required'),
+
+  body('items')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Items must be an array'),
+
+  body('items.*.productId')
+    .isMongoId().withMessage('Invalid productId format'),
+
+  body('items.*.variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variantId format'),
+
+  body('items.*.qty')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CART VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateCartProductId = [
+  param('productId')
+    .isMongoId().withMessage('Invalid productId format'),
+
+  query('variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variantId format'),
+];
+
+export const validateAddCartItem = [
+  body('productId')
+    .notEmpty().withMessage('productId is required')
+    .isMongoId().withMessage('Invalid productId format'),
+
+  body('variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variantId format'),
+
+  body('qty')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Quantity must be 1–100')
+    .toInt(),
+];
+
+export const validateUpdateCartItem = [
+  ...validateCartProductId,
+
+  body('qty')
+    .notEmpty().withMessage('Quantity is required')
+    .isInt({ min: 1, max: 100 }).withMessage('Quantity must be 1–100')
+    .toInt(),
+];
+
+export const validateMergeCart = [
+  body('guestCartId')
+    .optional()
+    .isUUID().withMessage('Invalid guest cart id'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WISHLIST VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const wishlistAlertChecks = [
+  body(['backInStock', 'priceDrop'])
+    .optional()
+    .isBoolean({ strict: true }).withMessage('backInStock and priceDrop must be true or false'),
+];
+
+export const validateWishlistProductId = [
+  param('productId')
+    .isMongoId().withMessage('Invalid productId format'),
+];
+
+export const validateAddWishlistItem = [
+  body('productId')
+    .notEmpty().withMessage('productId is required')
+    .isMongoId().withMessage('Invalid productId format'),
+
+  ...wishlistAlertChecks,
+];
+
+export const validateWishlistAlerts = [
+  ...validateWishlistProductId,
+  ...wishlistAlertChecks,
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VENDOR ONBOARDING & TEAM VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateVendorApplication = [
+  body('storeInfo.name')
+    .trim()
+    .notEmpty().withMessage('Store name is required')
+    .isLength({ max: 80 }).withMessage('Store name cannot exceed 80 characters'),
+
+  body('storeInfo.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Store description cannot exceed 500 characters'),
+
+  body('business.legalName')
+    .trim()
+    .notEmpty().withMessage('Legal name is required')
+    .isLength({ max: 120 }).withMessage('Legal name cannot exceed 120 characters'),
+
+  body('business.businessType')
+    .isIn(['individual', 'sole_proprietor', 'partnership', 'company'])
+    .withMessage('Business type must be individual, sole_proprietor, partnership or company'),
+
+  body('business.registrationNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Registration number cannot exceed 50 characters'),
+
+  body('business.taxId')
+    .optional()
+    .trim()
+    .isLength({ max: 30 }).withMessage('Tax ID cannot exceed 30 characters'),
+
+  body('business.phone')
+    .trim()
+    .notEmpty().withMessage('Business phone is required')
+    .isLength({ max: 20 }).withMessage('Phone cannot exceed 20 characters'),
+
+  body('business.address.line1')
+    .trim()
+    .notEmpty().withMessage('Business address is required')
+    .isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+
+  body('business.address.city')
+    .trim()
+    .notEmpty().withMessage('City is required')
+    .isLength({ max: 60 }).withMessage('City cannot exceed 60 characters'),
+
+  body('business.address.province')
+    .optional()
+    .trim()
+    .isLength({ max: 60 }).withMessage('Province cannot exceed 60 characters'),
+
+  body('business.address.postalCode')
+    .optional()
+    .trim()
+    .isLength({ max: 10 }).withMessage('Postal code cannot exceed 10 characters'),
+
+  body('documents')
+    .isArray({ min: 1, max: 10 }).withMessage('Upload 1–10 documents')
+    .custom((docs) => docs.some((doc) => doc?.type === 'cnic'))
+    .withMessage('A copy of your CNIC is required'),
+
+  body('documents.*.type')
+    .isIn(VENDOR_DOCUMENT_TYPES).withMessage(`Document type must be one of: ${VENDOR_DOCUMENT_TYPES.join(', ')}`),
+
+  body('documents.*.url')
+    .isURL({ protocols: ['https'], require_protocol: true }).withMessage('Each document needs an https URL'),
+
+  body('documents.*.publicId')
+    .optional()
+    .isString().withMessage('publicId must be a string'),
+];
+
+export const validateApplicationReview = [
+  body('status')
+    .isIn(['approved', 'rejected', 'suspended']).withMessage('Status must be approved, rejected or suspended'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+];
+
+export const validateApplicationQuery = [
+  query('status')
+    .optional()
+    .isIn(VENDOR_STATUSES).withMessage(`Status must be one of: ${VENDOR_STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+];
+
+export const validateTeamInvite = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please enter a valid email address')
+    .normalizeEmail(),
+
+  body('role')
+    .trim()
+    .notEmpty().withMessage('Role is required'),
+];
+
+export const validateTeamRole = [
+  body('role')
+    .trim()
+    .notEmpty().withMessage('Role is required'),
+];
+
+export const validateTeamAccept = [
+  body('token')
+    .isString().withMessage('Invitation token is required')
+    .isLength({ min: 20, max: 100 }).withMessage('This invitation is invalid'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ROLE VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateCreateRole = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,39}$/).withMessage('Role name must be snake_case (2–40 characters)'),
+
+  body('label')
+    .trim()
+    .notEmpty().withMessage('Label is required')
+    .isLength({ max: 60 }).withMessage('Label cannot exceed 60 characters'),
+
+  body('scope')
+    .isIn(['platform', 'store']).withMessage('Scope must be platform or store'),
+
+  body('permissions')
+    .isArray().withMessage('Permissions must be an array'),
+
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission'),
+
+  body('requireTwoFactor')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('requireTwoFactor must be true or false'),
+];
+
+export const validateUpdateRole = [
+  body('label')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Label cannot be empty')
+    .isLength({ max: 60 }).withMessage('Label cannot exceed 60 characters'),
+
+  body('permissions')
+    .optional()
+    .isArray().withMessage('Permissions must be an array'),
+
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission'),
+
+  body('requireTwoFactor')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('requireTwoFactor must be true or false'),
+];
+
+export const validateStaffRole = [
+  body('staffRole')
+    .optional({ values: 'null' })
+    .isString().withMessage('staffRole must be a role name or null'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PAYOUT VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateSettlementRun = [
+  body('holdDays')
+    .optional()
+    .isInt({ min: 0, max: 90 }).withMessage('Hold period must be 0–90 days')
+    .toInt(),
+
+  body('vendorId')
+    .optional()
+    .isMongoId().withMessage('Invalid vendorId format'),
+];
+
+export const validatePayoutUpdate = [
+  body('status')
+    .isIn(['paid', 'failed']).withMessage('Status must be paid or failed'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+
+  body('failureReason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Failure reason cannot exceed 500 characters'),
+];
+
+export const validatePayoutQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'paid', 'failed'])
+    .withMessage('Status must be pending, processing, paid or failed'),
+
+  query('vendorId')
+    .optional()
+    .isMongoId().withMessage('vendorId must be a valid ID'),
+
+  query('runId')
+    .optional()
+    .isUUID().withMessage('runId must be a settlement run ID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PARAM VALIDATORS (shared)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateMongoId = [
+  param('id')
+    .isMongoId().withMessage('Invalid ID format'),
+];
+
+export const validateReviewId = [
+  param('reviewId')
+    .isMongoId().withMessage('Invalid review ID format'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// QUERY VALIDATORS (listings)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateProductQuery = [
+  query('minPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('minPrice must be a positive number'),
+
+  query('maxPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('maxPrice must be a positive number'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'newest', 'price_asc', 'price_desc', 'rating'])
+    .withMessage('Invalid sort option'),
+
+  query('facets')
+    .optional()
+    .isIn(['true', 'false']).withMessage('facets must be true or false'),
+];
+
+export const validateSuggestQuery = [
+  query('q')
+    .trim()
+    .notEmpty().withMessage('q is required')
+    .isLength({ max: 100 }).withMessage('q cannot exceed 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10'),
+];
+
+export const validateReviewQuery = [
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+
+  query('verified')
+    .optional()
+    .isIn(['true', 'false']).withMessage('verified must be true or false'),
+
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'highest', 'lowest'])
+    .withMessage('Invalid sort option'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+];
+
+export const validateWebhookQuery = [
+  query('status')
+    .optional()
+    .isIn(['processing', 'processed', 'failed', 'ignored'])
+    .withMessage('Status must be processing, processed, failed or ignored'),
+
+  query('type')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('type cannot exceed 100 characters'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+export const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .trim()
+    .custom((value) => /^[a-f\d]{24}$/i.test(value) || /^\S+@\S+$/.test(value))
+    .withMessage('actor must be a user ID or email address'),
+
+  query('targetId')
+    .optional()
+    .isMongoId().withMessage('targetId must be a valid ID'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601().withMessage('from and to must be ISO 8601 dates'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+export const validateLoginEventQuery = [
+  query('user')
+    .optional()
+    .isMongoId().withMessage('user must be a valid ID'),
+
+  query('email')
+    .optional()
+    .trim()
+    .isEmail().withMessage('Please enter a valid email address'),
+
+  query(['success', 'flagged'])
+    .optional()
+    .isIn(['true', 'false']).withMessage('success and flagged must be true or false'),
+
+  query('reason')
+    .optional()
+    .isIn(LOGIN_FAILURE_REASONS).withMessage(`Reason must be one of: ${LOGIN_FAILURE_REASONS.join(', ')}`),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601().withMessage('from and to must be ISO 8601 dates'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
 ];
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+// One document per privileged mutation (admin, staff, vendor or store team).
+// Append-only: every field is immutable and update/delete queries are refused,
+// so an entry can't be edited or removed through the app.
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who — copied at write time so the entry survives account changes
+    actor: {
+      user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+      name:      { type: String, immutable: true },
+      email:     { type: String, immutable: true },
+      role:      { type: String, immutable: true },   // Admin | Staff | Vendor | Customer
+      staffRole: { type: String, immutable: true },
+      teamRole:  { type: String, immutable: true },   // store team members
+      vendorId:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },   // store acted for
+    },
+
+    // What — e.g. user.deactivate, product.update, order.status
+    action: { type: String, required: true, immutable: true },
+
+    // On what
+    targetType:  { type: String, required: true, immutable: true },   // User | Product | Order | …
+    targetId:    { type: mongoose.Schema.Types.ObjectId, immutable: true },
+    targetLabel: { type: String, immutable: true },   // human-readable (email, product name…)
+
+    // Changed fields only: { field: { from, to } }
+    changes: { type: mongoose.Schema.Types.Mixed, immutable: true },
+    meta:    { type: mongoose.Schema.Types.Mixed, immutable: true },   // extra context (reason, amount…)
+
+    ip:        { type: String, immutable: true },
+    userAgent: { type: String, immutable: true },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// ── Append-only guard ─────────────────────────────────────────────────────────
+const refuse = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  refuse
+);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, refuse);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuse);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
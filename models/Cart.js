@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Guest carts are removed this long after their last change
+export const GUEST_CART_TTL_DAYS = 30;
+
+// ── Cart line ─────────────────────────────────────────────────────────────────
+// name and price are what the customer last saw — used to flag changes,
+// never to charge. Checkout always prices from Product.
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'Product',
+      required: true,
+    },
+    variantId: { type: mongoose.Schema.Types.ObjectId },   // products with variants
+    qty:       { type: Number, required: true, min: 1 },
+    name:      { type: String },
+    price:     { type: Number },   // PKR
+    addedAt:   { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// ── Cart schema ───────────────────────────────────────────────────────────────
+// One cart per signed-in user, or per guest (identified by the X-Cart-Id header)
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref:  'User',
+    },
+    guestId: { type: String },   // random UUID handed to the guest client
+
+    items: [cartItemSchema],
+
+    expiresAt: { type: Date },   // guests only — TTL index below
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+cartSchema.index({ user: 1 },      { unique: true, sparse: true });
+cartSchema.index({ guestId: 1 },   { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ── Pre-save: keep guest carts alive while they're in use ────────────────────
+cartSchema.pre('save', function (next) {
+  this.expiresAt = this.user
+    ? undefined
+    : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+// ── Method: find the line for a product (+ variant) ──────────────────────────
+cartSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find((i) =>
+    i.product.toString() === productId.toString() &&
+    (i.variantId?.toString() || null) === (variantId?.toString() || null));
+};
+
+// ── Method: add qty of a product (merges with an existing line) ──────────────
+cartSchema.methods.addItem = function (productId, variantId, qty, snapshot = {}) {
+  const line = this.findItem(productId, variantId);
+  if (line) {
+    line.qty += qty;
+  } else {
+    this.items.push({ product: productId, variantId, qty, ...snapshot });
+  }
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+export default Cart;
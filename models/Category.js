@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// ── Starting taxonomy ─────────────────────────────────────────────────────────
+// The top-level categories the marketplace launched with. Seeded and used by
+// the category migration; after that admins manage the tree.
+export const DEFAULT_CATEGORIES = [
+  'Electronics',
+  'Clothing & Fashion',
+  'Food & Beverages',
+  'Handmade & Crafts',
+  'Home & Living',
+  'Books & Stationery',
+  'Health & Beauty',
+  'Sports & Outdoors',
+  'Toys & Kids',
+  'Digital Products',
+  'Jewellery & Accessories',
+  'Art & Collectibles',
+  'Automotive',
+  'Other',
+];
+
+// Electronics > Phones > Cases is three levels
+export const MAX_CATEGORY_DEPTH = 4;
+
+/**
+ * slugify — "Home & Living" → "home-living"
+ */
+export const slugify = (text) =>
+  text
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// ── Category ──────────────────────────────────────────────────────────────────
+// A node in the product taxonomy. `ancestors` holds the path from the root
+// down to the parent, so a subtree is one indexed query. Products copy their
+// category's full path into `categoryPath` for the same reason.
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type:      String,
+      required:  [true, 'Category name is required'],
+      trim:      true,
+      maxlength: [60, 'Category name cannot exceed 60 characters'],
+    },
+    slug: {
+      type:      String,
+      required:  true,
+      unique:    true,
+      lowercase: true,
+      trim:      true,
+    },
+    description: { type: String, trim: true, maxlength: 500 },
+    icon:        { type: String, trim: true },   // icon name or image URL
+
+    parent:    { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],   // root first
+
+    sortOrder: { type: Number, default: 0 },     // among siblings, lowest first
+    isActive:  { type: Boolean, default: true }, // inactive: hidden, and no new products
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });   // no duplicate siblings
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// ── Pre-validate: slug from the name unless one was given ────────────────────
+categorySchema.pre('validate', function (next) {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+  next();
+});
+
+// ── Virtual: path — ids from the root down to this category ─────────────────
+categorySchema.virtual('path').get(function () {
+  return [...this.ancestors, this._id];
+});
+
+const Category = mongoose.model('Category', categorySchema);
+export default Category;
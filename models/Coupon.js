@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+export const COUPON_TYPES  = ['percentage', 'fixed', 'free_shipping'];
+export const COUPON_SCOPES = ['platform', 'vendor', 'category', 'product'];
+
+// ── Coupon schema ─────────────────────────────────────────────────────────────
+// Who pays for a discount (fundedBy):
+//   vendor   → comes off the vendor's revenue; commission is charged on the
+//              discounted price
+//   platform → comes out of the platform fee; the vendor is paid as if the
+//              customer had paid full price
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type:      String,
+      required:  [true, 'Coupon code is required'],
+      unique:    true,
+      uppercase: true,
+      trim:      true,
+    },
+    description: { type: String, maxlength: 200 },
+
+    type: {
+      type:     String,
+      enum:     COUPON_TYPES,
+      required: true,
+    },
+    // percentage → 1–100, fixed → PKR off, free_shipping → unused
+    value:       { type: Number, default: 0, min: 0 },
+    maxDiscount: { type: Number, min: 0 },            // cap for percentage coupons (PKR)
+    minSpend:    { type: Number, default: 0, min: 0 }, // on the items the coupon applies to
+
+    // What the coupon applies to
+    scope: {
+      type:    String,
+      enum:    COUPON_SCOPES,
+      default: 'platform',
+    },
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },    // scope vendor (and owner of vendor coupons)
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' }, // scope category (and its subcategories)
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }], // scope product
+
+    fundedBy: {
+      type:    String,
+      enum:    ['platform', 'vendor'],
+      default: 'platform',
+    },
+
+    // Validity + limits
+    startsAt:     { type: Date },
+    expiresAt:    { type: Date },
+    usageLimit:   { type: Number, min: 1 },            // total redemptions (unset = unlimited)
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    usedCount:    { type: Number, default: 0 },
+
+    isActive:  { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+couponSchema.index({ vendorId: 1, isActive: 1 });
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// ── Virtual: isExpired ────────────────────────────────────────────────────────
+couponSchema.virtual('isExpired').get(function () {
+  return Boolean(this.expiresAt && this.expiresAt < new Date());
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+export default Coupon;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// ── Coupon redemption counter ─────────────────────────────────────────────────
+// How many times one customer has redeemed one coupon, on orders that still
+// count (see claimCoupons / releaseCoupons). One document per pair, so the
+// per-customer limit is enforced by a single conditional update.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    user:   { type: mongoose.Schema.Types.ObjectId, ref: 'User',   required: true },
+    count:  { type: Number, default: 0, min: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+couponRedemptionSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+export default CouponRedemption;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// ── Ledger accounts ───────────────────────────────────────────────────────────
+//   customer_payments → money collected through Stripe (clearing account)
+//   vendor_balance    → what the platform owes each vendor (per vendorId)
+//   platform_revenue  → commission kept by the platform
+//   vendor_payouts    → money sent out to vendors
+export const LEDGER_ACCOUNTS = ['customer_payments', 'vendor_balance', 'platform_revenue', 'vendor_payouts'];
+
+export const LEDGER_ENTRY_TYPES = [
+  'sale', 'platform_fee', 'shipping', 'refund', 'fee_reversal', 'shipping_refund', 'payout', 'payout_reversal',
+];
+
+// ── Ledger entry (one leg of a double-entry posting) ─────────────────────────
+// Every posting writes exactly one debit and one credit leg with the same
+// transactionId and amount, so the ledger always balances. Entries are
+// never updated — corrections are new, reversing postings.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    transactionId: { type: String, required: true },   // deterministic per business event
+    type:      { type: String, enum: LEDGER_ENTRY_TYPES, required: true },
+    account:   { type: String, enum: LEDGER_ACCOUNTS,    required: true },
+    direction: { type: String, enum: ['debit', 'credit'], required: true },
+    amount:    { type: Number, required: true, min: 0 },   // PKR
+
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    order:    { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    payout:   { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' },
+
+    description: { type: String, maxlength: 200 },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+// Re-posting the same business event is rejected here — postings are idempotent
+ledgerEntrySchema.index({ transactionId: 1, direction: 1 }, { unique: true });
+ledgerEntrySchema.index({ vendorId: 1, account: 1, createdAt: -1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+export default LedgerEntry;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const LOGIN_FAILURE_REASONS = [
+  'unknown_account', 'invalid_password', 'invalid_2fa', 'locked', 'inactive',
+];
+
+// ── Login event ───────────────────────────────────────────────────────────────
+// One document per sign-in attempt, successful or not. Feeds the account's
+// login history, new-device / new-location detection and the admin review.
+const loginEventSchema = new mongoose.Schema(
+  {
+    user:    { type: mongoose.Schema.Types.ObjectId, ref: 'User' },   // unset for unknown emails
+    email:   { type: String, lowercase: true, trim: true },
+    success: { type: Boolean, required: true },
+    reason:  { type: String, enum: LOGIN_FAILURE_REASONS },            // failures only
+    method:  { type: String, enum: ['password', 'totp', 'recovery_code'] },   // successes only
+
+    ip:        { type: String },
+    userAgent: { type: String },
+    device:    { type: String },   // hash of the user agent
+    network:   { type: String },   // IPv4 /24 or IPv6 /64 — a rough stand-in for location
+
+    // Successful sign-ins from somewhere this account hasn't signed in from before
+    newDevice:  { type: Boolean, default: false },
+    newNetwork: { type: Boolean, default: false },
+    flagged:    { type: Boolean, default: false },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, success: 1, device: 1 });
+loginEventSchema.index({ user: 1, success: 1, network: 1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+loginEventSchema.index({ flagged: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });   // kept 180 days
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+export default LoginEvent;
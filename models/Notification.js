@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES    = ['back_in_stock', 'price_drop'];
+export const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// ── Notification ──────────────────────────────────────────────────────────────
+// Internal outbox: producers queue a document, the notification worker
+// (utils/notifications.js) delivers it. Nothing is sent inside the request
+// that caused it.
+const notificationSchema = new mongoose.Schema(
+  {
+    user:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type:    { type: String, enum: NOTIFICATION_TYPES, required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    data:    { type: mongoose.Schema.Types.Mixed },   // e.g. { oldPrice, newPrice }
+
+    status:   { type: String, enum: NOTIFICATION_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    sendAfter: { type: Date, default: Date.now },   // retries back off
+    sentAt:    { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+notificationSchema.index({ status: 1, sendAfter: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });   // kept 90 days
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
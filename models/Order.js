@@ -1,4 +1,17 @@
 import mongoose from 'mongoose';
+import { isSingleStore } from '../config/storeMode.js';
+import { checkOrderTransition } from '../utils/orderStateMachine.js';
+
+// ── Lifecycle statuses ────────────────────────────────────────────────────────
+export const ORDER_STATUSES = [
+  'Pending', 'Paid', 'Processing', 'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled', 'Refunded',
+];
+
+// Per-vendor fulfilment statuses (sub-orders and their line items)
+export const FULFILMENT_STATUSES = ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'];
+
+// Orders that count as a sale (revenue, commission, dashboards)
+export const PAID_ORDER_STATUSES = ['Paid', 'Processing', 'Partially Shipped', 'Shipped', 'Delivered'];
 
 // ── Order item sub-document ───────────────────────────────────────────────────
 const orderItemSchema = new mongoose.Schema(
@@ -21,21 +34,158 @@ const orderItemSchema = new mongoose.Schema(
     price:    { type: Number, required: true },   // unit price in PKR
     qty:      { type: Number, required: true, min: 1 },
 
+    // Chosen variant (products with variants only) — snapshotted like the above
+    variantId: { type: mongoose.Schema.Types.ObjectId },
+    variant: {
+      sku:        { type: String },
+      label:      { type: String },               // e.g. "Size: M / Colour: Red"
+      attributes: { type: Map, of: String },
+    },
+
+    // Coupon discounts on this line, by who absorbs them (see Coupon.fundedBy)
+    vendorDiscount:   { type: Number, default: 0 },
+    platformDiscount: { type: Number, default: 0 },
+
     // Commission breakdown per line item (calculated on payment)
-    itemRevenue:   { type: Number, default: 0 },  // price × qty
-    platformFee:   { type: Number, default: 0 },  // itemRevenue × commissionRate
-    vendorPayout:  { type: Number, default: 0 },  // itemRevenue - platformFee
+    //   commission is charged on price × qty - vendorDiscount;
+    //   a platform discount comes out of the platform fee only
+    itemRevenue:   { type: Number, default: 0 },  // price × qty - discounts (what the customer pays)
+    platformFee:   { type: Number, default: 0 },  // commission - platformDiscount
+    vendorPayout:  { type: Number, default: 0 },  // price × qty - vendorDiscount - commission
 
-    // Fulfillment status per vendor
+    // Refunded so far — revenue, fee and payout are reversed proportionally
+    refundedQty:    { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    refundedFee:    { type: Number, default: 0 },
+    refundedPayout: { type: Number, default: 0 },
+
+    // Set once this line has been settled into a vendor payout
+    payout: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' },
+
+    // Fulfillment status per vendor — mirrors the vendor's sub-order
     itemStatus: {
       type:    String,
-      enum:    ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
+      enum:    FULFILMENT_STATUSES,
+      default: 'Pending',
+    },
+  },
+  { _id: false }
+);
+
+// ── Applied coupon sub-document ───────────────────────────────────────────────
+const discountSchema = new mongoose.Schema(
+  {
+    coupon:   { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    code:     { type: String, required: true },
+    type:     { type: String, required: true },   // percentage | fixed | free_shipping
+    scope:    { type: String },
+    fundedBy: { type: String, enum: ['platform', 'vendor'], required: true },
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },   // vendor-funded only
+    amount:   { type: Number, required: true },   // PKR taken off this order
+  },
+  { _id: false }
+);
+
+// ── Vendor sub-order sub-document ─────────────────────────────────────────────
+// One per vendor in the order. Each vendor fulfils only their own sub-order;
+// the parent order status is derived from all of them.
+const subOrderSchema = new mongoose.Schema(
+  {
+    vendorId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+    },
+    status: {
+      type:    String,
+      enum:    FULFILMENT_STATUSES,
       default: 'Pending',
     },
+
+    // Financials for this vendor's items only (calculated in pre-save)
+    subtotal:     { type: Number, default: 0 },
+    platformFee:  { type: Number, default: 0 },
+    vendorPayout: { type: Number, default: 0 },
+
+    // Shipping for this vendor's parcel — quoted at checkout, paid to the vendor
+    shippingCost:     { type: Number, default: 0 },
+    shippingDiscount: { type: Number, default: 0 },                 // free-shipping coupon
+    shippingFundedBy: { type: String, enum: ['platform', 'vendor'] }, // who paid for that coupon
+    shippingRefunded: { type: Number, default: 0 },                 // taken back from the vendor
+    shippingPayout:   { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' },
+
+    trackingNumber: { type: String, trim: true, maxlength: 100 },
+    carrier:        { type: String, trim: true, maxlength: 50 },
+    processingAt:   { type: Date },
+    shippedAt:      { type: Date },
+    deliveredAt:    { type: Date },
   },
   { _id: false }
 );
 
+// ── Status history entry (append-only) ──────────────────────────────────────
+// Every field is immutable — entries are only ever pushed via recordStatus().
+const statusHistorySchema = new mongoose.Schema(
+  {
+    scope: {
+      type:      String,
+      enum:      ['order', 'subOrder'],
+      default:   'order',
+      immutable: true,
+    },
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },  // subOrder scope only
+    from:     { type: String, immutable: true },                                       // null on creation
+    to:       { type: String, required: true, immutable: true },
+    by:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },  // null for System
+    role:     { type: String, required: true, immutable: true },   // Admin | Vendor | Customer | System
+    note:     { type: String, maxlength: 500, immutable: true },
+    at:       { type: Date, default: Date.now, immutable: true },
+  },
+  { _id: false }
+);
+
+// ── Refund sub-document ───────────────────────────────────────────────────────
+const refundSchema = new mongoose.Schema(
+  {
+    stripeRefundId: { type: String },
+    status: {
+      type:    String,
+      enum:    ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    amount:         { type: Number, required: true },   // PKR, lines + shipping
+    shippingAmount: { type: Number, default: 0 },
+    // Per-vendor shipping reversed — subsidy = platform-funded free shipping handed back
+    shipping: [
+      {
+        vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        amount:   { type: Number, default: 0 },
+        subsidy:  { type: Number, default: 0 },
+        _id: false,
+      },
+    ],
+    items: [
+      {
+        product:      { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        variantId:    { type: mongoose.Schema.Types.ObjectId },
+        vendorId:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        qty:          { type: Number, default: 0 },    // 0 for lump-sum Stripe refunds
+        amount:       { type: Number, default: 0 },
+        platformFee:  { type: Number, default: 0 },    // fee reversed
+        vendorPayout: { type: Number, default: 0 },    // payout reversed
+        _id: false,
+      },
+    ],
+    reason: { type: String, maxlength: 500 },
+    source: {
+      type: String,
+      enum: ['admin', 'customer_cancel', 'stripe'],   // stripe = issued from the Stripe dashboard
+    },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
 // ── Shipping address sub-document ─────────────────────────────────────────────
 const shippingAddressSchema = new mongoose.Schema(
   {
@@ -68,16 +218,26 @@ const orderSchema = new mongoose.Schema(
       },
     },
 
+    subOrders: [subOrderSchema],
+
+    // Checked out from the saved cart — purchased lines leave the cart once paid
+    fromCart: { type: Boolean, default: false },
+
     shippingAddress: {
       type:     shippingAddressSchema,
       required: true,
     },
 
+    // Coupons redeemed on this order
+    discounts: [discountSchema],
+
     // Financials (all in PKR)
-    subtotal:        { type: Number, required: true },   // sum of all itemRevenue
+    subtotal:        { type: Number, required: true },   // sum of all itemRevenue (after discounts)
     platformFeeTotal:{ type: Number, default: 0 },       // sum of all platformFee (multi-vendor)
-    shippingCost:    { type: Number, default: 0 },
-    total:           { type: Number, required: true },   // subtotal + shippingCost
+    shippingCost:    { type: Number, default: 0 },       // sum of sub-order shipping (server-quoted)
+    shippingDiscount:{ type: Number, default: 0 },       // free-shipping coupons
+    discountTotal:   { type: Number, default: 0 },       // item + shipping discounts
+    total:           { type: Number, required: true },   // subtotal + shippingCost - shippingDiscount
 
     commissionRate: {
       type:    Number,
@@ -89,13 +249,47 @@ const orderSchema = new mongoose.Schema(
     stripeSessionId:  { type: String },
     stripePaymentIntentId: { type: String },
 
+    // Stock reservation — held at checkout, committed on payment,
+    // released when the Checkout session expires or is abandoned
+    reservation: {
+      status:     { type: String, enum: ['held', 'committed', 'released'] },
+      expiresAt:  { type: Date },
+      releasedAt: { type: Date },
+    },
+
+    // Failed payment attempts (payment_intent.payment_failed)
+    paymentFailures: [
+      {
+        stripePaymentIntentId: { type: String },
+        code:    { type: String },
+        message: { type: String },
+        at:      { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+
+    // Chargeback opened by the customer's bank (charge.dispute.created)
+    dispute: {
+      stripeDisputeId: { type: String },
+      status:   { type: String },
+      reason:   { type: String },
+      amount:   { type: Number },    // PKR
+      openedAt: { type: Date },
+    },
+
+    // Refunds
+    refunds:       [refundSchema],
+    refundedTotal: { type: Number, default: 0 },
+
     // Order lifecycle
     status: {
       type:    String,
-      enum:    ['Pending', 'Paid', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'],
+      enum:    ORDER_STATUSES,
       default: 'Pending',
     },
 
+    statusHistory: [statusHistorySchema],
+
     isPaid:    { type: Boolean, default: false },
     paidAt:    { type: Date },
     isDelivered: { type: Boolean, default: false },
@@ -112,34 +306,210 @@ const orderSchema = new mongoose.Schema(
 // ── Indexes ───────────────────────────────────────────────────────────────────
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ 'items.vendorId': 1, createdAt: -1 });   // vendor sales queries
+orderSchema.index({ 'subOrders.vendorId': 1, 'subOrders.status': 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ stripeSessionId: 1 });
+orderSchema.index({ stripePaymentIntentId: 1 });   // charge.refunded lookups
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });   // reservation sweeper
+
+// ── Derive the parent status from the vendor sub-orders ─────────────────────
+// Only applies once an order is paid — Pending / Cancelled / Refunded are set
+// explicitly and never overwritten by fulfilment progress.
+export const deriveOrderStatus = (currentStatus, subOrders) => {
+  if (!PAID_ORDER_STATUSES.includes(currentStatus)) return currentStatus;
+
+  const live = subOrders.filter((s) => s.status !== 'Cancelled');
+  if (live.length === 0) return 'Cancelled';
+
+  const count     = (status) => live.filter((s) => s.status === status).length;
+  const delivered = count('Delivered');
+  const shipped   = count('Shipped') + delivered;
+
+  if (delivered === live.length) return 'Delivered';
+  if (shipped === live.length)   return 'Shipped';
+  if (shipped > 0)               return 'Partially Shipped';
+  if (count('Processing') > 0)   return 'Processing';
+  return 'Paid';
+};
 
 // ── Pre-save: calculate all financial totals ──────────────────────────────────
 orderSchema.pre('save', function (next) {
+  // Single-store mode: no marketplace commission — fee and payout stay 0.
+  // Decided once, when the order is placed (commissionRate 0), so re-saving
+  // an order after the store mode changes never rewrites its fees.
+  if (this.isNew && isSingleStore()) this.commissionRate = 0;
+  const singleStore = this.commissionRate === 0;
+
   const rate = this.commissionRate || parseFloat(process.env.PLATFORM_COMMISSION_RATE) || 0.10;
 
   let subtotal = 0;
   let platformFeeTotal = 0;
+  let itemDiscounts = 0;
+  const vendorTotals = {};   // vendorId → { subtotal, platformFee, vendorPayout }
+
+  this.items.forEach((item) => {
+    const vendorDiscount   = item.vendorDiscount   || 0;
+    const platformDiscount = item.platformDiscount || 0;
+
+    // Vendor-funded discounts shrink the commission base;
+    // platform-funded discounts are paid for out of the platform fee
+    const vendorRevenue = item.price * item.qty - vendorDiscount;
+    const commission    = parseFloat((vendorRevenue * rate).toFixed(2));
 
-  this.items = this.items.map((item) => {
-    const itemRevenue  = item.price * item.qty;
-    const platformFee  = parseFloat((itemRevenue * rate).toFixed(2));
-    const vendorPayout = parseFloat((itemRevenue - platformFee).toFixed(2));
+    const itemRevenue  = parseFloat((vendorRevenue - platformDiscount).toFixed(2));
+    const platformFee  = singleStore ? 0 : parseFloat((commission - platformDiscount).toFixed(2));
+    const vendorPayout = singleStore ? 0 : parseFloat((vendorRevenue - commission).toFixed(2));
+    itemDiscounts     += vendorDiscount + platformDiscount;
+
+    item.itemRevenue  = itemRevenue;
+    item.platformFee  = platformFee;
+    item.vendorPayout = vendorPayout;
 
     subtotal        += itemRevenue;
     platformFeeTotal+= platformFee;
 
-    return { ...item, itemRevenue, platformFee, vendorPayout };
+    const vid = item.vendorId.toString();
+    vendorTotals[vid] ??= { subtotal: 0, platformFee: 0, vendorPayout: 0 };
+    vendorTotals[vid].subtotal     += itemRevenue;
+    vendorTotals[vid].platformFee  += platformFee;
+    vendorTotals[vid].vendorPayout += vendorPayout;
+  });
+
+  this.ensureSubOrders();
+  this.subOrders.forEach((sub) => {
+    const totals = vendorTotals[sub.vendorId.toString()];
+    if (!totals) return;
+    sub.subtotal     = parseFloat(totals.subtotal.toFixed(2));
+    sub.platformFee  = parseFloat(totals.platformFee.toFixed(2));
+    sub.vendorPayout = parseFloat(totals.vendorPayout.toFixed(2));
   });
 
+  const shipping = (this.shippingCost || 0) - (this.shippingDiscount || 0);
+
   this.subtotal         = parseFloat(subtotal.toFixed(2));
   this.platformFeeTotal = parseFloat(platformFeeTotal.toFixed(2));
-  this.total            = parseFloat((subtotal + (this.shippingCost || 0)).toFixed(2));
+  this.discountTotal    = parseFloat((itemDiscounts + (this.shippingDiscount || 0)).toFixed(2));
+  this.total            = parseFloat((subtotal + shipping).toFixed(2));
 
   next();
 });
 
+// ── Method: create a sub-order for every vendor that lacks one ───────────────
+// Also backfills orders created before sub-orders existed.
+orderSchema.methods.ensureSubOrders = function () {
+  this.items.forEach((item) => {
+    if (!this.getSubOrder(item.vendorId)) {
+      this.subOrders.push({ vendorId: item.vendorId, status: item.itemStatus });
+    }
+  });
+};
+
+// ── Method: find a vendor's sub-order ─────────────────────────────────────────
+orderSchema.methods.getSubOrder = function (vendorId) {
+  return this.subOrders.find((s) => s.vendorId.toString() === vendorId.toString());
+};
+
+// ── Method: append a status history entry ────────────────────────────────────
+// actor: { user, role, note } — role is Admin | Vendor | Customer | System
+orderSchema.methods.recordStatus = function ({ scope = 'order', vendorId, from, to, actor = {} }) {
+  this.statusHistory.push({
+    scope,
+    vendorId,
+    from,
+    to,
+    by:   actor.user,
+    role: actor.role || 'System',
+    note: actor.note,
+  });
+};
+
+// ── Method: move the parent order to a new status ─────────────────────────────
+// Legality is checked by the caller (utils/orderStateMachine.js).
+orderSchema.methods.transitionTo = function (status, actor = {}) {
+  const from = this.status;
+  if (from === status) return;
+
+  this.status = status;
+  if (status === 'Delivered' && !this.isDelivered) {
+    this.isDelivered = true;
+    this.deliveredAt = new Date();
+  }
+
+  this.recordStatus({ from, to: status, actor });
+};
+
+// Sets a sub-order's status, its timestamps and its items' itemStatus
+const applySubOrderStatus = (order, subOrder, status, details, actor) => {
+  const from = subOrder.status;
+  subOrder.status = status;
+  if (status === 'Processing') subOrder.processingAt = new Date();
+  if (status === 'Shipped')    subOrder.shippedAt    = new Date();
+  if (status === 'Delivered')  subOrder.deliveredAt  = new Date();
+  if (details.trackingNumber) subOrder.trackingNumber = details.trackingNumber;
+  if (details.carrier)        subOrder.carrier        = details.carrier;
+
+  order.items.forEach((item) => {
+    if (item.vendorId.toString() === subOrder.vendorId.toString()) item.itemStatus = status;
+  });
+
+  order.recordStatus({ scope: 'subOrder', vendorId: subOrder.vendorId, from, to: status, actor });
+};
+
+// ── Method: move one vendor's sub-order (and its items) to a new status ─────
+// Re-derives the parent order status afterwards; the derived change is
+// recorded as a System transition triggered by the same user. A derived
+// status the state machine doesn't allow (e.g. back from an admin's
+// Delivered override) leaves the parent as it is.
+orderSchema.methods.setSubOrderStatus = function (vendorId, status, details = {}, actor = {}) {
+  this.ensureSubOrders();
+  const subOrder = this.getSubOrder(vendorId);
+  if (!subOrder) return null;
+
+  applySubOrderStatus(this, subOrder, status, details, actor);
+
+  const derived = deriveOrderStatus(this.status, this.subOrders);
+  if (derived !== this.status && !checkOrderTransition(this.status, derived, 'System')) {
+    this.transitionTo(derived, {
+      user: actor.user,
+      role: 'System',
+      note: 'Derived from vendor fulfilment',
+    });
+  }
+
+  return subOrder;
+};
+
+// ── Method: bring sub-orders up to an overridden parent status ───────────────
+// After staff move the parent to Processing / Shipped / Delivered, every live
+// sub-order still behind it (and its items) is moved along, so fulfilment and
+// review eligibility agree with the parent. Nothing is moved backwards.
+orderSchema.methods.advanceSubOrders = function (status, actor = {}) {
+  if (!['Processing', 'Shipped', 'Delivered'].includes(status)) return;
+  const target = FULFILMENT_STATUSES.indexOf(status);
+
+  this.ensureSubOrders();
+  this.subOrders.forEach((sub) => {
+    if (sub.status === 'Cancelled' || FULFILMENT_STATUSES.indexOf(sub.status) >= target) return;
+    applySubOrderStatus(this, sub, status, {}, actor);
+  });
+};
+
+// ── Method: cancel every sub-order that hasn't been delivered ─────────────────
+// The caller moves the parent order itself (transitionTo).
+orderSchema.methods.cancelSubOrders = function (actor = {}) {
+  this.ensureSubOrders();
+  this.subOrders.forEach((sub) => {
+    if (['Cancelled', 'Delivered'].includes(sub.status)) return;
+
+    const from = sub.status;
+    sub.status = 'Cancelled';
+    this.items.forEach((item) => {
+      if (item.vendorId.toString() === sub.vendorId.toString()) item.itemStatus = 'Cancelled';
+    });
+    this.recordStatus({ scope: 'subOrder', vendorId: sub.vendorId, from, to: 'Cancelled', actor });
+  });
+};
+
 // ── Virtual: unique vendor IDs in this order ──────────────────────────────────
 orderSchema.virtual('involvedVendors').get(function () {
   return [...new Set(this.items.map((i) => i.vendorId.toString()))];
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// ── Settled order line (or a sub-order's shipping) ───────────────────────────
+const payoutItemSchema = new mongoose.Schema(
+  {
+    order:   { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    kind:    { type: String, enum: ['item', 'shipping'], default: 'item' },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },   // kind item
+    amount:  { type: Number, required: true },   // vendorPayout - refundedPayout, or shipping earned
+  },
+  { _id: false }
+);
+
+// ── Payout schema ─────────────────────────────────────────────────────────────
+// One per vendor per settlement run
+const payoutSchema = new mongoose.Schema(
+  {
+    vendorId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+    },
+
+    amount:   { type: Number, required: true, min: 0 },   // PKR
+    currency: { type: String, default: 'PKR' },
+    items:    [payoutItemSchema],
+
+    status: {
+      type:    String,
+      enum:    ['pending', 'processing', 'paid', 'failed'],
+      default: 'pending',
+    },
+
+    // stripe_connect → Stripe transfer to the vendor's linked account
+    // manual         → admin pays out-of-band and marks the payout paid
+    method: {
+      type: String,
+      enum: ['stripe_connect', 'manual'],
+      required: true,
+    },
+    stripeTransferId: { type: String },
+    reference:        { type: String, maxlength: 100 },   // manual bank ref
+
+    settlementRun:  { type: String, required: true },   // groups payouts created together
+    holdCutoff:     { type: Date },                     // delivered on/before this date
+    triggeredBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    failureReason: { type: String, maxlength: 500 },
+    paidAt:        { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+payoutSchema.index({ vendorId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+payoutSchema.index({ settlementRun: 1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+export default Payout;
@@ -1,38 +1,78 @@
 import mongoose from 'mongoose';
+import Review from './Review.js';
 
-// ── Predefined categories (Multi-vendor marketplace) ─────────────────────────
-export const PRODUCT_CATEGORIES = [
-  'Electronics',
-  'Clothing & Fashion',
-  'Food & Beverages',
-  'Handmade & Crafts',
-  'Home & Living',
-  'Books & Stationery',
-  'Health & Beauty',
-  'Sports & Outdoors',
-  'Toys & Kids',
-  'Digital Products',
-  'Jewellery & Accessories',
-  'Art & Collectibles',
-  'Automotive',
-  'Other',
-];
-
-// ── Review sub-document ───────────────────────────────────────────────────────
-const reviewSchema = new mongoose.Schema(
+// ── Variant option (e.g. Size: S / M / L) ────────────────────────────────────
+const optionSchema = new mongoose.Schema(
   {
-    user: {
-      type:     mongoose.Schema.Types.ObjectId,
-      ref:      'User',
-      required: true,
-    },
-    name:    { type: String, required: true },
-    rating:  { type: Number, required: true, min: 1, max: 5 },
-    comment: { type: String, required: true, maxlength: 1000 },
+    name:   { type: String, required: true, trim: true },      // e.g. "Size"
+    values: [{ type: String, required: true, trim: true }],    // e.g. ["S", "M", "L"]
   },
-  { timestamps: true }
+  { _id: false }
 );
 
+// ── Variant sub-document — one sellable combination (e.g. Size M / Red) ──────
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type:      String,
+    required:  [true, 'Each variant needs a SKU'],
+    trim:      true,
+    uppercase: true,
+  },
+  attributes: { type: Map, of: String, required: true },   // option name → value
+  price:      { type: Number, min: [0, 'Price cannot be negative'] },   // overrides product price
+  stock:      { type: Number, default: 0, min: [0, 'Stock cannot be negative'] },
+  image:      { type: String },                             // Cloudinary URL
+  isActive:   { type: Boolean, default: true },
+});
+
+/**
+ * variantCombinationError — checks variants against the product's options:
+ * every variant sets each option exactly once to one of its values, and no
+ * two variants share a combination or a SKU.
+ * @returns {string|null} first problem found, or null
+ */
+export const variantCombinationError = (options = [], variants = []) => {
+  if (variants.length === 0) return null;
+  if (options.length === 0) return 'Variants need at least one option (e.g. Size)';
+
+  const seen = new Set();
+  const skus = new Set();
+  for (const variant of variants) {
+    const attributes = variant.attributes instanceof Map
+      ? Object.fromEntries(variant.attributes)
+      : variant.attributes || {};
+
+    const names = Object.keys(attributes);
+    if (names.length !== options.length || options.some((o) => !names.includes(o.name))) {
+      return `Variant ${variant.sku} must set exactly: ${options.map((o) => o.name).join(', ')}`;
+    }
+
+    const invalid = options.find((o) => !o.values.includes(attributes[o.name]));
+    if (invalid) {
+      return `Variant ${variant.sku}: "${attributes[invalid.name]}" is not a valid ${invalid.name}`;
+    }
+
+    const key = options.map((o) => attributes[o.name]).join(' / ');
+    if (seen.has(key)) return `Duplicate variant combination: ${key}`;
+    seen.add(key);
+
+    const sku = variant.sku?.toUpperCase();
+    if (skus.has(sku)) return `Duplicate SKU: ${sku}`;
+    skus.add(sku);
+  }
+  return null;
+};
+
+/**
+ * variantLabel — human-readable combination, e.g. "Size: M / Colour: Red"
+ */
+export const variantLabel = (variant) => {
+  const attributes = variant.attributes instanceof Map
+    ? [...variant.attributes.entries()]
+    : Object.entries(variant.attributes || {});
+  return attributes.map(([name, value]) => `${name}: ${value}`).join(' / ');
+};
+
 // ── Product schema ────────────────────────────────────────────────────────────
 const productSchema = new mongoose.Schema(
   {
@@ -65,14 +105,14 @@ const productSchema = new mongoose.Schema(
       },
     },
 
+    // Where the product is filed, and that category's ids from the root down
+    // (so ?category= matches the whole subtree) — see utils/categories.js
     category: {
-      type:     String,
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'Category',
       required: [true, 'Category is required'],
-      enum:     {
-        values:  PRODUCT_CATEGORIES,
-        message: '{VALUE} is not a valid category',
-      },
     },
+    categoryPath: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
 
     stock: {
       type:    Number,
@@ -81,6 +121,13 @@ const productSchema = new mongoose.Schema(
       min:     [0, 'Stock cannot be negative'],
     },
 
+    // Shipping weight per unit (kg) — used by weight-based shipping rates
+    weight: {
+      type:    Number,
+      default: 0,
+      min:     [0, 'Weight cannot be negative'],
+    },
+
     // Multi-vendor: every product belongs to a Vendor
     vendorId: {
       type:     mongoose.Schema.Types.ObjectId,
@@ -88,18 +135,22 @@ const productSchema = new mongoose.Schema(
       required: [true, 'Vendor reference is required'],
     },
 
-    reviews:    [reviewSchema],
-    rating:     { type: Number, default: 0 },
-    numReviews: { type: Number, default: 0 },
+    // Totals over published reviews (the reviews live in their own collection),
+    // kept up to date by applyReviewRatings as reviews come and go
+    rating:       { type: Number, default: 0 },
+    numReviews:   { type: Number, default: 0 },
+    ratingCounts: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
 
-    // Optional variant fields (stretch)
-    variants: [
-      {
-        label: { type: String },          // e.g. "Size", "Colour"
-        options: [{ type: String }],      // e.g. ["S", "M", "L"]
-        _id: false,
-      },
-    ],
+    // Variants — options define the choices, variants the sellable combinations.
+    // A product with variants is bought per variant; its stock is their total.
+    options:  [optionSchema],
+    variants: [variantSchema],
 
     // Soft delete — product stays in DB for order history
     isActive: { type: Boolean, default: true },
@@ -114,10 +165,32 @@ const productSchema = new mongoose.Schema(
 
 // ── Indexes ───────────────────────────────────────────────────────────────────
 productSchema.index({ category: 1, isActive: 1 });
+productSchema.index({ categoryPath: 1, isActive: 1 });
 productSchema.index({ vendorId: 1, isActive: 1 });
 productSchema.index({ name: 'text', description: 'text', tags: 'text' }); // full-text search
 productSchema.index({ price: 1 });
 productSchema.index({ stock: 1 });   // for low-stock alerts
+productSchema.index(
+  { vendorId: 1, 'variants.sku': 1 },   // SKUs are the store's own codes — unique per store
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// ── Pre-validate: variant combinations must match the options ────────────────
+productSchema.pre('validate', function (next) {
+  const error = variantCombinationError(this.options, this.variants);
+  if (error) this.invalidate('variants', error);
+  next();
+});
+
+// ── Pre-save: product stock is the sum of its variants' stock ────────────────
+productSchema.pre('save', function (next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants
+      .filter((v) => v.isActive)
+      .reduce((sum, v) => sum + v.stock, 0);
+  }
+  next();
+});
 
 // ── Virtual: stockStatus ──────────────────────────────────────────────────────
 productSchema.virtual('stockStatus').get(function () {
@@ -126,16 +199,69 @@ productSchema.virtual('stockStatus').get(function () {
   return 'in_stock';
 });
 
-// ── Method: recalculate average rating after a new review ────────────────────
-productSchema.methods.recalculateRating = function () {
-  if (this.reviews.length === 0) {
-    this.rating = 0;
-    this.numReviews = 0;
-  } else {
-    this.numReviews = this.reviews.length;
-    this.rating =
-      this.reviews.reduce((acc, r) => acc + r.rating, 0) / this.numReviews;
-  }
+// ── Method: find an active variant by id ──────────────────────────────────────
+productSchema.methods.getVariant = function (variantId) {
+  if (!variantId) return null;
+  const variant = this.variants.id(variantId);
+  return variant?.isActive ? variant : null;
+};
+
+// ── Statics: rating totals ────────────────────────────────────────────────────
+const STARS = [1, 2, 3, 4, 5];
+
+// Second pipeline stage — numReviews and the average from the per-star counts
+const ratingFromCounts = {
+  $set: {
+    numReviews: { $add: STARS.map((star) => `$ratingCounts.${star}`) },
+    rating: {
+      $let: {
+        vars: { total: { $add: STARS.map((star) => `$ratingCounts.${star}`) } },
+        in: {
+          $cond: [
+            { $gt: ['$$total', 0] },
+            { $divide: [{ $add: STARS.map((star) => ({ $multiply: [star, `$ratingCounts.${star}`] })) }, '$$total'] },
+            0,
+          ],
+        },
+      },
+    },
+  },
+};
+
+/**
+ * applyReviewRatings — moves the product's totals by one published review
+ * coming in and/or one going out, in a single atomic update.
+ *   new review:    { added: 5 }
+ *   rating edited: { added: 4, removed: 5 }
+ *   hidden/deleted { removed: 4 }
+ */
+productSchema.statics.applyReviewRatings = function (productId, { added, removed } = {}) {
+  if (added === removed) return Promise.resolve();
+
+  const counts = {};
+  STARS.forEach((star) => {
+    const delta = (star === added) - (star === removed);
+    counts[star] = { $add: [{ $ifNull: [`$ratingCounts.${star}`, 0] }, delta] };
+  });
+
+  return this.updateOne({ _id: productId }, [{ $set: { ratingCounts: counts } }, ratingFromCounts]);
+};
+
+/**
+ * recalculateRatings — rebuilds the product's totals from its published
+ * reviews. For migrations and repairs; day-to-day changes go through
+ * applyReviewRatings.
+ */
+productSchema.statics.recalculateRatings = async function (productId) {
+  const perStar = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const counts = Object.fromEntries(STARS.map((star) => [star, 0]));
+  perStar.forEach(({ _id, count }) => { counts[_id] = count; });
+
+  return this.updateOne({ _id: productId }, [{ $set: { ratingCounts: counts } }, ratingFromCounts]);
 };
 
 const Product = mongoose.model('Product', productSchema);
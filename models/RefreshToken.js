@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// ── Refresh token schema ──────────────────────────────────────────────────────
+// One document per issued refresh token. Tokens rotate on every refresh; all
+// tokens descended from one login share a family (= one session / device).
+// Only a SHA-256 hash is stored — the raw token is never persisted.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+    },
+    family:    { type: String, required: true },   // session id (sid claim on access tokens)
+    tokenHash: { type: String, required: true, unique: true },
+
+    expiresAt: { type: Date, required: true },
+    usedAt:    { type: Date },    // rotated — presenting it again is reuse
+    revokedAt: { type: Date },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout', 'logout_all', 'reuse_detected', 'password_changed', 'account_disabled',
+        'two_factor_enabled', 'two_factor_reset',
+      ],
+    },
+
+    // Device info — shown to the user when listing sessions
+    userAgent: { type: String, maxlength: 300 },
+    ip:        { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });   // Mongo purges expired tokens
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+export default RefreshToken;
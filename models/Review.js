@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+export const REVIEW_REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'personal_info', 'other'];
+
+// ── Review ────────────────────────────────────────────────────────────────────
+// One document per customer per product. Only customers with a delivered
+// order for the product can review it (verifiedPurchase is false only on
+// reviews written before that rule). The product keeps the running totals —
+// see Product.applyReviewRatings.
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'Product',
+      required: true,
+    },
+    user: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+    },
+    name:    { type: String, required: true },
+    rating:  { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, required: true, maxlength: 1000 },
+
+    verifiedPurchase: { type: Boolean, default: false },
+    order:            { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },   // the delivered order
+    editedAt:         { type: Date },
+
+    // Moderation — hidden reviews are left out of listings and the rating
+    status: { type: String, enum: ['published', 'hidden'], default: 'published' },
+    reports: [
+      {
+        user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason:    { type: String, enum: REVIEW_REPORT_REASONS },
+        note:      { type: String, maxlength: 500 },
+        createdAt: { type: Date, default: Date.now },
+        _id:       false,
+      },
+    ],
+    openReports: { type: Number, default: 0 },   // reports since the last moderation decision
+    moderation: {
+      action: { type: String, enum: ['dismiss', 'hide', 'restore'] },
+      by:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      note:   { type: String, maxlength: 500 },
+      at:     { type: Date },
+    },
+
+    // One public reply from the store
+    reply: {
+      text:      { type: String, maxlength: 1000 },
+      by:        { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      createdAt: { type: Date },
+      updatedAt: { type: Date },
+    },
+  },
+  { timestamps: true }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });   // one review per customer
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });    // product page, newest first
+reviewSchema.index({ product: 1, status: 1, rating: -1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+reviewSchema.index({ createdAt: -1 });
+reviewSchema.index(
+  { openReports: -1, createdAt: 1 },
+  { partialFilterExpression: { openReports: { $gt: 0 } } }        // moderation queue
+);
+
+/**
+ * publicReview — a review without its reports, moderation notes or order
+ * reference, which stay between the author, the store and moderators
+ */
+export const publicReview = (review) => {
+  const { reports, openReports, moderation, order, ...rest } =
+    typeof review.toObject === 'function' ? review.toObject() : review;
+  return rest;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+export default Review;
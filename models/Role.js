@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../config/permissions.js';
+
+// ── Role schema ───────────────────────────────────────────────────────────────
+// Maps a role name to the permissions it grants (see config/permissions.js).
+// Platform roles are held by Staff accounts (User.staffRole); store roles by
+// vendor team members (VendorMember.role).
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type:      String,
+      required:  [true, 'Role name is required'],
+      unique:    true,
+      lowercase: true,
+      trim:      true,
+      match:     [/^[a-z][a-z0-9_]{1,39}$/, 'Role name must be snake_case (2–40 characters)'],
+    },
+    label: { type: String, required: true, trim: true, maxlength: 60 },
+
+    scope: {
+      type:     String,
+      enum:     ['platform', 'store'],
+      required: true,
+    },
+
+    permissions: {
+      type:     [String],
+      default:  [],
+      validate: {
+        validator: (perms) => perms.every((p) => p === '*' || PERMISSIONS[p]),
+        message:   'Unknown permission',
+      },
+    },
+
+    // Holders must turn on two-factor authentication before using the role
+    requireTwoFactor: { type: Boolean, default: false },
+
+    isSystem: { type: Boolean, default: false },   // built-in — can't be deleted
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Pre-validate: store roles only grant store permissions ────────────────────
+roleSchema.pre('validate', function (next) {
+  if (this.scope === 'store' &&
+      this.permissions.some((p) => p === '*' || PERMISSIONS[p]?.scope !== 'store')) {
+    this.invalidate('permissions', 'Store roles can only grant store permissions');
+  }
+  next();
+});
+
+const Role = mongoose.model('Role', roleSchema);
+export default Role;
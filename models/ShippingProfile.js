@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// ── Weight tier ───────────────────────────────────────────────────────────────
+const weightTierSchema = new mongoose.Schema(
+  {
+    upToKg: { type: Number, required: true, min: 0 },
+    rate:   { type: Number, required: true, min: 0 },   // PKR
+  },
+  { _id: false }
+);
+
+// ── Rate rule ─────────────────────────────────────────────────────────────────
+// The most specific rule wins: province + city, then province, then '*'.
+const shippingRateSchema = new mongoose.Schema(
+  {
+    province: { type: String, required: true, trim: true },   // '*' = everywhere else
+    city:     { type: String, trim: true },                   // optional — narrows the rule
+
+    method: {
+      type:    String,
+      enum:    ['flat', 'weight'],
+      default: 'flat',
+    },
+    flatRate:   { type: Number, min: 0, default: 0 },   // method flat (per vendor sub-order)
+    tiers:      [weightTierSchema],                     // method weight — sorted by upToKg
+    extraPerKg: { type: Number, min: 0, default: 0 },   // per kg above the last tier
+  },
+  { _id: false }
+);
+
+// ── Shipping profile schema ───────────────────────────────────────────────────
+// One per vendor. Vendors without a profile ship at DEFAULT_SHIPPING_RATE.
+const shippingProfileSchema = new mongoose.Schema(
+  {
+    vendorId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+      unique:   true,
+    },
+
+    rates: [shippingRateSchema],
+
+    // Free shipping once this vendor's items reach this amount (before coupons)
+    freeShippingThreshold: { type: Number, min: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Pre-save: keep weight tiers in ascending order ────────────────────────────
+shippingProfileSchema.pre('save', function (next) {
+  this.rates.forEach((rate) => rate.tiers.sort((a, b) => a.upToKg - b.upToKg));
+  next();
+});
+
+const ShippingProfile = mongoose.model('ShippingProfile', shippingProfileSchema);
+export default ShippingProfile;
@@ -13,6 +13,80 @@ const storeInfoSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// ── Address book ──────────────────────────────────────────────────────────────
+export const PAKISTAN_PROVINCES = [
+  'Punjab', 'Sindh', 'Khyber Pakhtunkhwa', 'Balochistan',
+  'Islamabad Capital Territory', 'Gilgit-Baltistan', 'Azad Jammu and Kashmir',
+];
+export const MAX_ADDRESSES = 10;
+
+const addressSchema = new mongoose.Schema(
+  {
+    label:     { type: String, trim: true, maxlength: 30, default: 'Home' },   // Home, Office…
+    fullName:  { type: String, required: true, trim: true, maxlength: 80 },
+    phone:     { type: String, required: true, trim: true, maxlength: 20 },
+    street:    { type: String, required: true, trim: true, maxlength: 200 },
+    city:      { type: String, required: true, trim: true, maxlength: 60 },
+    province:  { type: String, required: true, enum: PAKISTAN_PROVINCES },
+    zip:       { type: String, trim: true, maxlength: 10 },
+    isDefault: { type: Boolean, default: false },
+  }
+);
+
+// ── Vendor onboarding ─────────────────────────────────────────────────────────
+// pending → approved | rejected; approved ⇄ suspended; a rejected vendor can
+// fix their details and resubmit (back to pending).
+export const VENDOR_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+export const VENDOR_DOCUMENT_TYPES = [
+  'cnic', 'business_registration', 'tax_certificate', 'bank_statement', 'other',
+];
+
+const vendorDocumentSchema = new mongoose.Schema(
+  {
+    type:       { type: String, enum: VENDOR_DOCUMENT_TYPES, required: true },
+    url:        { type: String, required: true },   // Cloudinary URL (vendor-docs folder, authenticated)
+    publicId:   { type: String },
+    uploadedAt: { type: Date, default: Date.now },
+  }
+);
+
+const vendorApplicationSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: VENDOR_STATUSES, default: 'pending' },
+
+    business: {
+      legalName:          { type: String, trim: true, maxlength: 120 },
+      businessType:       { type: String, enum: ['individual', 'sole_proprietor', 'partnership', 'company'] },
+      registrationNumber: { type: String, trim: true, maxlength: 50 },   // SECP / business registration
+      taxId:              { type: String, trim: true, maxlength: 30 },   // NTN
+      phone:              { type: String, trim: true, maxlength: 20 },
+      address: {
+        line1:      { type: String, trim: true, maxlength: 200 },
+        city:       { type: String, trim: true, maxlength: 60 },
+        province:   { type: String, trim: true, maxlength: 60 },
+        postalCode: { type: String, trim: true, maxlength: 10 },
+      },
+    },
+    documents: [vendorDocumentSchema],
+
+    submittedAt: { type: Date },   // unset until the vendor sends their details
+    reviewedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt:  { type: Date },
+    reason:      { type: String, maxlength: 500 },   // why it was rejected / suspended
+
+    history: [
+      {
+        status: { type: String, enum: VENDOR_STATUSES },
+        reason: { type: String },
+        by:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at:     { type: Date, default: Date.now },
+        _id:    false,
+      },
+    ],
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -32,6 +106,10 @@ const userSchema = new mongoose.Schema(
       match:     [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
     },
 
+    // Set once the user opens the link from the verification email
+    emailVerified:   { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+
     password: {
       type:      String,
       required:  [true, 'Password is required'],
@@ -41,19 +119,44 @@ const userSchema = new mongoose.Schema(
 
     role: {
       type:    String,
-      enum:    ['Admin', 'Vendor', 'Customer'],
+      enum:    ['Admin', 'Staff', 'Vendor', 'Customer'],
       default: 'Customer',
     },
 
+    // Staff only — platform Role.name (support_agent, finance, …)
+    staffRole: { type: String },
+
     // Vendor-specific store details (only populated when role = Vendor)
     storeInfo: {
       type:    storeInfoSchema,
       default: null,
     },
 
-    // Profile avatar (optional)
+    // Vendor onboarding — a vendor can only sell once approved
+    vendorApplication: {
+      type:    vendorApplicationSchema,
+      default: undefined,
+    },
+
+    // Vendor payout destination — Stripe Connect (Express) account
+    payoutAccount: {
+      stripeAccountId: { type: String },
+      payoutsEnabled:  { type: Boolean, default: false },   // transfers capability active
+      linkedAt:        { type: Date },
+    },
+
+    // Profile avatar (optional) — uploaded through POST /api/upload (purpose 'avatar')
     avatar: { type: String },
 
+    // Saved delivery addresses — createOrder accepts an addressId from here
+    addresses: {
+      type:     [addressSchema],
+      validate: {
+        validator: (list) => list.length <= MAX_ADDRESSES,
+        message:   `You can save up to ${MAX_ADDRESSES} addresses`,
+      },
+    },
+
     isActive: {
       type:    Boolean,
       default: true,
@@ -61,6 +164,28 @@ const userSchema = new mongoose.Schema(
 
     // Track last login for security audits
     lastLogin: { type: Date },
+
+    // Failed sign-ins — see utils/loginSecurity.js
+    loginSecurity: {
+      failedAttempts: { type: Number, default: 0 },   // since the last success or lockout
+      lockouts:       { type: Number, default: 0 },   // since the last success — each doubles the next
+      lockedUntil:    { type: Date },
+      lastFailedAt:   { type: Date },
+    },
+
+    // Two-factor authentication (TOTP) — see utils/twoFactor.js
+    twoFactor: {
+      enabled:       { type: Boolean, default: false },
+      enabledAt:     { type: Date },
+      secret:        { type: String, select: false },     // encrypted
+      pendingSecret: { type: String, select: false },     // set up, awaiting the first code
+      recoveryCodes: { type: [String], select: false },   // sha256 hashes, removed once used
+      lastUsedStep:  { type: Number, select: false },     // a code can't be used twice
+    },
+
+    // Bumped to invalidate every access token issued so far
+    // (logout everywhere, password change, deactivation)
+    tokenVersion: { type: Number, default: 0 },
   },
   {
     timestamps: true,   // adds createdAt + updatedAt
@@ -70,6 +195,8 @@ const userSchema = new mongoose.Schema(
 // ── Indexes ───────────────────────────────────────────────────────────────────
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ 'payoutAccount.stripeAccountId': 1 }, { sparse: true });
+userSchema.index({ 'vendorApplication.status': 1, 'vendorApplication.submittedAt': 1 });
 
 // ── Pre-save hook: hash password before saving ────────────────────────────────
 userSchema.pre('save', async function (next) {
@@ -84,10 +211,39 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return bcrypt.compare(enteredPassword, this.password);
 };
 
+// ── Instance method: vendor onboarding status ────────────────────────────────
+// Vendors that signed up before onboarding existed have no application and
+// count as approved.
+userSchema.methods.vendorStatus = function () {
+  if (this.role !== 'Vendor') return null;
+  return this.vendorApplication?.status || 'approved';
+};
+
+// ── Instance method: move the application to a new status ────────────────────
+userSchema.methods.setVendorStatus = function (status, { by, reason } = {}) {
+  this.vendorApplication ??= {};
+  const app = this.vendorApplication;
+  app.status = status;
+  app.reason = reason;
+  if (by) {
+    app.reviewedBy = by;
+    app.reviewedAt = new Date();
+  }
+  app.history.push({ status, reason, by });
+};
+
+// ── Instance method: saved address by id, or the default ─────────────────────
+userSchema.methods.findAddress = function (addressId) {
+  if (addressId) return this.addresses.id(addressId);
+  return this.addresses.find((a) => a.isDefault) || null;
+};
+
 // ── Strip sensitive fields from JSON output ───────────────────────────────────
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.tokenVersion;
+  if (obj.twoFactor) obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
   return obj;
 };
 
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// ── Vendor team member schema ─────────────────────────────────────────────────
+// A user working for a vendor's store with a store role (see Role).
+// Starts as an emailed invite; becomes active once the invitee accepts with an
+// account registered to the invited address. A user belongs to one store.
+const vendorMemberSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+    },
+    email: {
+      type:      String,
+      required:  true,
+      lowercase: true,
+      trim:      true,
+    },
+    role: { type: String, required: true },   // Role.name (store scope)
+
+    status: {
+      type:    String,
+      enum:    ['invited', 'active'],
+      default: 'invited',
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },   // set on accept
+
+    // Invite link — only a SHA-256 hash is stored
+    inviteTokenHash: { type: String },
+    inviteExpiresAt: { type: Date },
+    invitedBy:       { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    joinedAt:        { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+vendorMemberSchema.index({ vendor: 1, email: 1 }, { unique: true });
+vendorMemberSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+vendorMemberSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }   // one store per user
+);
+
+const VendorMember = mongoose.model('VendorMember', vendorMemberSchema);
+export default VendorMember;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// ── Stripe webhook event log ──────────────────────────────────────────────────
+// One document per Stripe event id. The unique index is what makes webhook
+// processing exactly-once: a retried delivery finds the event already claimed.
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type:     String,
+      required: true,
+      unique:   true,   // Stripe event id (evt_...)
+    },
+    type:     { type: String, required: true },   // e.g. checkout.session.completed
+    livemode: { type: Boolean, default: false },
+
+    // Full Stripe event as received — used for replays
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    status: {
+      type:    String,
+      enum:    ['processing', 'processed', 'failed', 'ignored'],   // ignored = no handler
+      default: 'processing',
+    },
+    outcome:     { type: String },    // what the handler did
+    error:       { type: String },    // last failure message
+    attempts:    { type: Number, default: 1 },
+    processedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+export default WebhookEvent;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// ── Wishlist item ─────────────────────────────────────────────────────────────
+// One document per saved (user, product). The alert flags opt the customer in
+// to back-in-stock and price-drop notifications for that product.
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    user:    { type: mongoose.Schema.Types.ObjectId, ref: 'User',    required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+
+    priceWhenAdded: { type: Number },   // PKR — shows "price dropped since you saved it"
+
+    // Back-in-stock fires once and switches itself off; price-drop stays on
+    notifyBackInStock: { type: Boolean, default: false },
+    notifyPriceDrop:   { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+wishlistItemSchema.index({ user: 1, product: 1 }, { unique: true });
+wishlistItemSchema.index({ user: 1, createdAt: -1 });
+wishlistItemSchema.index({ product: 1, notifyBackInStock: 1 });
+wishlistItemSchema.index({ product: 1, notifyPriceDrop: 1 });
+
+const WishlistItem = mongoose.model('WishlistItem', wishlistItemSchema);
+export default WishlistItem;
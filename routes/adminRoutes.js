@@ -3,19 +3,97 @@ import {
   getPlatformStats,
   getAllUsers,
   toggleUserStatus,
+  resetUserTwoFactor,
+  getUserSecurity,
+  unlockUser,
+  getLoginEvents,
   getCommissionSummary,
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+  runPayoutSettlement,
+  getPayouts,
+  updatePayoutStatus,
+  getVendorApplications,
+  getVendorApplicationById,
+  reviewVendorApplication,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  setStaffRole,
+  getAuditLogs,
 } from '../controllers/adminController.js';
+import { getReportedReviews, moderateReview } from '../controllers/reviewController.js';
+import {
+  getAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../controllers/categoryController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { adminOnly } from '../middleware/roleMiddleware.js';
-import { validateMongoId, validate } from '../middleware/validate.js';
+import { authorise } from '../middleware/roleMiddleware.js';
+import { multiVendorOnly } from '../middleware/storeModeMiddleware.js';
+import {
+  validateMongoId,
+  validateSettlementRun,
+  validatePayoutUpdate,
+  validatePayoutQuery,
+  validateApplicationReview,
+  validateApplicationQuery,
+  validateCreateRole,
+  validateUpdateRole,
+  validateStaffRole,
+  validateWebhookQuery,
+  validateAuditQuery,
+  validateLoginEventQuery,
+  validateReviewId,
+  validateReviewModeration,
+  validateCreateCategory,
+  validateUpdateCategory,
+  validate,
+} from '../middleware/validate.js';
 
 const router = express.Router();
 
-router.use(protect, adminOnly);
+// Every route needs a signed-in user; each then needs its own permission
+router.use(protect);
+
+router.get('/stats',      authorise('reports:read'), getPlatformStats);
+router.get('/users',      authorise('users:read'),   getAllUsers);
+router.put('/users/:id',  authorise('users:manage'), validateMongoId, validate, toggleUserStatus);
+router.get('/users/:id/security',   authorise('users:read'),   validateMongoId, validate, getUserSecurity);
+router.put('/users/:id/unlock',     authorise('users:manage'), validateMongoId, validate, unlockUser);
+router.delete('/users/:id/2fa',     authorise('users:manage'), validateMongoId, validate, resetUserTwoFactor);
+router.get('/login-events',         authorise('users:read'),   validateLoginEventQuery, validate, getLoginEvents);
+router.put('/users/:id/staff-role', authorise('roles:manage'), validateMongoId, validateStaffRole, validate, setStaffRole);
+router.get('/commission', authorise('reports:read'), multiVendorOnly, getCommissionSummary);
+
+router.get('/vendor-applications',     authorise('vendors:review'), multiVendorOnly, validateApplicationQuery, validate, getVendorApplications);
+router.get('/vendor-applications/:id', authorise('vendors:review'), multiVendorOnly, validateMongoId, validate, getVendorApplicationById);
+router.put('/vendor-applications/:id', authorise('vendors:review'), multiVendorOnly, validateMongoId, validateApplicationReview, validate, reviewVendorApplication);
+
+router.get('/webhooks',             authorise('webhooks:manage'), validateWebhookQuery, validate, getWebhookEvents);
+router.get('/webhooks/:id',         authorise('webhooks:manage'), validateMongoId, validate, getWebhookEventById);
+router.post('/webhooks/:id/replay', authorise('webhooks:manage'), validateMongoId, validate, replayWebhookEvent);
+
+router.post('/payouts/run', authorise('payouts:manage'), multiVendorOnly, validateSettlementRun, validate, runPayoutSettlement);
+router.get('/payouts',      authorise('payouts:manage'), multiVendorOnly, validatePayoutQuery, validate, getPayouts);
+router.put('/payouts/:id',  authorise('payouts:manage'), multiVendorOnly, validateMongoId, validatePayoutUpdate, validate, updatePayoutStatus);
+
+router.get('/roles',        authorise('roles:manage'), getRoles);
+router.post('/roles',       authorise('roles:manage'), validateCreateRole, validate, createRole);
+router.put('/roles/:id',    authorise('roles:manage'), validateMongoId, validateUpdateRole, validate, updateRole);
+router.delete('/roles/:id', authorise('roles:manage'), validateMongoId, validate, deleteRole);
+
+router.get('/categories',        authorise('categories:manage'), getAdminCategories);
+router.post('/categories',       authorise('categories:manage'), validateCreateCategory, validate, createCategory);
+router.put('/categories/:id',    authorise('categories:manage'), validateMongoId, validateUpdateCategory, validate, updateCategory);
+router.delete('/categories/:id', authorise('categories:manage'), validateMongoId, validate, deleteCategory);
+
+router.get('/reviews/reported', authorise('products:moderate'), getReportedReviews);
+router.put('/reviews/:reviewId',  authorise('products:moderate'), validateReviewId, validateReviewModeration, validate, moderateReview);
 
-router.get('/stats',      getPlatformStats);
-router.get('/users',      getAllUsers);
-router.put('/users/:id',  validateMongoId, validate, toggleUserStatus);
-router.get('/commission', getCommissionSummary);
+router.get('/audit', authorise('audit:read'), validateAuditQuery, validate, getAuditLogs);
 
 export default router;
@@ -1,19 +1,80 @@
 import express from 'express';
-import { register, login, getProfile, updateProfile } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  loginTwoFactor,
+  getProfile,
+  updateProfile,
+  refreshSession,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+} from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} from '../controllers/addressController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { authLimiter } from '../middleware/rateLimiter.js';
+import { apiLimiter, authLimiter } from '../middleware/rateLimiter.js';
 import {
   validateRegister,
   validateLogin,
   validateUpdateProfile,
+  validateRefreshToken,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateAddress,
+  validateAddressUpdate,
+  validateMongoId,
   validate,
 } from '../middleware/validate.js';
 
 const router = express.Router();
 
-router.post('/register', authLimiter, validateRegister,     validate, register);
-router.post('/login',    authLimiter, validateLogin,        validate, login);
-router.get('/profile',   protect,                                     getProfile);
-router.put('/profile',   protect,    validateUpdateProfile, validate, updateProfile);
+router.post('/register',   authLimiter, validateRegister,     validate, register);
+router.post('/login',      authLimiter, validateLogin,        validate, login);
+router.post('/login/2fa',  authLimiter, validateTwoFactorLogin, validate, loginTwoFactor);
+router.post('/refresh',    apiLimiter,  validateRefreshToken, validate, refreshSession);
+router.post('/logout',                  validateRefreshToken, validate, logout);
+router.post('/logout-all', protect,                                     logoutAll);
+router.get('/profile',     protect,                                     getProfile);
+router.put('/profile',     protect,     validateUpdateProfile, validate, updateProfile);
+
+// Address book — createOrder takes an addressId from here
+router.get('/profile/addresses',             protect,                                                  getAddresses);
+router.post('/profile/addresses',            protect, validateAddress,                       validate, addAddress);
+router.put('/profile/addresses/:id',         protect, validateMongoId, validateAddressUpdate, validate, updateAddress);
+router.put('/profile/addresses/:id/default', protect, validateMongoId,                       validate, setDefaultAddress);
+router.delete('/profile/addresses/:id',      protect, validateMongoId,                       validate, deleteAddress);
+
+// Email verification + password reset (tokens arrive by email)
+router.post('/verify-email',        apiLimiter,           validateVerifyEmail,    validate, verifyEmail);
+router.post('/verify-email/resend', authLimiter, protect,                                   resendVerificationEmail);
+router.post('/forgot-password',     authLimiter,          validateForgotPassword, validate, forgotPassword);
+router.post('/reset-password',      authLimiter,          validateResetPassword,  validate, resetPassword);
+
+// Two-factor authentication (TOTP + recovery codes)
+router.get('/2fa',                 protect,                                                  getTwoFactorStatus);
+router.post('/2fa/setup',          authLimiter, protect,                                     setupTwoFactor);
+router.post('/2fa/enable',         authLimiter, protect, validateTwoFactorCode,    validate, enableTwoFactor);
+router.post('/2fa/disable',        authLimiter, protect, validateTwoFactorDisable, validate, disableTwoFactor);
+router.post('/2fa/recovery-codes', authLimiter, protect, validateTwoFactorCode,    validate, regenerateRecoveryCodes);
 
 export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+} from '../controllers/cartController.js';
+import { protect, optionalProtect } from '../middleware/authMiddleware.js';
+import {
+  validateAddCartItem,
+  validateUpdateCartItem,
+  validateCartProductId,
+  validateMergeCart,
+  validate,
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Guests identify their cart with the X-Cart-Id header; signed-in users by token
+router.get('/',                    optionalProtect,                                  getCart);
+router.delete('/',                 optionalProtect,                                  clearCart);
+router.post('/items',              optionalProtect, validateAddCartItem,    validate, addCartItem);
+router.put('/items/:productId',    optionalProtect, validateUpdateCartItem, validate, updateCartItem);
+router.delete('/items/:productId', optionalProtect, validateCartProductId,  validate, removeCartItem);
+router.post('/merge',              protect,         validateMergeCart,      validate, mergeCart);
+
+export default router;
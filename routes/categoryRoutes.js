@@ -0,0 +1,9 @@
+import express from 'express';
+import { getCategories } from '../controllers/categoryController.js';
+
+const router = express.Router();
+
+// Public — the tree shoppers browse (admins edit it under /api/admin/categories)
+router.get('/', getCategories);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  createCoupon,
+  getCoupons,
+  updateCoupon,
+  deleteCoupon,
+  previewCoupons,
+} from '../controllers/couponController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorise } from '../middleware/roleMiddleware.js';
+import {
+  validateCreateCoupon,
+  validateUpdateCoupon,
+  validatePreviewCoupons,
+  validateMongoId,
+  validate,
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Customer — check codes against the saved cart before checkout
+router.post('/preview', protect, validatePreviewCoupons, validate, previewCoupons);
+
+// Store team (own coupons) / platform (any coupon)
+const canManageCoupons = authorise('coupons:manage', 'coupons:platform');
+
+router.get('/',       protect, canManageCoupons,                                       getCoupons);
+router.post('/',      protect, canManageCoupons, validateCreateCoupon,       validate, createCoupon);
+router.put('/:id',    protect, canManageCoupons, validateMongoId, validateUpdateCoupon, validate, updateCoupon);
+router.delete('/:id', protect, canManageCoupons, validateMongoId,             validate, deleteCoupon);
+
+export default router;
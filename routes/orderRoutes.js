@@ -5,13 +5,19 @@ import {
   getVendorSales,
   getAllOrders,
   getOrderById,
+  getOrderTimeline,
   updateOrderStatus,
+  cancelOrder,
+  refundOrder,
 } from '../controllers/orderController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { adminOnly, vendorOnly } from '../middleware/roleMiddleware.js';
+import { authorise } from '../middleware/roleMiddleware.js';
+import { multiVendorOnly } from '../middleware/storeModeMiddleware.js';
 import {
   validateCreateOrder,
   validateOrderStatus,
+  validateCancelOrder,
+  validateRefund,
   validateMongoId,
   validate,
 } from '../middleware/validate.js';
@@ -20,9 +26,12 @@ const router = express.Router();
 
 router.post('/',            protect,             validateCreateOrder,  validate, createOrder);
 router.get('/mine',         protect,             getMyOrders);
-router.get('/vendor/sales', protect, vendorOnly, getVendorSales);
-router.get('/',             protect, adminOnly,  getAllOrders);
+router.get('/vendor/sales', protect, multiVendorOnly, authorise('sales:read', 'orders:fulfil'), getVendorSales);
+router.get('/',             protect, authorise('orders:read'), getAllOrders);
 router.get('/:id',          protect, validateMongoId, validate,       getOrderById);
-router.put('/:id/status',   protect, vendorOnly, validateMongoId, validateOrderStatus, validate, updateOrderStatus);
+router.get('/:id/timeline', protect, validateMongoId, validate,       getOrderTimeline);
+router.put('/:id/status',   protect, authorise('orders:fulfil', 'orders:manage'), validateMongoId, validateOrderStatus, validate, updateOrderStatus);
+router.post('/:id/cancel',  protect,             validateMongoId, validateCancelOrder, validate, cancelOrder);
+router.post('/:id/refund',  protect, authorise('orders:refund'), validateMongoId, validateRefund, validate, refundOrder);
 
 export default router;
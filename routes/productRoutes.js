@@ -6,32 +6,60 @@ import {
   updateProduct,
   deleteProduct,
   getMyProducts,
-  addReview,
+  getSuggestions,
 } from '../controllers/productController.js';
+import {
+  getProductReviews,
+  addReview,
+  updateReview,
+  deleteReview,
+  reportReview,
+  replyToReview,
+  deleteReviewReply,
+} from '../controllers/reviewController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { vendorOnly } from '../middleware/roleMiddleware.js';
+import { authorise, verifiedEmailOnly } from '../middleware/roleMiddleware.js';
+import { suggestLimiter } from '../middleware/rateLimiter.js';
 import {
   validateCreateProduct,
   validateUpdateProduct,
   validateReview,
+  validateReviewUpdate,
+  validateReviewReport,
+  validateReviewReply,
   validateMongoId,
+  validateReviewId,
   validateProductQuery,
+  validateSuggestQuery,
+  validateReviewQuery,
   validate,
 } from '../middleware/validate.js';
 
 const router = express.Router();
 
 // Public
-router.get('/',    validateProductQuery, validate, getProducts);
-router.get('/:id', validateMongoId,      validate, getProductById);
+router.get('/',        validateProductQuery, validate, getProducts);
+router.get('/suggest', suggestLimiter, validateSuggestQuery, validate, getSuggestions);   // before /:id
+router.get('/:id',     validateMongoId,      validate, getProductById);
+
+// Store team (own products) / catalogue moderators (any product)
+const canEditProducts = authorise('products:manage', 'products:moderate');
+
+router.get('/vendor/mine', protect, authorise('products:manage'), getMyProducts);
+router.post('/',           protect, authorise('products:manage'), verifiedEmailOnly, validateCreateProduct, validate, createProduct);
+router.put('/:id',         protect, canEditProducts, validateMongoId, validateUpdateProduct, validate, updateProduct);
+router.delete('/:id',      protect, canEditProducts, validateMongoId, validate, deleteProduct);
 
-// Vendor/Admin only
-router.get('/vendor/mine', protect, vendorOnly, getMyProducts);
-router.post('/',           protect, vendorOnly, validateCreateProduct, validate, createProduct);
-router.put('/:id',         protect, vendorOnly, validateMongoId, validateUpdateProduct, validate, updateProduct);
-router.delete('/:id',      protect, vendorOnly, validateMongoId, validate, deleteProduct);
+// Reviews — customers with a delivered order write them, anyone signed in can
+// report them, the product's store replies
+const validateReviewIds = [...validateMongoId, ...validateReviewId];
 
-// Customer — add review
-router.post('/:id/reviews', protect, validateMongoId, validateReview, validate, addReview);
+router.get('/:id/reviews',                     validateMongoId, validateReviewQuery, validate, getProductReviews);
+router.post('/:id/reviews',                    protect, validateMongoId, validateReview, validate, addReview);
+router.put('/:id/reviews/:reviewId',           protect, validateReviewIds, validateReviewUpdate, validate, updateReview);
+router.delete('/:id/reviews/:reviewId',        protect, validateReviewIds, validate, deleteReview);
+router.post('/:id/reviews/:reviewId/report',   protect, validateReviewIds, validateReviewReport, validate, reportReview);
+router.put('/:id/reviews/:reviewId/reply',     protect, authorise('products:manage'), validateReviewIds, validateReviewReply, validate, replyToReview);
+router.delete('/:id/reviews/:reviewId/reply',  protect, canEditProducts, validateReviewIds, validate, deleteReviewReply);
 
 export default router;
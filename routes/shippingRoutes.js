@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getShippingProfile,
+  updateShippingProfile,
+  getShippingQuote,
+} from '../controllers/shippingController.js';
+import { protect, optionalProtect } from '../middleware/authMiddleware.js';
+import { authorise } from '../middleware/roleMiddleware.js';
+import {
+  validateShippingProfile,
+  validateShippingQuote,
+  validate,
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Public — quote the cart before checkout
+router.post('/quote', optionalProtect, validateShippingQuote, validate, getShippingQuote);
+
+// Store team (own rates) / platform (?vendorId=)
+const canManageShipping = authorise('shipping:manage', 'stores:manage');
+
+router.get('/profile', protect, canManageShipping,                                    getShippingProfile);
+router.put('/profile', protect, canManageShipping, validateShippingProfile, validate, updateShippingProfile);
+
+export default router;
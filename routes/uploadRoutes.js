@@ -1,10 +1,18 @@
 import express from 'express';
-import { getUploadSignature } from '../controllers/uploadController.js';
+import { getUploadSignature, getDocumentUploadSignature } from '../controllers/uploadController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { vendorOnly } from '../middleware/roleMiddleware.js';
+import { authorise, vendorApplicantOnly } from '../middleware/roleMiddleware.js';
+import { multiVendorOnly } from '../middleware/storeModeMiddleware.js';
 
 const router = express.Router();
 
-router.post('/', protect, vendorOnly, getUploadSignature);
+// Anyone may upload their own avatar; product images need products:manage
+// (and two-factor, where the role requires it)
+const manageProducts = authorise('products:manage');
+const productUploadsOnly = (req, res, next) =>
+  req.body?.purpose === 'avatar' ? next() : manageProducts(req, res, next);
+
+router.post('/',                 protect, productUploadsOnly, getUploadSignature);
+router.post('/vendor-documents', multiVendorOnly, protect, vendorApplicantOnly, getDocumentUploadSignature);
 
 export default router;
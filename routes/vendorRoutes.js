@@ -1,13 +1,49 @@
 import express from 'express';
-import { getAllVendors, getVendorProfile, getVendorDashboard } from '../controllers/vendorController.js';
+import {
+  getAllVendors,
+  getVendorProfile,
+  getVendorDashboard,
+  getMyPayouts,
+  connectPayoutAccount,
+  getMyApplication,
+  submitApplication,
+} from '../controllers/vendorController.js';
+import {
+  getTeam,
+  inviteMember,
+  acceptInvite,
+  updateMemberRole,
+  removeMember,
+  leaveTeam,
+} from '../controllers/teamController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { vendorOnly } from '../middleware/roleMiddleware.js';
-import { validateMongoId, validate } from '../middleware/validate.js';
+import { authorise, vendorApplicantOnly } from '../middleware/roleMiddleware.js';
+import {
+  validateMongoId,
+  validateVendorApplication,
+  validateTeamInvite,
+  validateTeamRole,
+  validateTeamAccept,
+  validatePayoutQuery,
+  validate,
+} from '../middleware/validate.js';
 
 const router = express.Router();
 
-router.get('/',           getAllVendors);
-router.get('/dashboard',  protect, vendorOnly, getVendorDashboard);
-router.get('/:id',        validateMongoId, validate, getVendorProfile);
+router.get('/',                 getAllVendors);
+router.get('/dashboard',        protect, authorise('sales:read'),      getVendorDashboard);
+router.get('/payouts',          protect, authorise('payouts:read'),    validatePayoutQuery, validate, getMyPayouts);
+router.post('/payouts/connect', protect, authorise('payouts:account'), connectPayoutAccount);
+router.get('/application',      protect, vendorApplicantOnly, getMyApplication);
+router.put('/application',      protect, vendorApplicantOnly, validateVendorApplication, validate, submitApplication);
+
+// Store team
+router.get('/team',         protect, authorise('team:manage'),                                    getTeam);
+router.post('/team',        protect, authorise('team:manage'), validateTeamInvite,       validate, inviteMember);
+router.post('/team/accept', protect,                           validateTeamAccept,       validate, acceptInvite);
+router.post('/team/leave',  protect,                                                              leaveTeam);
+router.put('/team/:id',     protect, authorise('team:manage'), validateMongoId, validateTeamRole, validate, updateMemberRole);
+router.delete('/team/:id',  protect, authorise('team:manage'), validateMongoId,           validate, removeMember);
+router.get('/:id',              validateMongoId, validate, getVendorProfile);
 
 export default router;
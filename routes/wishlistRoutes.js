@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getWishlist,
+  addWishlistItem,
+  updateWishlistAlerts,
+  removeWishlistItem,
+} from '../controllers/wishlistController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  validateAddWishlistItem,
+  validateWishlistAlerts,
+  validateWishlistProductId,
+  validate,
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/',              getWishlist);
+router.post('/',             validateAddWishlistItem,   validate, addWishlistItem);
+router.put('/:productId',    validateWishlistAlerts,    validate, updateWishlistAlerts);
+router.delete('/:productId', validateWishlistProductId, validate, removeWishlistItem);
+
+export default router;
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// ── Purposes ──────────────────────────────────────────────────────────────────
+// Each purpose has its own lifetime and a fingerprint of the account state the
+// token acts on. Using the token changes that state (email gets verified,
+// password gets replaced, sign-in completes), so the fingerprint no longer
+// matches and the token is spent — single-use without storing anything.
+const PURPOSES = {
+  verify_email: {
+    expiresIn:   '24h',
+    fingerprint: (user) => `${user.email}|${Boolean(user.emailVerified)}`,
+  },
+  reset_password: {
+    expiresIn:   '1h',
+    fingerprint: (user) => `${user.password}|${user.tokenVersion || 0}`,
+  },
+  // Password checked, second factor still to come (login step 2)
+  login_2fa: {
+    expiresIn:   '5m',
+    fingerprint: (user) => `${user.password}|${user.tokenVersion || 0}|${user.lastLogin?.getTime() || 0}`,
+  },
+};
+
+// Signed with a per-purpose key so these can never pass as access tokens
+const secretFor = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+const fingerprint = (purpose, user) => crypto
+  .createHash('sha256')
+  .update(PURPOSES[purpose].fingerprint(user))
+  .digest('hex')
+  .slice(0, 16);
+
+/**
+ * createActionToken — signs an expiring, single-use token for an emailed link
+ * or a sign-in challenge
+ * @param {User}   user    - reset_password and login_2fa need the password hash selected
+ * @param {string} purpose - 'verify_email' | 'reset_password' | 'login_2fa'
+ * @returns {string}
+ */
+export const createActionToken = (user, purpose) => jwt.sign(
+  { id: user._id, fp: fingerprint(purpose, user) },
+  secretFor(purpose),
+  { expiresIn: PURPOSES[purpose].expiresIn }
+);
+
+/**
+ * readActionToken — the user id a token was issued for, without checking
+ * whether it has been used (load the user, then call isActionTokenFresh)
+ * @returns {{ userId?: string, fp?: string, error?: string }}
+ */
+export const readActionToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, secretFor(purpose));
+    return { userId: decoded.id, fp: decoded.fp };
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError'
+        ? 'This link has expired — please request a new one'
+        : 'This link is invalid',
+    };
+  }
+};
+
+/**
+ * isActionTokenFresh — false once the token has been used (or the account
+ * changed in a way that should void it)
+ */
+export const isActionTokenFresh = (decoded, user, purpose) =>
+  decoded.fp === fingerprint(purpose, user);
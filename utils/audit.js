@@ -0,0 +1,72 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Plain JSON value — ObjectIds, Dates and sub-documents compare reliably
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * snapshot — the audited fields of a document, as plain values.
+ * Take one before changing the document and one after, then pass both to
+ * recordAudit.
+ * @param {Document|object|null} doc
+ * @param {string[]} fields
+ */
+export const snapshot = (doc, fields) => {
+  if (!doc) return {};
+  return fields.reduce((acc, field) => {
+    acc[field] = plain(typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+    return acc;
+  }, {});
+};
+
+/**
+ * diffSnapshots — fields whose value differs: { field: { from, to } }
+ */
+export const diffSnapshots = (before = {}, after = {}) => {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+    const from = before[field] ?? null;
+    const to   = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+};
+
+/**
+ * recordAudit — appends an entry for a privileged mutation made by req.user.
+ * Call after the change is saved. A failed write is logged, not thrown: the
+ * change itself has already happened and the response must reflect that.
+ * @param {Request} req
+ * @param {object}  entry
+ * @param {string}  entry.action      - e.g. 'user.deactivate'
+ * @param {string}  entry.targetType  - e.g. 'User'
+ * @param {*}       [entry.targetId]
+ * @param {string}  [entry.targetLabel]
+ * @param {object}  [entry.before]    - snapshot() before the change
+ * @param {object}  [entry.after]     - snapshot() after the change
+ * @param {object}  [entry.meta]
+ */
+export const recordAudit = async (req, { action, targetType, targetId, targetLabel, before, after, meta }) => {
+  try {
+    await AuditLog.create({
+      actor: {
+        user:      req.user._id,
+        name:      req.user.name,
+        email:     req.user.email,
+        role:      req.user.role,
+        staffRole: req.user.staffRole,
+        teamRole:  req.teamRole,
+        vendorId:  req.vendorId,
+      },
+      action,
+      targetType,
+      targetId,
+      targetLabel,
+      changes:   before || after ? diffSnapshots(before, after) : undefined,
+      meta,
+      ip:        req.ip,
+      userAgent: req.get('User-Agent')?.slice(0, 300),
+    });
+  } catch (error) {
+    console.error(`❌  Audit log write failed (${action} ${targetType} ${targetId}): ${error.message}`);
+  }
+};
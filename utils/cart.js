@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import Cart from '../models/Cart.js';
+import Product, { variantLabel } from '../models/Product.js';
+import { hiddenVendorIds } from './vendorApplications.js';
+
+const round = (n) => parseFloat(n.toFixed(2));
+
+/**
+ * findCart — the caller's cart: the signed-in user's, otherwise the guest
+ * cart named by the X-Cart-Id header
+ * @param {Request} req
+ * @param {object}  [options] - { create: true } to start a cart if none exists
+ * @returns {Promise<Cart|null>}
+ */
+export const findCart = async (req, { create = false } = {}) => {
+  const guestId = req.get('X-Cart-Id');
+
+  let cart = null;
+  if (req.user) {
+    cart = await Cart.findOne({ user: req.user._id });
+  } else if (guestId) {
+    cart = await Cart.findOne({ guestId, user: { $exists: false } });
+  }
+
+  if (!cart && create) {
+    cart = req.user
+      ? new Cart({ user: req.user._id })
+      : new Cart({ guestId: crypto.randomUUID() });   // never trust a client-chosen id
+  }
+  return cart;
+};
+
+/**
+ * priceCart — re-validates every line against Product (current price,
+ * stock, still on sale) and flags anything the customer needs to see.
+ * The stored price snapshot is then refreshed, so a change is reported once.
+ * @param {Cart} cart
+ * @returns {Promise<object>} cart view — { items, subtotal, itemCount, hasIssues }
+ */
+export const priceCart = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.items.map((i) => i.product) } })
+    .select('name price images stock isActive vendorId variants');
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+  const hiddenVendors = new Set((await hiddenVendorIds()).map(String));
+
+  let changed = false;
+  const items = cart.items.map((line) => {
+    const product = byId.get(line.product.toString());
+    const variant = line.variantId ? product?.getVariant(line.variantId) : null;
+
+    // Deleted or taken off sale (or the chosen variant was, or its store)
+    if (!product || !product.isActive || (line.variantId && !variant) ||
+        hiddenVendors.has(product.vendorId.toString())) {
+      return {
+        product:     line.product,
+        variantId:   line.variantId,
+        name:        line.name,
+        qty:         line.qty,
+        available:   false,
+        inStock:     false,
+        issue:       'This product is no longer available',
+      };
+    }
+
+    const price = variant?.price ?? product.price;
+    const stock = variant ? variant.stock : product.stock;
+
+    const priceChanged = line.price !== undefined && line.price !== price;
+    const view = {
+      product:       product._id,
+      variantId:     variant?._id,
+      variant:       variant ? { sku: variant.sku, label: variantLabel(variant) } : undefined,
+      vendorId:      product.vendorId,
+      name:          product.name,
+      image:         variant?.image || product.images[0],
+      price,
+      qty:           line.qty,
+      lineTotal:     round(price * line.qty),
+      available:     true,
+      inStock:       stock >= line.qty,
+      stock,
+      priceChanged,
+      previousPrice: priceChanged ? line.price : undefined,
+    };
+
+    if (stock === 0) {
+      view.issue = 'Out of stock';
+    } else if (!view.inStock) {
+      view.issue = `Only ${stock} left in stock`;
+    } else if (priceChanged) {
+      view.issue = `Price changed from ${line.price} to ${price}`;
+    }
+
+    if (line.price !== price || line.name !== product.name) {
+      line.price = price;
+      line.name  = product.name;
+      changed    = true;
+    }
+    return view;
+  });
+
+  if (changed) await cart.save();
+
+  const purchasable = items.filter((i) => i.available && i.inStock);
+  return {
+    _id:       cart._id,
+    cartId:    cart.guestId,   // guests send this back as X-Cart-Id
+    items,
+    subtotal:  round(purchasable.reduce((sum, i) => sum + i.lineTotal, 0)),
+    itemCount: purchasable.reduce((sum, i) => sum + i.qty, 0),
+    hasIssues: items.some((i) => i.issue),
+  };
+};
+
+/**
+ * mergeGuestCart — moves a guest cart's lines into the user's cart
+ * (quantities of the same product are added) and deletes the guest cart
+ * @param {ObjectId} userId
+ * @param {string}   guestId
+ * @returns {Promise<Cart|null>} the user's cart, or null if there was nothing to merge
+ */
+export const mergeGuestCart = async (userId, guestId) => {
+  if (!guestId) return null;
+
+  const guestCart = await Cart.findOne({ guestId, user: { $exists: false } });
+  if (!guestCart) return null;
+
+  const cart = (await Cart.findOne({ user: userId })) || new Cart({ user: userId });
+  guestCart.items.forEach((line) => {
+    cart.addItem(line.product, line.variantId, line.qty, { name: line.name, price: line.price });
+  });
+
+  await cart.save();
+  await guestCart.deleteOne();
+  return cart;
+};
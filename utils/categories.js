@@ -0,0 +1,84 @@
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+
+/**
+ * resolveCategory — finds a category by id or slug
+ * @param {string}  value
+ * @param {object}  [options]
+ * @param {boolean} [options.activeOnly=true] - ignore deactivated categories
+ * @returns {Promise<Category|null>}
+ */
+export const resolveCategory = async (value, { activeOnly = true } = {}) => {
+  if (!value) return null;
+
+  const filter = /^[a-f\d]{24}$/i.test(value)
+    ? { _id: value }
+    : { slug: value.toString().toLowerCase() };
+  if (activeOnly) filter.isActive = true;
+
+  return Category.findOne(filter);
+};
+
+/**
+ * buildCategoryTree — nests a flat list of categories under their parents
+ * (siblings by sortOrder, then name). Categories whose parent isn't in the
+ * list are left out, so an inactive branch drops out whole.
+ * @param {object[]} categories - lean Category documents
+ * @returns {object[]} roots, each with `children`
+ */
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    if (!node.parent) return roots.push(node);
+    nodes.get(node.parent.toString())?.children.push(node);
+  });
+
+  const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+  const sortLevel = (level) => {
+    level.sort(bySortOrder);
+    level.forEach((node) => sortLevel(node.children));
+    return level;
+  };
+  return sortLevel(roots);
+};
+
+/**
+ * subtreeDepth — levels from this category down to its deepest descendant
+ * (1 for a leaf)
+ */
+export const subtreeDepth = async (category) => {
+  const [deepest] = await Category.aggregate([
+    { $match: { ancestors: category._id } },
+    { $project: { depth: { $size: '$ancestors' } } },
+    { $sort: { depth: -1 } },
+    { $limit: 1 },
+  ]);
+  return deepest ? deepest.depth - category.ancestors.length + 1 : 1;
+};
+
+/**
+ * syncCategoryPaths — after a category moves to a new parent, rewrites the
+ * ancestors of everything below it and the categoryPath of every product
+ * filed anywhere in the moved branch.
+ * @param {Category} category - already saved with its new ancestors
+ */
+export const syncCategoryPaths = async (category) => {
+  const descendants = await Category.find({ ancestors: category._id }).select('ancestors');
+
+  // Keep each descendant's path below the moved category, swap the part above
+  const paths = new Map([[category._id.toString(), category.path]]);
+  const categoryOps = descendants.map((d) => {
+    const below     = d.ancestors.slice(d.ancestors.findIndex((id) => id.equals(category._id)) + 1);
+    const ancestors = [...category.path, ...below];
+    paths.set(d._id.toString(), [...ancestors, d._id]);
+    return { updateOne: { filter: { _id: d._id }, update: { $set: { ancestors } } } };
+  });
+  if (categoryOps.length) await Category.bulkWrite(categoryOps);
+
+  const productOps = [...paths].map(([id, path]) => ({
+    updateMany: { filter: { category: id }, update: { $set: { categoryPath: path } } },
+  }));
+  await Product.bulkWrite(productOps);
+};
@@ -0,0 +1,224 @@
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+
+const round = (n) => parseFloat(n.toFixed(2));
+
+// What a line still costs after discounts already applied to it
+const lineBalance = (item) =>
+  item.price * item.qty - (item.vendorDiscount || 0) - (item.platformDiscount || 0);
+
+/**
+ * couponProblem — why a coupon can't be redeemed right now
+ * @returns {Promise<string|null>} reason, or null if it can be used
+ */
+export const couponProblem = async (coupon, userId) => {
+  const now = new Date();
+  if (!coupon.isActive)                                       return 'is no longer active';
+  if (coupon.startsAt && coupon.startsAt > now)               return 'is not active yet';
+  if (coupon.expiresAt && coupon.expiresAt < now)             return 'has expired';
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return 'has been fully redeemed';
+
+  if (userId) {
+    const used = await Order.countDocuments({
+      customer:           userId,
+      'discounts.coupon': coupon._id,
+      status:             { $nin: ['Cancelled', 'Refunded'] },   // redemption given back
+    });
+    if (used >= coupon.perUserLimit) return 'has already been used on your account';
+  }
+  return null;
+};
+
+/**
+ * couponAppliesTo — whether a checkout line falls inside a coupon's scope.
+ * A vendor-funded coupon never discounts another vendor's items.
+ * @param {Coupon} coupon
+ * @param {object}     item         - { product, vendorId }
+ * @param {ObjectId[]} categoryPath - the line's product categoryPath
+ */
+export const couponAppliesTo = (coupon, item, categoryPath = []) => {
+  if (coupon.fundedBy === 'vendor' && item.vendorId.toString() !== coupon.vendorId?.toString()) {
+    return false;
+  }
+
+  switch (coupon.scope) {
+    case 'vendor':   return item.vendorId.toString() === coupon.vendorId?.toString();
+    case 'category': return categoryPath.some((id) => id.toString() === coupon.category?.toString());
+    case 'product':  return coupon.products.some((p) => p.toString() === item.product.toString());
+    default:         return true;   // platform-wide
+  }
+};
+
+/**
+ * applyCoupons — prices coupon codes against checkout lines.
+ * Vendor-funded coupons go first and platform-funded ones apply to what is
+ * left, so stacked discounts never exceed a line. At most one platform coupon
+ * and one coupon per vendor may be combined.
+ * Sets vendorDiscount / platformDiscount on the lines it discounts.
+ * Free shipping waives the shipping of every vendor with an eligible line.
+ * @param {Array<string>} codes
+ * @param {object} context - { userId, items, categories (productId → categoryPath),
+ *                             shipping (vendorId → quoted cost) }
+ * @returns {Promise<{ coupons, discounts, shippingDiscount, shippingDiscounts, error }>}
+ *          shippingDiscounts: vendorId → { amount, fundedBy }
+ */
+export const applyCoupons = async (codes, { userId, items, categories, shipping = new Map() }) => {
+  const result = {
+    coupons:           [],
+    discounts:         [],
+    shippingDiscount:  0,
+    shippingDiscounts: new Map(),
+    error:             null,
+  };
+  if (!codes?.length) return result;
+
+  const wanted  = [...new Set(codes.map((c) => c.trim().toUpperCase()))];
+  const coupons = await Coupon.find({ code: { $in: wanted } });
+
+  const missing = wanted.find((code) => !coupons.some((c) => c.code === code));
+  if (missing) return { ...result, error: `Coupon ${missing} is not valid` };
+
+  // One coupon per funder
+  const funders = coupons.map((c) => (c.fundedBy === 'vendor' ? c.vendorId?.toString() : 'platform'));
+  if (new Set(funders).size !== funders.length) {
+    return { ...result, error: 'Only one platform coupon and one coupon per store can be combined' };
+  }
+
+  coupons.sort((a, b) => (b.fundedBy === 'vendor') - (a.fundedBy === 'vendor'));
+
+  for (const coupon of coupons) {
+    const problem = await couponProblem(coupon, userId);
+    if (problem) return { ...result, error: `Coupon ${coupon.code} ${problem}` };
+
+    const eligible = items.filter((item) =>
+      couponAppliesTo(coupon, item, categories.get(item.product.toString())));
+    if (eligible.length === 0) {
+      return { ...result, error: `Coupon ${coupon.code} does not apply to any item in your order` };
+    }
+
+    const base = round(eligible.reduce((sum, item) => sum + lineBalance(item), 0));
+    if (base < coupon.minSpend) {
+      return { ...result, error: `Spend at least PKR ${coupon.minSpend} on eligible items to use ${coupon.code}` };
+    }
+
+    let amount;
+    if (coupon.type === 'free_shipping') {
+      amount = 0;
+      new Set(eligible.map((item) => item.vendorId.toString())).forEach((vid) => {
+        if (result.shippingDiscounts.has(vid)) return;   // already waived
+        const waived = shipping.get(vid) || 0;
+        if (waived > 0) result.shippingDiscounts.set(vid, { amount: waived, fundedBy: coupon.fundedBy });
+        amount += waived;
+      });
+      amount = round(amount);
+      result.shippingDiscount += amount;
+    } else {
+      amount = coupon.type === 'percentage'
+        ? base * Math.min(coupon.value, 100) / 100
+        : Math.min(coupon.value, base);
+      if (coupon.maxDiscount) amount = Math.min(amount, coupon.maxDiscount);
+      amount = round(amount);
+
+      // Spread over the eligible lines by value — the last line takes the remainder
+      const field = coupon.fundedBy === 'vendor' ? 'vendorDiscount' : 'platformDiscount';
+      let left = amount;
+      eligible.forEach((item, i) => {
+        const share = i === eligible.length - 1 ? left : round(amount * (lineBalance(item) / base));
+        item[field] = round((item[field] || 0) + share);
+        left        = round(left - share);
+      });
+    }
+
+    result.coupons.push(coupon);
+    result.discounts.push({
+      coupon:   coupon._id,
+      code:     coupon.code,
+      type:     coupon.type,
+      scope:    coupon.scope,
+      fundedBy: coupon.fundedBy,
+      vendorId: coupon.fundedBy === 'vendor' ? coupon.vendorId : undefined,
+      amount,
+    });
+  }
+
+  result.shippingDiscount = round(result.shippingDiscount);
+  return result;
+};
+
+// Counts one redemption for the customer while under the coupon's
+// per-customer limit. The first redemption inserts the counter; when two
+// checkouts race to insert it, the loser retries against the winner's.
+const claimForCustomer = async (coupon, userId, retry = true) => {
+  try {
+    await CouponRedemption.updateOne(
+      { coupon: coupon._id, user: userId, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // At the limit: the filter misses and the upsert hits the unique index
+    if (error.code !== 11000) throw error;
+    return retry ? claimForCustomer(coupon, userId, false) : false;
+  }
+};
+
+/**
+ * releaseCoupons — gives back redemptions claimed by claimCoupons
+ * @param {Array<ObjectId>} couponIds
+ * @param {ObjectId}        userId - the customer they were claimed for
+ */
+export const releaseCoupons = async (couponIds, userId) => {
+  if (!couponIds?.length) return;
+  await Coupon.updateMany(
+    { _id: { $in: couponIds }, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  await CouponRedemption.updateMany(
+    { coupon: { $in: couponIds }, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+/**
+ * claimCoupons — atomically counts one redemption against each coupon, and
+ * one against the customer's own limit for it. Both are conditional
+ * updates, so neither a coupon's last redemption nor a customer's can be
+ * claimed twice by concurrent checkouts. All-or-nothing like reserveStock.
+ * @param {Array<Coupon>} coupons
+ * @param {ObjectId}      userId
+ * @returns {Promise<{ coupon: Coupon, problem: string }|null>} the first
+ *          coupon that couldn't be claimed and why, or null
+ */
+export const claimCoupons = async (coupons, userId) => {
+  const claimed = [];
+
+  for (const coupon of coupons) {
+    const result = await Coupon.updateOne(
+      {
+        _id: coupon._id,
+        $or: [
+          { usageLimit: { $exists: false } },
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+        ],
+      },
+      { $inc: { usedCount: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await releaseCoupons(claimed, userId);
+      return { coupon, problem: 'has been fully redeemed' };
+    }
+
+    if (!(await claimForCustomer(coupon, userId))) {
+      await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      await releaseCoupons(claimed, userId);
+      return { coupon, problem: 'has already been used on your account' };
+    }
+    claimed.push(coupon._id);
+  }
+
+  return null;
+};
@@ -0,0 +1,116 @@
+import { sendMail } from '../config/mailer.js';
+import { createActionToken } from './actionTokens.js';
+
+const escapeHtml = (str) => str.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const frontendUrl = (pathname, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}?token=${encodeURIComponent(token)}`;
+
+/**
+ * sendVerificationEmail — emails a link that confirms the account's address
+ * (valid 24 hours)
+ */
+export const sendVerificationEmail = (user) => {
+  const link = frontendUrl('/verify-email', createActionToken(user, 'verify_email'));
+
+  return sendMail({
+    to:      user.email,
+    subject: 'Confirm your email address',
+    text:    `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html:    `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+/**
+ * sendPasswordResetEmail — emails a one-time password reset link (valid 1 hour)
+ * @param {User} user - with the password hash selected
+ */
+export const sendPasswordResetEmail = (user) => {
+  const link = frontendUrl('/reset-password', createActionToken(user, 'reset_password'));
+
+  return sendMail({
+    to:      user.email,
+    subject: 'Reset your password',
+    text:    `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour and works once. If you didn't ask, you can ignore this email.`,
+    html:    `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset your password. If it was you:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour and works once. If you didn't ask, you can ignore this email.</p>`,
+  });
+};
+
+const VENDOR_DECISIONS = {
+  approved:  ['Your store is approved',        () => 'Your vendor application has been approved — you can start listing products.'],
+  rejected:  ['Your vendor application',       (reason) => `Your vendor application was not approved.\n\nReason: ${reason}\n\nYou can update your details and resubmit.`],
+  suspended: ['Your store has been suspended', (reason) => `Your store has been suspended.\n\nReason: ${reason}\n\nContact support if you think this is a mistake.`],
+};
+
+/**
+ * sendVendorDecisionEmail — tells a vendor the outcome of an application review
+ */
+export const sendVendorDecisionEmail = (user) => {
+  const { status, reason } = user.vendorApplication;
+  const [subject, body]    = VENDOR_DECISIONS[status];
+
+  return sendMail({
+    to:   user.email,
+    subject,
+    text: `Hi ${user.name},\n\n${body(reason)}`,
+  });
+};
+
+/**
+ * sendTeamInviteEmail — invites someone to join a store's team (valid 7 days)
+ */
+export const sendTeamInviteEmail = ({ email, token, storeName, role }) => {
+  const link = frontendUrl('/team/accept', token);
+
+  return sendMail({
+    to:      email,
+    subject: `You're invited to join ${storeName}`,
+    text:    `You've been invited to join ${storeName} as ${role.label}.\n\nSign in (or create an account) with this email address, then open:\n${link}\n\nThe invitation expires in 7 days.`,
+    html:    `<p>You've been invited to join <strong>${escapeHtml(storeName)}</strong> as ${escapeHtml(role.label)}.</p><p>Sign in (or create an account) with this email address, then <a href="${link}">accept the invitation</a>.</p><p>The invitation expires in 7 days.</p>`,
+  });
+};
+
+/**
+ * sendNewLoginAlertEmail — tells a user their account was signed in to from
+ * a new device or network
+ * @param {User}       user
+ * @param {LoginEvent} event
+ */
+export const sendNewLoginAlertEmail = (user, event) => {
+  const where = [event.newDevice && 'a new device', event.newNetwork && 'a new network'].filter(Boolean).join(' and ');
+  const link  = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+
+  return sendMail({
+    to:      user.email,
+    subject: 'New sign-in to your account',
+    text:    `Hi ${user.name},\n\nYour account was just signed in to from ${where}.\n\nTime: ${event.createdAt.toUTCString()}\nIP address: ${event.ip}\nBrowser: ${event.userAgent || 'unknown'}\n\nIf this was you, there's nothing to do. If not, reset your password now:\n${link}`,
+  });
+};
+
+const PRODUCT_ALERTS = {
+  back_in_stock: (product) => [`${product.name} is back in stock`, `Good news — "${product.name}" is back in stock.`],
+  price_drop:    (product, { oldPrice, newPrice }) => {
+    const symbol = process.env.CURRENCY_SYMBOL || 'Rs.';
+    return [
+      `Price drop: ${product.name}`,
+      `"${product.name}" has dropped from ${symbol} ${oldPrice} to ${symbol} ${newPrice}.`,
+    ];
+  },
+};
+
+/**
+ * sendProductAlertEmail — a wishlist alert (back in stock / price drop)
+ * @param {User}         user
+ * @param {Product}      product
+ * @param {Notification} notification
+ */
+export const sendProductAlertEmail = (user, product, notification) => {
+  const [subject, body] = PRODUCT_ALERTS[notification.type](product, notification.data || {});
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/products/${product._id}`;
+
+  return sendMail({
+    to:   user.email,
+    subject,
+    text: `Hi ${user.name},\n\n${body}\n\n${link}\n\nYou're getting this because you asked to be told from your wishlist. Turn alerts off there any time.`,
+  });
+};
@@ -1,16 +1,17 @@
 import jwt from 'jsonwebtoken';
 
 /**
- * generateToken — signs a JWT for the given user id and role
- * @param {string} id   - MongoDB user _id
- * @param {string} role - 'Admin' | 'Vendor' | 'Customer'
+ * generateToken — signs a short-lived access JWT for the given user id and role
+ * @param {string} id     - MongoDB user _id
+ * @param {string} role   - 'Admin' | 'Vendor' | 'Customer'
+ * @param {object} [claims] - { sid, tv } session id and the user's tokenVersion
  * @returns {string} signed JWT
  */
-const generateToken = (id, role) => {
+const generateToken = (id, role, claims = {}) => {
   return jwt.sign(
-    { id, role },
+    { id, role, ...claims },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+const round = (n) => parseFloat(n.toFixed(2));
+
+/**
+ * postTransaction — writes one balanced double-entry posting (a debit leg
+ * and a credit leg of the same amount).
+ * transactionId must be deterministic for the business event it records
+ * (e.g. `sale:<orderId>:<vendorId>`): posting the same event twice hits the
+ * unique index and is skipped, so callers never double-count.
+ * A negative amount posts the reverse direction.
+ * @returns {Promise<boolean>} true if posted, false if already on the ledger
+ */
+export const postTransaction = async ({ transactionId, type, debit, credit, amount, ...refs }) => {
+  if (!amount) return false;
+  if (amount < 0) [debit, credit, amount] = [credit, debit, -amount];
+
+  const base = { transactionId, type, amount: round(amount), ...refs };
+  try {
+    await LedgerEntry.insertMany([
+      { ...base, account: debit,  direction: 'debit' },
+      { ...base, account: credit, direction: 'credit' },
+    ]);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Single-store orders carry no commission — fixed when the order was placed
+// (see the Order pre-save), so a later switch of store mode doesn't matter
+const placedInSingleStore = (order) => order.commissionRate === 0;
+
+/**
+ * recordSale — on payment, credits each vendor with their sale and their
+ * parcel's shipping, and debits the platform fee back out of it
+ * @param {Order} order - paid order (financials already calculated)
+ */
+export const recordSale = async (order) => {
+  if (placedInSingleStore(order)) return;   // no vendors to owe anything to
+
+  for (const sub of order.subOrders) {
+    const refs = { vendorId: sub.vendorId, order: order._id };
+
+    await postTransaction({
+      transactionId: `sale:${order._id}:${sub.vendorId}`,
+      type:          'sale',
+      debit:         'customer_payments',
+      credit:        'vendor_balance',
+      amount:        sub.subtotal,
+      description:   'Sale',
+      ...refs,
+    });
+    await postTransaction({
+      transactionId: `fee:${order._id}:${sub.vendorId}`,
+      type:          'platform_fee',
+      debit:         'vendor_balance',
+      credit:        'platform_revenue',
+      amount:        sub.platformFee,
+      description:   `Platform fee (${(order.commissionRate * 100).toFixed(0)}%)`,
+      ...refs,
+    });
+
+    // Shipping the customer paid, plus free shipping the platform paid for
+    await postTransaction({
+      transactionId: `shipping:${order._id}:${sub.vendorId}`,
+      type:          'shipping',
+      debit:         'customer_payments',
+      credit:        'vendor_balance',
+      amount:        (sub.shippingCost || 0) - (sub.shippingDiscount || 0),
+      description:   'Shipping',
+      ...refs,
+    });
+    if (sub.shippingFundedBy === 'platform') {
+      await postTransaction({
+        transactionId: `shipping-subsidy:${order._id}:${sub.vendorId}`,
+        type:          'shipping',
+        debit:         'platform_revenue',
+        credit:        'vendor_balance',
+        amount:        sub.shippingDiscount,
+        description:   'Free shipping (platform-funded)',
+        ...refs,
+      });
+    }
+  }
+};
+
+/**
+ * recordRefund — debits refunded sales and shipping from each vendor and
+ * hands back the platform fee charged on them
+ * @param {Order}  order
+ * @param {object} refund - refund sub-document (status succeeded)
+ */
+export const recordRefund = async (order, refund) => {
+  if (placedInSingleStore(order)) return;
+
+  const byVendor = {};
+  refund.items.forEach((line) => {
+    const vid = line.vendorId.toString();
+    byVendor[vid] ??= { amount: 0, platformFee: 0 };
+    byVendor[vid].amount      += line.amount;
+    byVendor[vid].platformFee += line.platformFee;
+  });
+
+  for (const [vendorId, totals] of Object.entries(byVendor)) {
+    const refs = { vendorId, order: order._id };
+
+    await postTransaction({
+      transactionId: `refund:${refund._id}:${vendorId}`,
+      type:          'refund',
+      debit:         'vendor_balance',
+      credit:        'customer_payments',
+      amount:        totals.amount,
+      description:   'Refund to customer',
+      ...refs,
+    });
+    await postTransaction({
+      transactionId: `fee-reversal:${refund._id}:${vendorId}`,
+      type:          'fee_reversal',
+      debit:         'platform_revenue',
+      credit:        'vendor_balance',
+      amount:        totals.platformFee,
+      description:   'Platform fee returned on refund',
+      ...refs,
+    });
+  }
+
+  for (const line of refund.shipping || []) {
+    const refs = { vendorId: line.vendorId, order: order._id };
+
+    await postTransaction({
+      transactionId: `shipping-refund:${refund._id}:${line.vendorId}`,
+      type:          'shipping_refund',
+      debit:         'vendor_balance',
+      credit:        'customer_payments',
+      amount:        line.amount,
+      description:   'Shipping refunded to customer',
+      ...refs,
+    });
+    await postTransaction({
+      transactionId: `shipping-subsidy-reversal:${refund._id}:${line.vendorId}`,
+      type:          'shipping_refund',
+      debit:         'vendor_balance',
+      credit:        'platform_revenue',
+      amount:        line.subsidy,
+      description:   'Free shipping returned to platform',
+      ...refs,
+    });
+  }
+};
+
+/**
+ * recordPayout — money leaves the vendor's balance
+ */
+export const recordPayout = (payout) => postTransaction({
+  transactionId: `payout:${payout._id}`,
+  type:          'payout',
+  debit:         'vendor_balance',
+  credit:        'vendor_payouts',
+  amount:        payout.amount,
+  vendorId:      payout.vendorId,
+  payout:        payout._id,
+  description:   `Payout (${payout.method})`,
+});
+
+/**
+ * recordPayoutReversal — a failed payout puts the money back on the balance
+ */
+export const recordPayoutReversal = (payout) => postTransaction({
+  transactionId: `payout-reversal:${payout._id}`,
+  type:          'payout_reversal',
+  debit:         'vendor_payouts',
+  credit:        'vendor_balance',
+  amount:        payout.amount,
+  vendorId:      payout.vendorId,
+  payout:        payout._id,
+  description:   'Payout failed — returned to balance',
+});
+
+/**
+ * getVendorBalances — what the platform owes each vendor, plus lifetime
+ * payouts. vendor_balance is a liability: credits raise it, debits lower it.
+ * @param {string} [vendorId] - limit to one vendor
+ * @returns {Promise<Object<string, { balance, paidOut }>>} keyed by vendorId
+ */
+export const getVendorBalances = async (vendorId) => {
+  const match = { account: { $in: ['vendor_balance', 'vendor_payouts'] } };
+  if (vendorId) match.vendorId = new mongoose.Types.ObjectId(vendorId.toString());
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id:     '$vendorId',
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$account', 'vendor_balance'] },
+              { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+              0,
+            ],
+          },
+        },
+        paidOut: {
+          $sum: {
+            $cond: [
+              { $eq: ['$account', 'vendor_payouts'] },
+              { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return rows.reduce((acc, row) => {
+    acc[row._id.toString()] = { balance: round(row.balance), paidOut: round(row.paidOut) };
+    return acc;
+  }, {});
+};
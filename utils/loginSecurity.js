@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import net from 'net';
+import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+import { sendNewLoginAlertEmail } from './emails.js';
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * loginMaxAttempts — failed sign-ins in a row before the account locks
+ * (LOGIN_MAX_ATTEMPTS, default 5)
+ */
+export const loginMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+
+// First lockout lasts LOGIN_LOCKOUT_MINUTES (default 15); each one after that
+// doubles, up to a day, until the account signs in successfully
+const lockoutMinutes = (lockouts) => {
+  const base = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+  return Math.min(base * 2 ** (lockouts - 1), MAX_LOCKOUT_MINUTES);
+};
+
+const deviceOf = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  return crypto.createHash('sha256').update(userAgent).digest('hex').slice(0, 16);
+};
+
+const networkOf = (ip = '') => {
+  const addr = ip.replace(/^::ffff:/, '');
+  if (net.isIPv4(addr)) return `${addr.split('.').slice(0, 3).join('.')}.0/24`;
+  if (net.isIPv6(addr)) return `${addr.split(':').slice(0, 4).join(':')}::/64`;
+  return addr || null;
+};
+
+const requestInfo = (req) => ({
+  ip:        req.ip,
+  userAgent: req.get('User-Agent')?.slice(0, 300),
+  device:    deviceOf(req),
+  network:   networkOf(req.ip),
+});
+
+/**
+ * lockedFor — minutes left on an account lockout (0 when not locked)
+ */
+export const lockedFor = (user) => {
+  const until = user.loginSecurity?.lockedUntil;
+  if (!until || until <= new Date()) return 0;
+  return Math.ceil((until - Date.now()) / MINUTE_MS);
+};
+
+// Accounts not locked at this moment (a lapsed lock counts as unlocked)
+const unlockedFilter = () => ({
+  $or: [{ 'loginSecurity.lockedUntil': null }, { 'loginSecurity.lockedUntil': { $lte: new Date() } }],
+});
+
+// Minutes left on the lock as stored now, not as the caller loaded it
+const currentLock = async (userId) => lockedFor(await User.findById(userId).select('loginSecurity'));
+
+/**
+ * recordLoginFailure — logs a failed attempt. For a known account it counts
+ * towards a lockout. The count and the lock are each one conditional update,
+ * so parallel guesses from many IPs can't slip past the limit, and a guess
+ * that lands after another one locked the account reports the lock instead
+ * of counting.
+ * @param {User|null} user
+ * @param {Request}   req
+ * @param {string}    reason - see LOGIN_FAILURE_REASONS
+ * @param {string}    [email] - for unknown accounts
+ * @returns {Promise<number>} minutes the account is now locked for (0 if not)
+ */
+export const recordLoginFailure = async (user, req, reason, email) => {
+  await LoginEvent.create({
+    user:    user?._id,
+    email:   user?.email || email,
+    success: false,
+    reason,
+    ...requestInfo(req),
+  });
+
+  // Attempts made while locked or against a disabled account don't extend anything
+  if (!user || !['invalid_password', 'invalid_2fa'].includes(reason)) return 0;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, ...unlockedFilter() },
+    { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': new Date() } },
+    { new: true }
+  ).select('loginSecurity');
+  if (!updated) return currentLock(user._id);
+
+  const { failedAttempts, lockouts = 0 } = updated.loginSecurity;
+  if (failedAttempts < loginMaxAttempts()) return 0;
+
+  // Only the attempt that reaches the limit first locks; the counter reset
+  // stops the others matching
+  const minutes = lockoutMinutes(lockouts + 1);
+  const locked  = await User.updateOne(
+    { _id: user._id, 'loginSecurity.failedAttempts': { $gte: loginMaxAttempts() } },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil':    new Date(Date.now() + minutes * MINUTE_MS),
+      },
+      $inc: { 'loginSecurity.lockouts': 1 },
+    }
+  );
+  return locked.modifiedCount ? minutes : currentLock(user._id);
+};
+
+/**
+ * clearLoginFailures — after a correct password / code, resets the lockout
+ * counters — unless the account was locked since this attempt loaded it
+ * (parallel guesses), in which case the sign-in must be refused.
+ * @param {User} user
+ * @returns {Promise<number>} minutes the account is locked for (0: cleared)
+ */
+export const clearLoginFailures = async (user) => {
+  const cleared = await User.updateOne(
+    { _id: user._id, ...unlockedFilter() },
+    { $set: { loginSecurity: { failedAttempts: 0, lockouts: 0 } } }
+  );
+  return cleared.matchedCount ? 0 : currentLock(user._id);
+};
+
+/**
+ * recordLoginSuccess — logs a successful sign-in and flags it when it comes
+ * from a device or network the account hasn't used before (the user is
+ * emailed). The failed-attempt counters are cleared beforehand
+ * (clearLoginFailures).
+ * @param {User}    user
+ * @param {Request} req
+ * @param {string}  method - 'password' | 'totp' | 'recovery_code'
+ * @returns {Promise<LoginEvent>}
+ */
+export const recordLoginSuccess = async (user, req, method) => {
+  const info = requestInfo(req);
+
+  // The very first sign-in has nothing to compare against
+  const [hasHistory, knownDevice, knownNetwork] = await Promise.all([
+    LoginEvent.exists({ user: user._id, success: true }),
+    LoginEvent.exists({ user: user._id, success: true, device: info.device }),
+    LoginEvent.exists({ user: user._id, success: true, network: info.network }),
+  ]);
+
+  const newDevice  = Boolean(hasHistory && !knownDevice);
+  const newNetwork = Boolean(hasHistory && !knownNetwork);
+
+  const event = await LoginEvent.create({
+    user:    user._id,
+    email:   user.email,
+    success: true,
+    method,
+    ...info,
+    newDevice,
+    newNetwork,
+    flagged: newDevice || newNetwork,
+  });
+
+  if (event.flagged) {
+    // An alert that can't be sent mustn't block the sign-in
+    sendNewLoginAlertEmail(user, event)
+      .catch((error) => console.error(`New sign-in alert to ${user.email} failed: ${error.message}`));
+  }
+  return event;
+};
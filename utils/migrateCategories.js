@@ -0,0 +1,60 @@
+/**
+ * Category migration — turns the old fixed category names on products and
+ * coupons into Category documents. Each name becomes a top-level category
+ * (the launch list keeps its order); products get its id and categoryPath.
+ * Safe to run again: only string categories are converted.
+ * Usage:
+ *   node utils/migrateCategories.js
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import Category, { DEFAULT_CATEGORIES, slugify } from '../models/Category.js';
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+
+dotenv.config();
+
+const migrateCategories = async () => {
+  try {
+    await connectDB();
+    await Category.init();
+
+    // Raw driver access — the schemas now expect ObjectIds
+    const stringCategory = { category: { $type: 'string' } };
+    const [productNames, couponNames] = await Promise.all([
+      Product.collection.distinct('category', stringCategory),
+      Coupon.collection.distinct('category', stringCategory),
+    ]);
+    const names = [...new Set([...DEFAULT_CATEGORIES, ...productNames, ...couponNames])];
+
+    let products = 0;
+    let coupons  = 0;
+    for (const [index, name] of names.entries()) {
+      const category = await Category.findOneAndUpdate(
+        { parent: null, name },
+        { $setOnInsert: { slug: slugify(name), ancestors: [], sortOrder: index, isActive: true } },
+        { upsert: true, new: true }
+      );
+
+      const [productResult, couponResult] = await Promise.all([
+        Product.collection.updateMany(
+          { category: name },
+          { $set: { category: category._id, categoryPath: [category._id] } }
+        ),
+        Coupon.collection.updateMany({ category: name }, { $set: { category: category._id } }),
+      ]);
+      products += productResult.modifiedCount;
+      coupons  += couponResult.modifiedCount;
+    }
+
+    console.log(`✅  ${names.length} categories — moved ${products} products and ${coupons} coupons`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌  Category migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
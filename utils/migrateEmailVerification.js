@@ -0,0 +1,45 @@
+/**
+ * Email verification migration — accounts created before email verification
+ * existed were never sent a link, so they read as unverified and
+ * verifiedEmailOnly locks existing vendors out of listing products. Active
+ * ones are marked verified (they have been using the address all along).
+ * Selected by sign-up date, not by a missing field: any save of a legacy
+ * account since the deploy (a sign-in, for one) has already written the
+ * schema default emailVerified: false.
+ * Safe to run again: verified accounts are left as they are.
+ * Usage:
+ *   node utils/migrateEmailVerification.js <date verification went live, ISO 8601>
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const migrateEmailVerification = async () => {
+  const cutoff = new Date(process.argv[2]);
+  if (!process.argv[2] || Number.isNaN(cutoff.getTime())) {
+    console.error('❌  Pass the date email verification went live, e.g. 2026-06-01T09:00:00Z');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    // Raw driver access — a backfill isn't an edit, so updatedAt stays as it is
+    const result = await User.collection.updateMany(
+      { createdAt: { $lt: cutoff }, emailVerified: { $ne: true }, isActive: true },
+      { $set: { emailVerified: true } }
+    );
+
+    console.log(`✅  Marked ${result.modifiedCount} accounts created before ${cutoff.toISOString()} as verified`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌  Email verification migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateEmailVerification();
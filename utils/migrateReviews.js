@@ -0,0 +1,91 @@
+/**
+ * Review migration — moves reviews embedded in Product documents into the
+ * Review collection, rebuilds each product's rating totals and removes the
+ * embedded array. Review ids are kept, so links to them still work.
+ * Safe to run again: reviews already moved are left as they are, and so is
+ * an embedded review whose customer already has one in the collection.
+ * Usage:
+ *   node utils/migrateReviews.js
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+
+dotenv.config();
+
+// Indexes on the old embedded array
+const OBSOLETE_PRODUCT_INDEXES = ['reviews._id_1', 'reviews.openReports_1'];
+
+// Inserts the reviews, skipping any that break the one-review-per-customer
+// index (the customer reviewed again after the switch, or an earlier run
+// moved it). Any other write error still fails the migration.
+const insertReviews = async (operations) => {
+  try {
+    const result = await Review.collection.bulkWrite(operations, { ordered: false });
+    return { moved: result.upsertedCount, skipped: 0 };
+  } catch (error) {
+    const errors = error.writeErrors || [];
+    if (!errors.length || errors.some((e) => e.code !== 11000)) throw error;
+    return { moved: error.result.upsertedCount, skipped: errors.length };
+  }
+};
+
+const migrateReviews = async () => {
+  try {
+    await connectDB();
+    await Review.init();   // the unique (product, user) index must exist before inserting
+
+    // Raw driver access — the Product schema no longer knows about `reviews`
+    const cursor = Product.collection.find(
+      { 'reviews.0': { $exists: true } },
+      { projection: { reviews: 1 } }
+    );
+
+    let products = 0;
+    let moved    = 0;
+    let skipped  = 0;
+    for await (const product of cursor) {
+      const operations = product.reviews.map((review) => ({
+        updateOne: {
+          filter: { _id: review._id },
+          update: {
+            $setOnInsert: {
+              // Reviews written before moderation existed lack these
+              status:           'published',
+              verifiedPurchase: false,
+              reports:          [],
+              openReports:      0,
+              ...review,
+              product:          product._id,
+            },
+          },
+          upsert: true,
+        },
+      }));
+
+      const result = await insertReviews(operations);
+      await Product.recalculateRatings(product._id);
+      await Product.collection.updateOne({ _id: product._id }, { $unset: { reviews: '' } });
+
+      products++;
+      moved   += result.moved;
+      skipped += result.skipped;
+    }
+
+    for (const name of OBSOLETE_PRODUCT_INDEXES) {
+      await Product.collection.dropIndex(name).catch(() => {});   // already gone
+    }
+
+    console.log(`✅  Moved ${moved} reviews from ${products} products` +
+      (skipped ? ` (${skipped} skipped — the customer already has a review there)` : ''));
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌  Review migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateReviews();
@@ -0,0 +1,39 @@
+/**
+ * SKU index migration — variant SKUs used to be unique across the whole
+ * marketplace, so one store could block another from using its own codes.
+ * They are now unique per store. Mongoose builds the new index on start-up
+ * but never drops the old one, which would keep enforcing the global rule.
+ * Safe to run again: an index that is already gone is skipped.
+ * Usage:
+ *   node utils/migrateSkuIndex.js
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import Product from '../models/Product.js';
+
+dotenv.config();
+
+const OBSOLETE_SKU_INDEX = 'variants.sku_1';
+
+const migrateSkuIndex = async () => {
+  try {
+    await connectDB();
+
+    const dropped = await Product.collection.dropIndex(OBSOLETE_SKU_INDEX)
+      .then(() => true)
+      .catch(() => false);   // already gone
+    await Product.createIndexes();
+
+    console.log(dropped
+      ? `✅  Dropped ${OBSOLETE_SKU_INDEX} — SKUs are now unique per store`
+      : `✅  ${OBSOLETE_SKU_INDEX} was already gone — nothing to do`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌  SKU index migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateSkuIndex();
@@ -0,0 +1,118 @@
+import Notification from '../models/Notification.js';
+import WishlistItem from '../models/WishlistItem.js';
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import { sendProductAlertEmail } from './emails.js';
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE   = 50;
+
+// A notification still 'sending' after this long is assumed to have crashed
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+/**
+ * queueProductAlerts — queues back-in-stock / price-drop notifications for
+ * wishlist subscribers after a product changed. Back-in-stock subscriptions
+ * are one-shot and switch off once queued.
+ * @param {Product} product - saved, active product
+ * @param {{ stock: number, price: number }} before - values before the change
+ * @returns {Promise<number>} notifications queued
+ */
+export const queueProductAlerts = async (product, before) => {
+  const docs = [];
+
+  if (before.stock === 0 && product.stock > 0) {
+    const subscribers = await WishlistItem.find({ product: product._id, notifyBackInStock: true }).select('user');
+    subscribers.forEach(({ user }) => docs.push({ user, type: 'back_in_stock', product: product._id }));
+    await WishlistItem.updateMany(
+      { _id: { $in: subscribers.map((s) => s._id) } },
+      { $set: { notifyBackInStock: false } }
+    );
+  }
+
+  if (product.price < before.price) {
+    const subscribers = await WishlistItem.find({ product: product._id, notifyPriceDrop: true }).select('user');
+    subscribers.forEach(({ user }) => docs.push({
+      user,
+      type:    'price_drop',
+      product: product._id,
+      data:    { oldPrice: before.price, newPrice: product.price },
+    }));
+  }
+
+  if (docs.length) await Notification.insertMany(docs);
+  return docs.length;
+};
+
+// Deliver one claimed notification (email for now)
+const deliver = async (notification) => {
+  const [user, product] = await Promise.all([
+    User.findById(notification.user).select('name email isActive'),
+    Product.findById(notification.product).select('name price images stock isActive'),
+  ]);
+
+  if (!user?.isActive)     throw Object.assign(new Error('Account is inactive'), { permanent: true });
+  if (!product?.isActive)  throw Object.assign(new Error('Product is no longer listed'), { permanent: true });
+
+  await sendProductAlertEmail(user, product, notification);
+};
+
+/**
+ * processNotifications — delivers due notifications from the queue.
+ * Each one is claimed atomically, so several workers never send it twice.
+ * Failures retry with backoff, up to MAX_ATTEMPTS.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export const processNotifications = async () => {
+  const result = { sent: 0, failed: 0 };
+  const staleBefore = new Date(Date.now() - STALE_SENDING_MS);
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const notification = await Notification.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', sendAfter: { $lte: new Date() } },
+          { status: 'sending', updatedAt: { $lt: staleBefore } },
+        ],
+      },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { new: true, sort: { sendAfter: 1 } }
+    );
+    if (!notification) break;
+
+    try {
+      await deliver(notification);
+      notification.status = 'sent';
+      notification.sentAt = new Date();
+      notification.lastError = undefined;
+      result.sent++;
+    } catch (error) {
+      const giveUp = error.permanent || notification.attempts >= MAX_ATTEMPTS;
+      notification.status    = giveUp ? 'failed' : 'pending';
+      notification.lastError = error.message;
+      notification.sendAfter = new Date(Date.now() + 2 ** notification.attempts * 60 * 1000);
+      if (giveUp) result.failed++;
+    }
+    await notification.save();
+  }
+
+  return result;
+};
+
+/**
+ * startNotificationWorker — runs processNotifications on an interval
+ * Usage: startNotificationWorker() once the server is listening
+ */
+export const startNotificationWorker = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const { sent, failed } = await processNotifications();
+      if (sent || failed) console.log(`🔔  Notifications: ${sent} sent, ${failed} failed`);
+    } catch (error) {
+      console.error('Notification worker failed:', error.message);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,102 @@
+/**
+ * Order state machine — the only legal status moves, and who may make them.
+ *
+ * Actor roles:
+ *   'Admin'    → platform staff with orders:manage / orders:refund
+ *   'Vendor'   → a store team with orders:fulfil (own sub-order only)
+ *   'Customer' → the order's owner
+ *   'System'                        → the server itself (Stripe webhook,
+ *                                     parent status derived from sub-orders)
+ *
+ * Refunded is Admin-only, plus System when the charge.refunded webhook
+ * reports a full refund issued from the Stripe dashboard.
+ *
+ * Shape: { [from]: { [to]: [allowed roles] } }
+ */
+
+// ── Parent Order.status ───────────────────────────────────────────────────────
+export const ORDER_TRANSITIONS = {
+  Pending: {
+    Paid:      ['System'],
+    Cancelled: ['Customer', 'Admin', 'System'],
+  },
+  Paid: {
+    Processing:          ['System', 'Admin'],
+    'Partially Shipped': ['System', 'Admin'],
+    Shipped:             ['System', 'Admin'],
+    Delivered:           ['System', 'Admin'],
+    Cancelled:           ['Customer', 'Admin', 'System'],
+    Refunded:            ['Admin', 'System'],
+  },
+  Processing: {
+    'Partially Shipped': ['System', 'Admin'],
+    Shipped:             ['System', 'Admin'],
+    Delivered:           ['System', 'Admin'],
+    Cancelled:           ['Customer', 'Admin', 'System'],
+    Refunded:            ['Admin', 'System'],
+  },
+  'Partially Shipped': {
+    Shipped:   ['System', 'Admin'],
+    Delivered: ['System', 'Admin'],
+    Refunded:  ['Admin', 'System'],
+  },
+  Shipped: {
+    Delivered: ['System', 'Admin'],
+    Refunded:  ['Admin', 'System'],
+  },
+  Delivered: {
+    Refunded: ['Admin', 'System'],
+  },
+  Cancelled: {},
+  Refunded:  {},
+};
+
+// ── Vendor sub-order status (mirrored onto each item's itemStatus) ────────────
+export const FULFILMENT_TRANSITIONS = {
+  Pending: {
+    Processing: ['Vendor', 'Admin'],
+    Shipped:    ['Vendor', 'Admin'],
+    Cancelled:  ['Admin', 'System'],
+  },
+  Processing: {
+    Shipped:   ['Vendor', 'Admin'],
+    Cancelled: ['Admin', 'System'],
+  },
+  Shipped: {
+    Delivered: ['Vendor', 'Admin'],
+  },
+  Delivered: {},
+  Cancelled: {},
+};
+
+/**
+ * checkTransition — validates a status move against a transition graph
+ * @param {object} graph - ORDER_TRANSITIONS | FULFILMENT_TRANSITIONS
+ * @param {string} from  - current status
+ * @param {string} to    - requested status
+ * @param {string} role  - actor role (see above)
+ * @returns {null | { status: number, message: string }} null when allowed,
+ *          otherwise the HTTP status and reason to reject with
+ */
+export const checkTransition = (graph, from, to, role) => {
+  if (from === to) {
+    return { status: 400, message: `Status is already '${to}'` };
+  }
+
+  const allowedRoles = graph[from]?.[to];
+  if (!allowedRoles) {
+    return { status: 400, message: `Invalid status transition — '${from}' cannot move to '${to}'` };
+  }
+
+  if (!allowedRoles.includes(role)) {
+    return { status: 403, message: `Role '${role}' cannot move status from '${from}' to '${to}'` };
+  }
+
+  return null;
+};
+
+export const checkOrderTransition = (from, to, role) =>
+  checkTransition(ORDER_TRANSITIONS, from, to, role);
+
+export const checkFulfilmentTransition = (from, to, role) =>
+  checkTransition(FULFILMENT_TRANSITIONS, from, to, role);
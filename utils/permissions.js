@@ -0,0 +1,123 @@
+import Role from '../models/Role.js';
+import VendorMember from '../models/VendorMember.js';
+import { DEFAULT_ROLES, PERMISSIONS } from '../config/permissions.js';
+import { isSingleStore, storeVendorId } from '../config/storeMode.js';
+
+// Role → permissions and 2FA policy, cached briefly so protect doesn't hit
+// the DB for it on every request. Edits through the API clear it; other
+// instances catch up within ROLE_CACHE_MS.
+const ROLE_CACHE_MS = 60 * 1000;
+const roleCache = new Map();   // name → { permissions: Set, requireTwoFactor, loadedAt }
+
+const getRole = async (name) => {
+  if (!name) return { permissions: new Set(), requireTwoFactor: false };
+
+  const cached = roleCache.get(name);
+  if (cached && Date.now() - cached.loadedAt < ROLE_CACHE_MS) return cached;
+
+  const role  = await Role.findOne({ name }).select('permissions requireTwoFactor').lean();
+  const entry = {
+    permissions:      new Set(role?.permissions || []),
+    requireTwoFactor: Boolean(role?.requireTwoFactor),
+    loadedAt:         Date.now(),
+  };
+  roleCache.set(name, entry);
+  return entry;
+};
+
+/**
+ * getRolePermissions — the permissions a role grants (empty for unknown roles)
+ * @param {string} name - Role.name
+ * @returns {Promise<Set<string>>}
+ */
+export const getRolePermissions = async (name) => (await getRole(name)).permissions;
+
+export const clearRoleCache = () => roleCache.clear();
+
+/**
+ * syncDefaultRoles — creates any built-in role that is missing.
+ * Existing roles are left alone so admin edits survive restarts.
+ */
+export const syncDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+  clearRoleCache();
+};
+
+/**
+ * resolveAccess — a user's effective permissions and the store they act for
+ *   Admin    → everything; their store in single-store mode
+ *   Staff    → their platform role (plus the store in single-store mode)
+ *   Vendor   → vendor_owner for their own store, once approved (multi-store)
+ *   Customer → the store role of their active team membership, if any
+ * twoFactorRequired is the requireTwoFactor flag of the role that applies.
+ * @returns {Promise<{ permissions: Set<string>, vendorId: ObjectId|null, teamRole?: string, twoFactorRequired: boolean }>}
+ */
+export const resolveAccess = async (user) => {
+  switch (user.role) {
+    case 'Admin': {
+      // Permissions aren't read from the DB — a bad role edit must never lock admins out
+      const { requireTwoFactor } = await getRole('admin');
+      return {
+        permissions:       new Set(['*']),
+        vendorId:          storeVendorId(user),
+        twoFactorRequired: requireTwoFactor,
+      };
+    }
+
+    case 'Staff': {
+      const role = await getRole(user.staffRole);
+      return {
+        permissions:       role.permissions,
+        vendorId:          isSingleStore() ? storeVendorId(user) : null,
+        twoFactorRequired: role.requireTwoFactor,
+      };
+    }
+
+    case 'Vendor': {
+      // Single-store mode has no vendors — leftover vendor accounts can't sell
+      const selling = user.vendorStatus() === 'approved' && !isSingleStore();
+      const role    = await getRole('vendor_owner');
+      return {
+        permissions:       selling ? role.permissions : new Set(),
+        vendorId:          user._id,
+        twoFactorRequired: role.requireTwoFactor,
+      };
+    }
+
+    default: {
+      const none = { permissions: new Set(), vendorId: null, twoFactorRequired: false };
+      if (isSingleStore()) return none;
+
+      const membership = await VendorMember.findOne({ user: user._id, status: 'active' })
+        .populate('vendor', 'role isActive vendorApplication.status');
+
+      // The store's own standing applies to its whole team
+      if (!membership?.vendor?.isActive || membership.vendor.vendorStatus() !== 'approved') {
+        return none;
+      }
+      const role = await getRole(membership.role);
+      return {
+        permissions:       role.permissions,
+        vendorId:          membership.vendor._id,
+        teamRole:          membership.role,
+        twoFactorRequired: role.requireTwoFactor,
+      };
+    }
+  }
+};
+
+/**
+ * can — whether the request holds a permission.
+ * Store permissions also need a store to act for (req.vendorId).
+ */
+export const can = (req, permission) => {
+  if (!req.permissions) return false;
+  if (PERMISSIONS[permission]?.scope === 'store' && !req.vendorId) return false;
+  return req.permissions.has('*') || req.permissions.has(permission);
+};
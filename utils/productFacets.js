@@ -0,0 +1,98 @@
+import Product from '../models/Product.js';
+
+const PRICE_BUCKETS = 5;
+const TOP_VENDORS   = 10;
+const TOP_TAGS      = 20;
+const RATING_BANDS  = [4, 3, 2, 1];   // "4★ & up", …
+
+/**
+ * productFacets — counts for the listing filters, over every product the
+ * current search matches (not just the page shown). One $facet aggregation:
+ *   categories → per category, subcategories included ("Electronics (42)")
+ *   price      → up to 5 buckets of roughly equal size, plus min / max
+ *   ratings    → products rated N★ and up
+ *   inStock    → products with stock
+ *   vendors    → the 10 stores with most matches
+ *   tags       → the 20 most used tags
+ * @param {object}   filter     - from buildProductQuery
+ * @param {object[]} categories - active categories (lean), for names
+ * @returns {Promise<object>}
+ */
+export const productFacets = async (filter, categories) => {
+  // Aggregations skip schema casting (vendorId arrives as a string)
+  const match = Product.find(filter).cast();
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        categories: [
+          { $unwind: '$categoryPath' },
+          { $group: { _id: '$categoryPath', count: { $sum: 1 } } },
+        ],
+        price: [
+          { $bucketAuto: { groupBy: '$price', buckets: PRICE_BUCKETS } },
+        ],
+        stats: [
+          {
+            $group: {
+              _id:      null,
+              minPrice: { $min: '$price' },
+              maxPrice: { $max: '$price' },
+              inStock:  { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+              ...Object.fromEntries(RATING_BANDS.map((stars) => [
+                `rated${stars}`,
+                { $sum: { $cond: [{ $gte: ['$rating', stars] }, 1, 0] } },
+              ])),
+            },
+          },
+        ],
+        vendors: [
+          { $group: { _id: '$vendorId', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_VENDORS },
+          {
+            $lookup: {
+              from:     'users',
+              let:      { vendorId: '$_id' },
+              pipeline: [
+                { $match: { $expr: { $eq: ['$_id', '$$vendorId'] } } },
+                { $project: { name: 1, 'storeInfo.name': 1 } },
+              ],
+              as:       'vendor',
+            },
+          },
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_TAGS },
+        ],
+      },
+    },
+  ]);
+
+  const stats  = result.stats[0] || {};
+  const counts = new Map(result.categories.map((c) => [c._id.toString(), c.count]));
+
+  return {
+    categories: categories
+      .filter((c) => counts.has(c._id.toString()))
+      .map(({ _id, name, slug, parent }) => ({ _id, name, slug, parent, count: counts.get(_id.toString()) }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    price: {
+      min:     stats.minPrice ?? null,
+      max:     stats.maxPrice ?? null,
+      buckets: result.price.map((b) => ({ min: b._id.min, max: b._id.max, count: b.count })),
+    },
+    ratings: RATING_BANDS.map((stars) => ({ minRating: stars, count: stats[`rated${stars}`] || 0 })),
+    inStock: stats.inStock || 0,
+    vendors: result.vendors.map(({ _id, count, vendor: [vendor] }) => ({
+      _id,
+      name:      vendor?.storeInfo?.name || vendor?.name,
+      count,
+    })),
+    tags: result.tags.map((t) => ({ tag: t._id, count: t.count })),
+  };
+};
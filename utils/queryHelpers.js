@@ -1,17 +1,20 @@
+import { resolveCategory } from './categories.js';
+import { hiddenVendorIds } from './vendorApplications.js';
+
 /**
  * buildProductQuery — parses req.query and returns a Mongoose filter object
  *
  * Supported query params:
  *   ?keyword=soap        → full-text search
- *   ?category=Clothing   → category filter
+ *   ?category=phones     → category (id or slug) and all its subcategories
  *   ?minPrice=100        → price range (PKR)
  *   ?maxPrice=5000
  *   ?inStock=true        → only products with stock > 0
  *   ?vendorId=<id>       → products by a specific vendor
  *   ?page=2&limit=12     → pagination
- *   ?sort=price_asc|price_desc|newest|rating
+ *   ?sort=relevance|price_asc|price_desc|newest|rating
  */
-export const buildProductQuery = (query) => {
+export const buildProductQuery = async (query) => {
   const filter = { isActive: true };
 
   if (query.keyword) {
@@ -19,7 +22,9 @@ export const buildProductQuery = (query) => {
   }
 
   if (query.category) {
-    filter.category = query.category;
+    const category = await resolveCategory(query.category);
+    // An unknown or inactive category matches nothing rather than everything
+    filter.categoryPath = category ? category._id : { $in: [] };
   }
 
   if (query.minPrice || query.maxPrice) {
@@ -32,18 +37,23 @@ export const buildProductQuery = (query) => {
     filter.stock = { $gt: 0 };
   }
 
+  // Only stores the public may see
+  filter.vendorId = { $nin: await hiddenVendorIds() };
   if (query.vendorId) {
-    filter.vendorId = query.vendorId;
+    filter.vendorId.$eq = query.vendorId;
   }
 
   return filter;
 };
 
 /**
- * buildSortOption — converts sort query param to Mongoose sort object
+ * buildSortOption — converts sort query param to Mongoose sort object.
+ * Newest first unless asked otherwise. 'relevance' ranks keyword searches by
+ * text score; without a keyword there is no score, so it falls back to newest.
  */
-export const buildSortOption = (sort) => {
+export const buildSortOption = (sort, hasKeyword = false) => {
   switch (sort) {
+    case 'relevance':  return hasKeyword ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
     case 'price_asc':  return { price: 1 };
     case 'price_desc': return { price: -1 };
     case 'rating':     return { rating: -1 };
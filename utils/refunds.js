@@ -0,0 +1,231 @@
+import stripe from '../config/stripe.js';
+import { recordRefund } from './ledger.js';
+import { vendorShippingEarned } from './shipping.js';
+
+const round = (n) => parseFloat(n.toFixed(2));
+
+/**
+ * remainingShipping — shipping the customer paid (after any free-shipping
+ * discount) that has not been refunded yet
+ */
+export const remainingShipping = (order) => {
+  const refunded = order.refunds
+    .filter((r) => r.status !== 'failed')
+    .reduce((sum, r) => sum + (r.shippingAmount || 0), 0);
+  const paid = (order.shippingCost || 0) - (order.shippingDiscount || 0);
+  return round(Math.max(0, paid - refunded));
+};
+
+/**
+ * isFullyRefunded — every line and the shipping charge have been refunded
+ */
+export const isFullyRefunded = (order) =>
+  order.items.every((item) => (item.refundedQty || 0) >= item.qty) &&
+  remainingShipping(order) === 0;
+
+// The order line a refund line refers to — product plus variant, if any
+const findItem = (order, productId, variantId) => order.items.find((i) =>
+  i.product.toString() === productId.toString() &&
+  (i.variantId?.toString() || null) === (variantId?.toString() || null));
+
+/**
+ * buildRefundLines — prices refund lines from the order's purchase snapshot.
+ * Amounts are what the customer actually paid, so coupon discounts are
+ * never refunded as cash.
+ * Platform fee and vendor payout are reversed in the same proportion as the
+ * refunded quantity; the last unit of a line takes whatever is left so
+ * rounding never leaves a few paisa behind.
+ * @param {Order} order
+ * @param {Array<{ productId, variantId?, qty }>} [requested] - omit to refund everything still refundable
+ * @returns {{ lines: Array, error: string|null }}
+ */
+export const buildRefundLines = (order, requested) => {
+  const wanted = requested?.length
+    ? requested
+    : order.items
+      .map((item) => ({
+        productId: item.product,
+        variantId: item.variantId,
+        qty:       item.qty - (item.refundedQty || 0),
+      }))
+      .filter((line) => line.qty > 0);
+
+  // The same line listed twice is one request for the combined quantity, so
+  // it is checked (and its fee reversed) against what's left only once
+  const merged = new Map();
+  wanted.forEach(({ productId, variantId, qty }) => {
+    const key = `${productId}:${variantId || ''}`;
+    const line = merged.get(key);
+    if (line) line.qty += qty;
+    else merged.set(key, { productId, variantId, qty });
+  });
+
+  const lines = [];
+  for (const { productId, variantId, qty } of merged.values()) {
+    const item = findItem(order, productId, variantId);
+    if (!item) {
+      return { lines: [], error: `Product ${productId} is not part of this order${variantId ? ' in that variant' : ''}` };
+    }
+
+    const remaining = item.qty - (item.refundedQty || 0);
+    if (qty > remaining) {
+      return { lines: [], error: `Only ${remaining} of "${item.name}" can still be refunded` };
+    }
+
+    const isLast = qty === remaining;
+    const share  = qty / item.qty;
+    lines.push({
+      product:      item.product,
+      variantId:    item.variantId,
+      vendorId:     item.vendorId,
+      qty,
+      amount:       isLast ? round(item.itemRevenue  - (item.refundedAmount || 0)) : round(item.itemRevenue  * share),
+      platformFee:  isLast ? round(item.platformFee  - (item.refundedFee    || 0)) : round(item.platformFee  * share),
+      vendorPayout: isLast ? round(item.vendorPayout - (item.refundedPayout || 0)) : round(item.vendorPayout * share),
+    });
+  }
+
+  return { lines, error: null };
+};
+
+/**
+ * allocateRefundAmount — spreads a lump-sum refund (e.g. a partial refund
+ * issued from the Stripe dashboard) across lines by their unrefunded value.
+ * No quantities are refunded, so nothing is restocked.
+ */
+export const allocateRefundAmount = (order, amount) => {
+  const open = order.items
+    .map((item) => ({ item, value: item.itemRevenue - (item.refundedAmount || 0) }))
+    .filter((entry) => entry.value > 0);
+
+  const openTotal = open.reduce((sum, entry) => sum + entry.value, 0);
+  if (openTotal === 0) return [];
+
+  const capped = Math.min(amount, openTotal);
+  return open.map(({ item, value }) => {
+    const lineAmount = round(capped * (value / openTotal));
+    const share      = lineAmount / item.itemRevenue;
+    return {
+      product:      item.product,
+      variantId:    item.variantId,
+      vendorId:     item.vendorId,
+      qty:          0,
+      amount:       lineAmount,
+      platformFee:  round(item.platformFee  * share),
+      vendorPayout: round(item.vendorPayout * share),
+    };
+  });
+};
+
+// Refunding shipping always refunds whatever is left of it, parcel by parcel.
+// The vendor hands back the shipping they were credited — including free
+// shipping the platform paid for (subsidy), which the customer never paid.
+const buildShippingLines = (order) => order.subOrders
+  .filter((sub) => (sub.shippingRefunded || 0) < vendorShippingEarned(sub))
+  .map((sub) => {
+    const paid = round(sub.shippingCost - (sub.shippingDiscount || 0));
+    return {
+      vendorId: sub.vendorId,
+      amount:   paid,
+      subsidy:  round(vendorShippingEarned(sub) - paid),
+    };
+  });
+
+// Add (sign = 1) or reverse (sign = -1) a refund's shipping on the sub-orders
+const adjustShipping = (order, shipping, sign) => {
+  shipping.forEach((line) => {
+    const sub = order.getSubOrder(line.vendorId);
+    sub.shippingRefunded = round((sub.shippingRefunded || 0) + sign * (line.amount + line.subsidy));
+  });
+};
+
+// Add (sign = 1) or reverse (sign = -1) a refund's lines on the order items
+const adjustItems = (order, lines, sign) => {
+  lines.forEach((line) => {
+    const item = findItem(order, line.product, line.variantId);
+    item.refundedQty    = (item.refundedQty    || 0) + sign * line.qty;
+    item.refundedAmount = round((item.refundedAmount || 0) + sign * line.amount);
+    item.refundedFee    = round((item.refundedFee    || 0) + sign * line.platformFee);
+    item.refundedPayout = round((item.refundedPayout || 0) + sign * line.vendorPayout);
+  });
+};
+
+/**
+ * applyRefund — records a refund on the order (does not call Stripe)
+ * includeShipping refunds all remaining shipping along with the lines.
+ * @returns {object} the refund sub-document that was pushed
+ */
+export const applyRefund = (order, {
+  lines,
+  includeShipping = false,
+  reason,
+  source,
+  actor = {},
+  status = 'succeeded',
+  stripeRefundId,
+}) => {
+  const shippingAmount = includeShipping ? remainingShipping(order) : 0;
+  const shipping       = includeShipping ? buildShippingLines(order) : [];
+
+  adjustItems(order, lines, 1);
+  adjustShipping(order, shipping, 1);
+
+  const amount = round(lines.reduce((sum, l) => sum + l.amount, 0) + shippingAmount);
+  order.refunds.push({
+    stripeRefundId,
+    status,
+    amount,
+    shippingAmount,
+    shipping,
+    items:  lines,
+    reason,
+    source,
+    by:     actor.user,
+  });
+  order.refundedTotal = round((order.refundedTotal || 0) + amount);
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+/**
+ * revertRefund — undoes applyRefund when Stripe rejected the refund.
+ * The entry is kept (status 'failed') as a record of the attempt.
+ */
+export const revertRefund = (order, refund) => {
+  adjustItems(order, refund.items, -1);
+  adjustShipping(order, refund.shipping, -1);
+  order.refundedTotal = round(order.refundedTotal - refund.amount);
+  refund.status = 'failed';
+};
+
+/**
+ * issueRefund — records a refund, sends it to Stripe, and rolls the record
+ * back if Stripe refuses. The order is saved before the Stripe call so the
+ * charge.refunded webhook always finds the refund already accounted for.
+ * @returns {Promise<object>} the refund sub-document
+ * @throws  the Stripe error (order saved with the attempt marked failed)
+ */
+export const issueRefund = async (order, options) => {
+  const refund = applyRefund(order, { ...options, status: 'pending' });
+  await order.save({ validateBeforeSave: false });
+
+  try {
+    const stripeRefund = await stripe.refunds.create({
+      payment_intent: order.stripePaymentIntentId,
+      amount:         Math.round(refund.amount * 100),   // PKR → paisa
+      metadata:       { orderId: order._id.toString(), source: options.source },
+    });
+    refund.stripeRefundId = stripeRefund.id;
+    refund.status         = 'succeeded';
+  } catch (error) {
+    revertRefund(order, refund);
+    await order.save({ validateBeforeSave: false });
+    throw error;
+  }
+
+  await order.save({ validateBeforeSave: false });
+
+  // Take the refund back out of each vendor's balance
+  await recordRefund(order, refund);
+  return refund;
+};
@@ -0,0 +1,46 @@
+import Order from '../models/Order.js';
+import { releaseReservation } from './stock.js';
+
+// Give the checkout.session.expired webhook a head start before sweeping
+const GRACE_PERIOD_MS = 5 * 60 * 1000;
+
+/**
+ * releaseExpiredReservations — releases stock held by abandoned checkouts
+ * whose expiry webhook never arrived.
+ * @returns {Promise<number>} number of orders released
+ */
+export const releaseExpiredReservations = async () => {
+  const cutoff = new Date(Date.now() - GRACE_PERIOD_MS);
+
+  const expired = await Order.find({
+    'reservation.status':    'held',
+    'reservation.expiresAt': { $lt: cutoff },
+  }).select('_id');
+
+  const actor = { role: 'System', note: 'Reservation expired — checkout abandoned' };
+
+  let released = 0;
+  for (const { _id } of expired) {
+    if (await releaseReservation(_id, actor)) released++;
+  }
+
+  return released;
+};
+
+/**
+ * startReservationSweeper — runs releaseExpiredReservations on an interval
+ * Usage: startReservationSweeper() once the server is listening
+ */
+export const startReservationSweeper = (intervalMs = 5 * 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) console.log(`🧹  Released stock for ${released} expired checkout(s)`);
+    } catch (error) {
+      console.error('Reservation sweeper failed:', error.message);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,278 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import User from '../models/User.js';
+import { approvedVendorFilter, hiddenVendorIds } from './vendorApplications.js';
+
+// ── Search index ──────────────────────────────────────────────────────────────
+// An in-memory index of the words in product names, tags, category names and
+// store names, for autocomplete. Built from the database when the server
+// starts, rebuilt every SEARCH_INDEX_REFRESH_MINUTES (default 10) and shortly
+// after catalogue changes (refreshSearchIndexSoon). Each server process keeps
+// its own copy.
+
+export const SUGGESTION_KINDS = ['products', 'tags', 'categories', 'vendors'];
+
+const REFRESH_DEBOUNCE_MS = 30 * 1000;
+const MAX_QUERY_WORDS     = 6;   // further words are ignored
+
+let index    = null;   // { entries, words: Map<word, Set<entry>>, pairs: Map<pair, Set<word>> }
+let building = null;   // in-flight rebuild
+let pending  = null;   // debounce timer
+
+/**
+ * normalize — lowercase, accents stripped, anything but letters and digits
+ * turned into single spaces
+ */
+export const normalize = (text = '') =>
+  text
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Typos allowed for a word of this length — none for short words, where one
+// edit already turns it into a different word
+const maxEdits = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+/**
+ * editDistance — Levenshtein distance counting a swap of neighbouring
+ * letters as one edit ("hedaphones"). Gives up once it exceeds `max`.
+ * @returns {number} the distance, or max + 1
+ */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let twoBack  = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], twoBack[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    twoBack  = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The word's adjacent letter pairs, with a start marker so even a single
+// letter has one ("^h") — what candidate words are looked up by
+const letterPairs = (word) => {
+  const marked = `^${word}`;
+  const pairs  = new Set();
+  for (let i = 0; i < marked.length - 1; i++) pairs.add(marked.slice(i, i + 2));
+  return pairs;
+};
+
+const addEntry = (entries, words, entry) => {
+  entry.normalized = normalize(entry.label);
+  if (!entry.normalized) return;
+
+  entries.push(entry);
+  new Set(entry.normalized.split(' ')).forEach((word) => {
+    if (!words.has(word)) words.set(word, new Set());
+    words.get(word).add(entry);
+  });
+};
+
+/**
+ * rebuildSearchIndex — reads the active catalogue and swaps in a new index
+ * @returns {Promise<number>} entries indexed
+ */
+export const rebuildSearchIndex = async () => {
+  const hiddenVendors = await hiddenVendorIds();
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true, vendorId: { $nin: hiddenVendors } }).select('name tags vendorId categoryPath numReviews').lean(),
+    Category.find({ isActive: true }).select('name slug').lean(),
+  ]);
+
+  const tagCounts      = new Map();
+  const categoryCounts = new Map();
+  const vendorCounts   = new Map();
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  const entries = [];
+  const words   = new Map();
+
+  products.forEach((p) => {
+    // Popular products first among equally good matches
+    addEntry(entries, words, { kind: 'products', id: p._id, label: p.name, weight: 1 + (p.numReviews || 0) });
+    p.tags?.forEach((tag) => bump(tagCounts, tag));
+    p.categoryPath?.forEach((id) => bump(categoryCounts, id.toString()));
+    bump(vendorCounts, p.vendorId.toString());
+  });
+
+  tagCounts.forEach((count, tag) => addEntry(entries, words, { kind: 'tags', label: tag, weight: count }));
+
+  categories
+    .filter((c) => categoryCounts.has(c._id.toString()))
+    .forEach((c) => addEntry(entries, words, {
+      kind:   'categories',
+      id:     c._id,
+      slug:   c.slug,
+      label:  c.name,
+      weight: categoryCounts.get(c._id.toString()),
+    }));
+
+  const vendors = await User.find({ _id: { $in: [...vendorCounts.keys()] }, ...approvedVendorFilter() })
+    .select('name storeInfo.name')
+    .lean();
+  vendors.forEach((v) => addEntry(entries, words, {
+    kind:   'vendors',
+    id:     v._id,
+    label:  v.storeInfo?.name || v.name,
+    weight: vendorCounts.get(v._id.toString()),
+  }));
+
+  const pairs = new Map();
+  words.forEach((_, word) => letterPairs(word).forEach((pair) => {
+    if (!pairs.has(pair)) pairs.set(pair, new Set());
+    pairs.get(pair).add(word);
+  }));
+
+  index = { entries, words, pairs };
+  return entries.length;
+};
+
+// One rebuild at a time; callers during a rebuild share it
+const ensureRebuild = () => {
+  building ||= rebuildSearchIndex().finally(() => { building = null; });
+  return building;
+};
+
+/**
+ * refreshSearchIndexSoon — rebuilds the index after catalogue changes,
+ * batching bursts of edits into one rebuild
+ */
+export const refreshSearchIndexSoon = () => {
+  if (pending) return;
+  pending = setTimeout(() => {
+    pending = null;
+    ensureRebuild().catch((error) => console.error('Search index rebuild failed:', error.message));
+  }, REFRESH_DEBOUNCE_MS);
+  pending.unref();
+};
+
+// How well a query word matches an indexed word: 3 exact, 2 prefix (while
+// typing), 1 within the allowed typos (of the whole word, or of its start
+// for the word being typed), 0 no match
+const scoreWord = (token, word, isLast) => {
+  if (word === token) return 3;
+  if (isLast && word.startsWith(token)) return 2;
+
+  const edits = maxEdits(token.length);
+  if (edits === 0) return 0;
+  if (editDistance(token, word, edits) <= edits) return 1;
+
+  // Still typing: compare with the word's start, give or take the typos
+  if (isLast) {
+    for (let length = token.length - edits; length <= token.length + edits; length++) {
+      if (length < word.length && editDistance(token, word.slice(0, length), edits) <= edits) return 1;
+    }
+  }
+  return 0;
+};
+
+// The indexed words a query word could match, so each keystroke scores a
+// handful of words rather than the whole vocabulary. One typo changes at most
+// three letter pairs (a swap touches three), so a word within the allowed
+// typos — whole, or its start — shares all but 3 per typo of the query's pairs.
+const candidateWords = (token) => {
+  const pairs  = letterPairs(token);
+  const needed = Math.max(1, pairs.size - 3 * maxEdits(token.length));
+
+  const shared = new Map();
+  pairs.forEach((pair) => index.pairs.get(pair)?.forEach((word) => {
+    shared.set(word, (shared.get(word) || 0) + 1);
+  }));
+  return [...shared].filter(([, count]) => count >= needed).map(([word]) => word);
+};
+
+/**
+ * suggest — autocomplete for a partly typed query. Every word must match
+ * (the last one may be a prefix); small typos are tolerated. Only the first
+ * 6 words are used.
+ * @param {string} query
+ * @param {number} [limit=5] - per kind
+ * @returns {Promise<{ products, tags, categories, vendors, didYouMean }>}
+ *          didYouMean: the query with typos corrected, when any were
+ */
+export const suggest = async (query, limit = 5) => {
+  if (!index) await ensureRebuild();
+
+  const tokens = normalize(query).split(' ').filter(Boolean).slice(0, MAX_QUERY_WORDS);
+  const empty  = Object.fromEntries(SUGGESTION_KINDS.map((kind) => [kind, []]));
+  if (tokens.length === 0) return { ...empty, didYouMean: null };
+
+  // Per query word: matching entries with their best score, and the best
+  // exact-or-typo word (for didYouMean)
+  let matches    = null;
+  let corrected  = false;
+  const spelling = tokens.map((token, i) => {
+    const isLast  = i === tokens.length - 1;
+    const scores  = new Map();
+    let best      = { score: 0, word: token, weight: 0 };
+
+    candidateWords(token).forEach((word) => {
+      const score = scoreWord(token, word, isLast);
+      if (score === 0) return;
+
+      const entries = index.words.get(word);
+      entries.forEach((entry) => {
+        if (matches && !matches.has(entry)) return;
+        scores.set(entry, Math.max(scores.get(entry) || 0, score));
+      });
+
+      // A prefix means the word isn't finished yet — nothing to correct
+      const weight = [...entries].reduce((sum, e) => sum + e.weight, 0);
+      if (score > best.score || (score === best.score && weight > best.weight)) {
+        best = { score, word: score === 2 ? token : word, weight };
+      }
+    });
+
+    matches = new Map([...scores].map(([entry, score]) => [entry, (matches?.get(entry) || 0) + score]));
+    if (best.score === 1) corrected = true;
+    return best.word;
+  });
+
+  const phrase = tokens.join(' ');
+  const ranked = [...matches]
+    .map(([entry, score]) => ({ entry, score: score + (entry.normalized.startsWith(phrase) ? 3 : 0) }))
+    .sort((a, b) =>
+      b.score - a.score || b.entry.weight - a.entry.weight || a.entry.label.localeCompare(b.entry.label));
+
+  const result = empty;
+  ranked.forEach(({ entry }) => {
+    const list = result[entry.kind];
+    if (list.length >= limit) return;
+    list.push(entry.kind === 'tags'
+      ? { tag: entry.label, count: entry.weight }
+      : { _id: entry.id, name: entry.label, ...(entry.slug && { slug: entry.slug }) });
+  });
+
+  return { ...result, didYouMean: corrected ? spelling.join(' ') : null };
+};
+
+/**
+ * startSearchIndex — builds the index and keeps it fresh on an interval
+ * Usage: startSearchIndex() once the server is listening
+ */
+export const startSearchIndex = () => {
+  const refresh = () => ensureRebuild()
+    .catch((error) => console.error('Search index rebuild failed:', error.message));
+
+  refresh().then((count) => count !== undefined && console.log(`🔎  Search index: ${count} entries`));
+  const minutes = parseInt(process.env.SEARCH_INDEX_REFRESH_MINUTES) || 10;
+  const timer   = setInterval(refresh, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -10,6 +10,9 @@ import { connectDB } from '../config/db.js';
 import User from '../models/User.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import Category, { DEFAULT_CATEGORIES } from '../models/Category.js';
+import { syncDefaultRoles } from './permissions.js';
 
 dotenv.config();
 connectDB();
@@ -20,12 +23,15 @@ const users = [
     email:    'admin@finalproject.com',
     password: 'Admin@1234',
     role:     'Admin',
+    emailVerified: true,
   },
   {
     name:     'Ayesha Khan',
     email:    'vendor1@finalproject.com',
     password: 'Vendor@1234',
     role:     'Vendor',
+    emailVerified: true,
+    vendorApplication: { status: 'approved' },
     storeInfo: {
       name:        'Ayesha Crafts',
       description: 'Handmade jewellery and accessories made with love in Lahore.',
@@ -36,6 +42,8 @@ const users = [
     email:    'vendor2@finalproject.com',
     password: 'Vendor@1234',
     role:     'Vendor',
+    emailVerified: true,
+    vendorApplication: { status: 'approved' },
     storeInfo: {
       name:        'TechBazar PK',
       description: 'Affordable electronics and accessories — original products only.',
@@ -46,26 +54,39 @@ const users = [
     email:    'customer@finalproject.com',
     password: 'Customer@1234',
     role:     'Customer',
+    emailVerified: true,
   },
 ];
 
 const seedData = async () => {
   try {
     await Order.deleteMany();
+    await Review.deleteMany();
     await Product.deleteMany();
+    await Category.deleteMany();
     await User.deleteMany();
+    await syncDefaultRoles();
 
     const createdUsers   = await User.create(users);
     const vendor1        = createdUsers.find((u) => u.email === 'vendor1@finalproject.com');
     const vendor2        = createdUsers.find((u) => u.email === 'vendor2@finalproject.com');
 
+    const categories = await Category.create(
+      DEFAULT_CATEGORIES.map((name, sortOrder) => ({ name, sortOrder }))
+    );
+    // Products below name their category; store its id and path
+    const filed = (name) => {
+      const category = categories.find((c) => c.name === name);
+      return { category: category._id, categoryPath: category.path };
+    };
+
     const products = [
       {
         name:        'Handmade Silver Jhumkas',
         description: 'Elegant silver-tone jhumka earrings, handcrafted with semi-precious stones. Lightweight and hypoallergenic.',
         price:       1800,
         images:      ['https://via.placeholder.com/400x400?text=Jhumkas'],
-        category:    'Jewellery & Accessories',
+        ...filed('Jewellery & Accessories'),
         stock:       30,
         vendorId:    vendor1._id,
         tags:        ['earrings', 'silver', 'handmade', 'jewellery'],
@@ -75,7 +96,7 @@ const seedData = async () => {
         description: 'Vibrant hand-embroidered clutch bag — perfect for weddings and formal events. 100% handmade.',
         price:       2500,
         images:      ['https://via.placeholder.com/400x400?text=Clutch'],
-        category:    'Handmade & Crafts',
+        ...filed('Handmade & Crafts'),
         stock:       15,
         vendorId:    vendor1._id,
         tags:        ['bag', 'clutch', 'embroidery', 'handmade'],
@@ -85,7 +106,7 @@ const seedData = async () => {
         description: 'GaN 65W USB-C charger compatible with laptops, tablets, and smartphones. Compact travel-friendly design.',
         price:       2200,
         images:      ['https://via.placeholder.com/400x400?text=Charger'],
-        category:    'Electronics',
+        ...filed('Electronics'),
         stock:       50,
         vendorId:    vendor2._id,
         tags:        ['charger', 'usb-c', 'electronics', 'laptop'],
@@ -95,7 +116,7 @@ const seedData = async () => {
         description: 'True wireless earbuds with active noise cancellation, 30hr battery life, and IPX5 water resistance.',
         price:       5500,
         images:      ['https://via.placeholder.com/400x400?text=Earbuds'],
-        category:    'Electronics',
+        ...filed('Electronics'),
         stock:       3,   // low stock — will trigger alert
         vendorId:    vendor2._id,
         tags:        ['earbuds', 'wireless', 'anc', 'audio'],
@@ -120,7 +141,9 @@ const seedData = async () => {
 const destroyData = async () => {
   try {
     await Order.deleteMany();
+    await Review.deleteMany();
     await Product.deleteMany();
+    await Category.deleteMany();
     await User.deleteMany();
     console.log('🗑️   All data destroyed');
     process.exit(0);
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import generateToken from './generateToken.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (raw) => crypto.createHash('sha256').update(raw).digest('hex');
+
+/**
+ * refreshTokenTtlDays — how long a session survives without a refresh
+ * (REFRESH_TOKEN_TTL_DAYS, default 30)
+ */
+export const refreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Store a new refresh token in the family and hand back the raw value
+const createRefreshToken = async (user, family, req) => {
+  const raw = crypto.randomBytes(48).toString('base64url');
+  const doc = await RefreshToken.create({
+    user:      user._id,
+    family,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * DAY_MS),
+    userAgent: req?.get('User-Agent')?.slice(0, 300),
+    ip:        req?.ip,
+  });
+  return { raw, expiresAt: doc.expiresAt };
+};
+
+// Access + refresh token pair for one session
+const tokenPair = async (user, family, req) => {
+  const refresh = await createRefreshToken(user, family, req);
+  return {
+    token:            generateToken(user._id, user.role, { sid: family, tv: user.tokenVersion || 0 }),
+    refreshToken:     refresh.raw,
+    refreshExpiresAt: refresh.expiresAt,
+  };
+};
+
+/**
+ * startSession — opens a new session (token family) after login/registration
+ * @param {User}    user
+ * @param {Request} [req] - for device info
+ * @returns {Promise<{ token, refreshToken, refreshExpiresAt }>}
+ */
+export const startSession = (user, req) => tokenPair(user, crypto.randomUUID(), req);
+
+/**
+ * revokeSession — ends one session (every token in the family)
+ */
+export const revokeSession = (family, reason = 'logout') =>
+  RefreshToken.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+/**
+ * revokeAllSessions — ends every session of a user and bumps tokenVersion,
+ * so access tokens already handed out stop working immediately too
+ * @param {string} userId
+ * @param {string} reason - see RefreshToken.revokedReason
+ * @returns {Promise<number>} the user's new tokenVersion
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('tokenVersion');
+  return user?.tokenVersion;
+};
+
+/**
+ * rotateRefreshToken — trades a refresh token for a new pair.
+ * The old token is marked used atomically, so it works exactly once.
+ * Presenting a used or revoked token means it was copied: the whole family
+ * is revoked, logging out both the thief and the real user.
+ * @param {string}  raw - refresh token from the client
+ * @param {Request} [req]
+ * @returns {Promise<{ user?: User, tokens?: object, error?: string }>}
+ */
+export const rotateRefreshToken = async (raw, req) => {
+  const tokenHash = hashToken(raw);
+  const now       = new Date();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash }).select('family usedAt');
+    if (known?.usedAt) {
+      const { modifiedCount } = await revokeSession(known.family, 'reuse_detected');
+      if (modifiedCount) console.warn(`Refresh token reuse detected — session ${known.family} revoked`);
+    }
+    return { error: 'Session expired — please log in again' };
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    await revokeSession(current.family, 'account_disabled');
+    return { error: 'Account unavailable — please log in again' };
+  }
+
+  return { user, tokens: await tokenPair(user, current.family, req) };
+};
+
+/**
+ * endSessionByToken — logout with a refresh token (works after the access
+ * token has expired)
+ * @returns {Promise<boolean>} true if a live session was ended
+ */
+export const endSessionByToken = async (raw) => {
+  const token = await RefreshToken.findOne({ tokenHash: hashToken(raw) }).select('family revokedAt');
+  if (!token || token.revokedAt) return false;
+  await revokeSession(token.family, 'logout');
+  return true;
+};
+
+/**
+ * isSessionActive — whether a session still has a live (unrevoked) token
+ */
+export const isSessionActive = async (family) =>
+  Boolean(await RefreshToken.exists({ family, revokedAt: { $exists: false } }));
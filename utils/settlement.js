@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Payout from '../models/Payout.js';
+import User from '../models/User.js';
+import stripe from '../config/stripe.js';
+import { getVendorBalances, recordPayout, recordPayoutReversal } from './ledger.js';
+import { vendorShippingEarned } from './shipping.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round  = (n) => parseFloat(n.toFixed(2));
+
+/**
+ * payoutHoldDays — days a delivered item waits before it can be paid out
+ * (leaves room for returns and disputes)
+ */
+export const payoutHoldDays = () => {
+  const days = parseInt(process.env.PAYOUT_HOLD_DAYS);
+  return Number.isNaN(days) ? 7 : days;
+};
+
+// Delivered, unsettled lines (and parcel shipping) per vendor whose sub-order
+// was delivered before the cutoff
+const collectEligibleItems = async (cutoff, vendorId) => {
+  const subMatch = { status: 'Delivered', deliveredAt: { $lte: cutoff } };
+  if (vendorId) subMatch.vendorId = vendorId;
+
+  const orders = await Order.find({ subOrders: { $elemMatch: subMatch } })
+    .select('items subOrders')
+    .lean();
+
+  const byVendor = {};
+  orders.forEach((order) => {
+    order.subOrders
+      .filter((sub) => sub.status === 'Delivered' && sub.deliveredAt <= cutoff)
+      .filter((sub) => !vendorId || sub.vendorId.toString() === vendorId.toString())
+      .forEach((sub) => {
+        const vid = sub.vendorId.toString();
+        order.items
+          .filter((item) => item.vendorId.toString() === vid && !item.payout)
+          .forEach((item) => {
+            byVendor[vid] ??= [];
+            byVendor[vid].push({
+              order:   order._id,
+              product: item.product,
+              amount:  round(item.vendorPayout - (item.refundedPayout || 0)),
+            });
+          });
+
+        const shipping = round(vendorShippingEarned(sub) - (sub.shippingRefunded || 0));
+        if (!sub.shippingPayout && shipping > 0) {
+          byVendor[vid] ??= [];
+          byVendor[vid].push({ order: order._id, kind: 'shipping', amount: shipping });
+        }
+      });
+  });
+
+  return byVendor;
+};
+
+// Point (or un-point) each settled order line / parcel shipping at its payout.
+// Only lines that aren't already paid out are pointed — see claimItems.
+const markItemsSettled = async (payout, settled = true) => {
+  const byOrder = {};
+  payout.items.forEach((item) => {
+    byOrder[item.order.toString()] ??= { products: [], shipping: false };
+    if (item.kind === 'shipping') byOrder[item.order.toString()].shipping = true;
+    else byOrder[item.order.toString()].products.push(item.product);
+  });
+
+  for (const [orderId, { products, shipping }] of Object.entries(byOrder)) {
+    if (products.length) {
+      const filter = { 'i.vendorId': payout.vendorId, 'i.product': { $in: products } };
+      await Order.updateOne(
+        { _id: orderId },
+        settled
+          ? { $set:   { 'items.$[i].payout': payout._id } }
+          : { $unset: { 'items.$[i].payout': '' } },
+        { arrayFilters: [{ ...filter, 'i.payout': settled ? null : payout._id }] }
+      );
+    }
+
+    if (shipping) {
+      await Order.updateOne(
+        { _id: orderId },
+        settled
+          ? { $set:   { 'subOrders.$[s].shippingPayout': payout._id } }
+          : { $unset: { 'subOrders.$[s].shippingPayout': '' } },
+        { arrayFilters: [{ 's.vendorId': payout.vendorId, 's.shippingPayout': settled ? null : payout._id }] }
+      );
+    }
+  }
+};
+
+// Claims the lines for a payout before it exists, so two settlement runs
+// can never pay the same line: each line is pointed at the payout only while
+// unpaid, and the lines that came back pointing at someone else's payout
+// (another run got there first) are dropped
+const claimItems = async (payoutId, vendorId, items) => {
+  await markItemsSettled({ _id: payoutId, vendorId, items });
+
+  const orders = await Order.find({ _id: { $in: items.map((item) => item.order) } })
+    .select('items.product items.vendorId items.payout subOrders.vendorId subOrders.shippingPayout')
+    .lean();
+  const byId = new Map(orders.map((order) => [order._id.toString(), order]));
+
+  return items.filter((item) => {
+    const order = byId.get(item.order.toString());
+    if (item.kind === 'shipping') {
+      return order?.subOrders.some((sub) =>
+        sub.vendorId.toString() === vendorId.toString() && sub.shippingPayout?.equals(payoutId));
+    }
+    return order?.items.some((line) =>
+      line.vendorId.toString() === vendorId.toString() &&
+      line.product.toString() === item.product.toString() &&
+      line.payout?.equals(payoutId));
+  });
+};
+
+/**
+ * failPayout — marks a payout failed, puts the money back on the vendor's
+ * balance and releases its lines for the next settlement run
+ */
+export const failPayout = async (payout, reason) => {
+  payout.status        = 'failed';
+  payout.failureReason = reason;
+  await payout.save();
+
+  await recordPayoutReversal(payout);
+  await markItemsSettled(payout, false);
+};
+
+/**
+ * runSettlement — collects delivered items past the hold period into one
+ * Payout per vendor. Vendors with a linked Stripe Connect account are paid
+ * by transfer straight away; everyone else gets a pending manual payout.
+ * A vendor's payout never exceeds their ledger balance, so refunds issued
+ * after earlier payouts are recovered from the next one.
+ * @param {object} options - { holdDays, vendorId, triggeredBy }
+ * @returns {Promise<{ runId, cutoff, payouts, skipped }>}
+ */
+export const runSettlement = async ({ holdDays = payoutHoldDays(), vendorId, triggeredBy } = {}) => {
+  const runId    = crypto.randomUUID();
+  const cutoff   = new Date(Date.now() - holdDays * DAY_MS);
+  const eligible = await collectEligibleItems(cutoff, vendorId);
+  const balances = await getVendorBalances(vendorId);
+
+  const payouts = [];
+  const skipped = [];
+
+  for (const [vid, eligibleItems] of Object.entries(eligible)) {
+    if (!(balances[vid]?.balance > 0)) {
+      skipped.push({ vendorId: vid, reason: 'No positive balance to pay out' });
+      continue;
+    }
+
+    const payoutId  = new mongoose.Types.ObjectId();
+    const items     = await claimItems(payoutId, vid, eligibleItems);
+    const itemTotal = items.reduce((sum, item) => sum + item.amount, 0);
+    const amount    = round(Math.min(itemTotal, balances[vid].balance));
+
+    if (amount <= 0) {
+      await markItemsSettled({ _id: payoutId, vendorId: vid, items }, false);
+      skipped.push({ vendorId: vid, reason: items.length
+        ? 'No positive balance to pay out'
+        : 'Lines already claimed by another settlement run' });
+      continue;
+    }
+
+    const vendor   = await User.findById(vid).select('payoutAccount');
+    const account  = vendor?.payoutAccount;
+    const canTransfer = Boolean(account?.stripeAccountId && account.payoutsEnabled);
+
+    // Claimed lines must not stay pointed at a payout that was never created
+    let payout;
+    try {
+      payout = await Payout.create({
+        _id:           payoutId,
+        vendorId:      vid,
+        amount,
+        currency:      process.env.CURRENCY || 'PKR',
+        items,
+        method:        canTransfer ? 'stripe_connect' : 'manual',
+        status:        'processing',
+        settlementRun: runId,
+        holdCutoff:    cutoff,
+        triggeredBy,
+      });
+    } catch (error) {
+      await markItemsSettled({ _id: payoutId, vendorId: vid, items }, false);
+      throw error;
+    }
+
+    await recordPayout(payout);
+
+    if (canTransfer) {
+      try {
+        const transfer = await stripe.transfers.create(
+          {
+            amount:         Math.round(amount * 100),   // PKR → paisa
+            currency:       (process.env.CURRENCY || 'PKR').toLowerCase(),
+            destination:    account.stripeAccountId,
+            transfer_group: `settlement_${runId}`,
+            metadata:       { payoutId: payout._id.toString() },
+          },
+          { idempotencyKey: `payout-${payout._id}` }
+        );
+        payout.status           = 'paid';
+        payout.stripeTransferId = transfer.id;
+        payout.paidAt           = new Date();
+        await payout.save();
+      } catch (error) {
+        await failPayout(payout, `Stripe transfer failed — ${error.message}`);
+      }
+    } else {
+      payout.status = 'pending';   // awaiting a manual bank transfer
+      await payout.save();
+    }
+
+    payouts.push(payout);
+  }
+
+  return { runId, cutoff, payouts, skipped };
+};
@@ -0,0 +1,104 @@
+import ShippingProfile from '../models/ShippingProfile.js';
+
+const round = (n) => parseFloat(n.toFixed(2));
+const same  = (a, b) => a?.trim().toLowerCase() === b?.trim().toLowerCase();
+
+/**
+ * vendorShippingEarned — what a vendor is credited for shipping their parcel:
+ * the quoted cost, less any free shipping the vendor paid for themselves
+ * @param {object} subOrder
+ */
+export const vendorShippingEarned = (subOrder) =>
+  round((subOrder.shippingCost || 0) -
+    (subOrder.shippingFundedBy === 'vendor' ? subOrder.shippingDiscount || 0 : 0));
+
+/**
+ * defaultShippingRate — flat rate per vendor for vendors with no shipping
+ * profile (DEFAULT_SHIPPING_RATE, PKR)
+ */
+export const defaultShippingRate = () => {
+  const rate = parseFloat(process.env.DEFAULT_SHIPPING_RATE);
+  return Number.isNaN(rate) ? 250 : rate;
+};
+
+/**
+ * matchRate — the profile's most specific rule for an address:
+ * province + city, then province only, then the '*' fallback
+ * @returns {object|null} rate rule, or null if the vendor doesn't ship there
+ */
+export const matchRate = (profile, { province, city }) =>
+  profile.rates.find((r) => same(r.province, province) && r.city && same(r.city, city)) ||
+  profile.rates.find((r) => same(r.province, province) && !r.city) ||
+  profile.rates.find((r) => r.province === '*') ||
+  null;
+
+/**
+ * priceRate — what a rate rule charges for a parcel of the given weight
+ * @param {object} rule
+ * @param {number} weight - kg
+ */
+export const priceRate = (rule, weight) => {
+  if (rule.method !== 'weight' || rule.tiers.length === 0) return rule.flatRate;
+
+  const tier = rule.tiers.find((t) => weight <= t.upToKg);
+  if (tier) return tier.rate;
+
+  // Heavier than the last tier — charge the extra per started kg
+  const last = rule.tiers[rule.tiers.length - 1];
+  return last.rate + Math.ceil(weight - last.upToKg) * (rule.extraPerKg || 0);
+};
+
+/**
+ * quoteShipping — shipping per vendor for a set of checkout lines.
+ * Each vendor ships their own parcel, so every vendor in the order is quoted
+ * separately against their own profile.
+ * @param {Array<{ vendorId, price, qty, weight }>} items
+ * @param {object} address - { province, city }
+ * @returns {Promise<{ vendors: Array, total: number, error: string|null }>}
+ */
+export const quoteShipping = async (items, address) => {
+  const byVendor = {};
+  items.forEach((item) => {
+    const vid = item.vendorId.toString();
+    byVendor[vid] ??= { vendorId: item.vendorId, subtotal: 0, weight: 0 };
+    byVendor[vid].subtotal += item.price * item.qty;
+    byVendor[vid].weight   += (item.weight || 0) * item.qty;
+  });
+
+  const profiles = await ShippingProfile.find({ vendorId: { $in: Object.keys(byVendor) } });
+  const profileOf = new Map(profiles.map((p) => [p.vendorId.toString(), p]));
+
+  const vendors = [];
+  for (const [vid, parcel] of Object.entries(byVendor)) {
+    const profile = profileOf.get(vid);
+    const quote   = {
+      vendorId: parcel.vendorId,
+      subtotal: round(parcel.subtotal),
+      weight:   round(parcel.weight),
+      cost:     defaultShippingRate(),
+      freeShipping: false,
+    };
+
+    if (profile) {
+      const rule = matchRate(profile, address);
+      if (!rule) {
+        return { vendors: [], total: 0, error: `A seller in your order does not ship to ${address.city}, ${address.province}` };
+      }
+
+      quote.cost = priceRate(rule, parcel.weight);
+      if (profile.freeShippingThreshold && parcel.subtotal >= profile.freeShippingThreshold) {
+        quote.cost         = 0;
+        quote.freeShipping = true;
+      }
+    }
+
+    quote.cost = round(quote.cost);
+    vendors.push(quote);
+  }
+
+  return {
+    vendors,
+    total: round(vendors.reduce((sum, v) => sum + v.cost, 0)),
+    error: null,
+  };
+};
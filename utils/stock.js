@@ -0,0 +1,101 @@
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import { checkOrderTransition } from './orderStateMachine.js';
+import { releaseCoupons } from './coupons.js';
+
+/**
+ * reservationExpiry — when a checkout's stock hold lapses.
+ * Stripe requires Checkout sessions to live 30 min – 24 h, so the TTL is
+ * clamped to that window.
+ * @returns {Date}
+ */
+export const reservationExpiry = () => {
+  const minutes = parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+  const ttl     = Math.min(Math.max(minutes, 30), 24 * 60);
+  return new Date(Date.now() + ttl * 60 * 1000);
+};
+
+/**
+ * releaseStock — puts quantities back on the shelf (and on the variant,
+ * for lines bought as a variant)
+ * @param {Array<{ product, variantId?, qty }>} items
+ */
+export const releaseStock = async (items) => {
+  for (const item of items) {
+    if (item.variantId) {
+      await Product.updateOne(
+        { _id: item.product, 'variants._id': item.variantId },
+        { $inc: { stock: item.qty, 'variants.$.stock': item.qty } }
+      );
+    } else {
+      await Product.updateOne({ _id: item.product }, { $inc: { stock: item.qty } });
+    }
+  }
+};
+
+/**
+ * reserveStock — atomically takes each item's qty off product stock.
+ * The update only matches while stock >= qty, so two checkouts can never
+ * both claim the last unit and stock never goes negative.
+ * Variant lines are checked and taken off the variant's own stock (the
+ * product total moves with it).
+ * All-or-nothing: if any line fails, lines already taken are put back.
+ * @param {Array<{ product, variantId?, qty, name }>} items
+ * @returns {Promise<object|null>} the first item that could not be reserved, or null
+ */
+export const reserveStock = async (items) => {
+  const reserved = [];
+
+  for (const item of items) {
+    const result = item.variantId
+      ? await Product.updateOne(
+        {
+          _id:      item.product,
+          isActive: true,
+          variants: { $elemMatch: { _id: item.variantId, isActive: true, stock: { $gte: item.qty } } },
+        },
+        { $inc: { stock: -item.qty, 'variants.$.stock': -item.qty } }
+      )
+      : await Product.updateOne(
+        { _id: item.product, isActive: true, stock: { $gte: item.qty } },
+        { $inc: { stock: -item.qty } }
+      );
+
+    if (result.modifiedCount === 0) {
+      await releaseStock(reserved);
+      return item;
+    }
+    reserved.push(item);
+  }
+
+  return null;
+};
+
+/**
+ * releaseReservation — returns an unpaid order's held stock (and any coupon
+ * redemptions) and cancels it.
+ * The held → released flip is a conditional update, so the expiry webhook
+ * and the sweeper can never both restock the same order.
+ * @param {string} orderId
+ * @param {object} actor - { user, role, note } recorded on the status timeline
+ * @returns {Promise<Order|null>} the released order, or null if nothing was held
+ */
+export const releaseReservation = async (orderId, actor = { role: 'System' }) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'reservation.status': 'held' },
+    { $set: { 'reservation.status': 'released', 'reservation.releasedAt': new Date() } },
+    { new: true }
+  );
+  if (!order) return null;
+
+  await releaseStock(order.items);
+  await releaseCoupons(order.discounts.map((d) => d.coupon), order.customer);
+
+  if (!checkOrderTransition(order.status, 'Cancelled', actor.role)) {
+    order.cancelSubOrders(actor);
+    order.transitionTo('Cancelled', actor);
+    await order.save({ validateBeforeSave: false });
+  }
+
+  return order;
+};
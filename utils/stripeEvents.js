@@ -0,0 +1,222 @@
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Cart from '../models/Cart.js';
+import stripe from '../config/stripe.js';
+import { checkOrderTransition } from './orderStateMachine.js';
+import { reserveStock, releaseReservation } from './stock.js';
+import { releaseCoupons } from './coupons.js';
+import { recordRefund, recordSale } from './ledger.js';
+import {
+  allocateRefundAmount,
+  applyRefund,
+  buildRefundLines,
+  isFullyRefunded,
+} from './refunds.js';
+
+/**
+ * Stripe event handlers — one per supported event type.
+ * Each receives the event's data.object and returns a short outcome string
+ * that is stored on the WebhookEvent. Throwing marks the event failed.
+ */
+
+// ── checkout.session.completed — payment received ────────────────────────────
+const onCheckoutCompleted = async (session) => {
+  const order = await Order.findOne({ stripeSessionId: session.id });
+  if (!order) return `No order for session ${session.id}`;
+
+  // Only the webhook may mark an order Paid — and only from Pending
+  // A retry after a partial failure still makes sure the sale is on the ledger
+  const denied = checkOrderTransition(order.status, 'Paid', 'System');
+  if (denied) {
+    if (order.isPaid) await recordSale(order);
+
+    // Paid in the moment the customer cancelled (the session couldn't be
+    // expired any more) — give the money back. A failed refund throws, so
+    // the event is marked failed and shows up in the admin webhook list.
+    if (!order.isPaid && order.status === 'Cancelled' && session.payment_status === 'paid') {
+      const refund = await stripe.refunds.create(
+        {
+          payment_intent: session.payment_intent,
+          metadata:       { orderId: order._id.toString(), source: 'customer_cancel' },
+        },
+        { idempotencyKey: `cancelled-checkout-${session.id}` }
+      );
+      return `Order ${order._id} was cancelled before payment completed — refunded ${session.payment_intent} (${refund.id})`;
+    }
+    return `Order ${order._id} not marked Paid — ${denied.message}`;
+  }
+
+  // Mark as paid
+  order.transitionTo('Paid', { role: 'System', note: 'Stripe checkout completed' });
+  order.isPaid               = true;
+  order.paidAt               = new Date();
+  order.stripePaymentIntentId= session.payment_intent;
+
+  // Stock was reserved at checkout — commit the hold. Orders placed before
+  // reservations existed still need their stock taken (never below zero).
+  let outcome = `Order ${order._id} marked as Paid`;
+  if (order.reservation?.status === 'held') {
+    order.reservation.status = 'committed';
+  } else if (!order.reservation?.status) {
+    const unavailable = await reserveStock(order.items);
+    if (unavailable) outcome += ` — insufficient stock for "${unavailable.name}"`;
+    order.reservation = { status: 'committed' };
+  } else {
+    outcome += ` — but its reservation was already ${order.reservation.status}`;
+  }
+  await order.save({ validateBeforeSave: false });
+
+  // Credit each vendor's balance with the sale (less platform fee)
+  await recordSale(order);
+
+  // Bought from the saved cart — take the purchased lines out of it (the
+  // exact variants bought; other variants of the same product stay)
+  if (order.fromCart) {
+    await Cart.updateOne(
+      { user: order.customer },
+      { $pull: { items: { $or: order.items.map((i) => ({ product: i.product, variantId: i.variantId || null })) } } }
+    );
+  }
+
+  return outcome;
+};
+
+// ── checkout.session.expired — checkout abandoned, return held stock ─────────
+const onCheckoutExpired = async (session) => {
+  const order = await Order.findOne({ stripeSessionId: session.id }).select('_id');
+  if (!order) return `No order for session ${session.id}`;
+
+  const released = await releaseReservation(order._id, {
+    role: 'System',
+    note: 'Stripe checkout session expired',
+  });
+
+  return released
+    ? `Order ${order._id} reservation released`
+    : `Order ${order._id} had no stock held`;
+};
+
+// ── payment_intent.payment_failed — card declined etc. ───────────────────────
+// The order stays Pending: the customer can retry until the session expires.
+const onPaymentFailed = async (paymentIntent) => {
+  const order = paymentIntent.metadata?.orderId
+    ? await Order.findById(paymentIntent.metadata.orderId)
+    : await Order.findOne({ stripePaymentIntentId: paymentIntent.id });
+  if (!order) return `No order for payment intent ${paymentIntent.id}`;
+
+  const error = paymentIntent.last_payment_error;
+  order.paymentFailures.push({
+    stripePaymentIntentId: paymentIntent.id,
+    code:                  error?.decline_code || error?.code,
+    message:               error?.message,
+  });
+  await order.save({ validateBeforeSave: false });
+
+  return `Payment failed for order ${order._id}: ${error?.message || 'unknown reason'}`;
+};
+
+// ── charge.refunded — reconcile refunds issued outside the platform ──────────
+// Refunds issued through the API are recorded before Stripe confirms them,
+// so only the unaccounted difference (e.g. a dashboard refund) is applied.
+const onChargeRefunded = async (charge) => {
+  const order = await Order.findOne({ stripePaymentIntentId: charge.payment_intent });
+  if (!order) return `No order for payment intent ${charge.payment_intent}`;
+
+  const recorded = order.refunds
+    .filter((r) => r.status !== 'failed')
+    .reduce((sum, r) => sum + r.amount, 0);
+  const unrecorded = parseFloat((charge.amount_refunded / 100 - recorded).toFixed(2));
+
+  let outcome = `Order ${order._id} refunds already recorded`;
+  if (unrecorded > 0) {
+    const lines = charge.refunded
+      ? buildRefundLines(order).lines
+      : allocateRefundAmount(order, unrecorded);
+
+    const refund = applyRefund(order, {
+      lines,
+      includeShipping: charge.refunded,
+      reason:          'Refunded in Stripe',
+      source:          'stripe',
+      stripeRefundId:  charge.refunds?.data?.[0]?.id,
+    });
+    await order.save({ validateBeforeSave: false });
+    await recordRefund(order, refund);
+    outcome = `Order ${order._id} — recorded Stripe refund of ${unrecorded}`;
+  }
+
+  const refunded = isFullyRefunded(order) && !checkOrderTransition(order.status, 'Refunded', 'System');
+  if (refunded) {
+    order.transitionTo('Refunded', { role: 'System', note: 'Stripe charge fully refunded' });
+  }
+  await order.save({ validateBeforeSave: false });
+  if (refunded) await releaseCoupons(order.discounts.map((d) => d.coupon), order.customer);
+
+  return outcome;
+};
+
+// ── charge.dispute.created — customer opened a chargeback ───────────────────
+const onDisputeCreated = async (dispute) => {
+  const order = await Order.findOne({ stripePaymentIntentId: dispute.payment_intent });
+  if (!order) return `No order for payment intent ${dispute.payment_intent}`;
+
+  order.dispute = {
+    stripeDisputeId: dispute.id,
+    status:          dispute.status,
+    reason:          dispute.reason,
+    amount:          dispute.amount / 100,   // paisa → PKR
+    openedAt:        new Date(dispute.created * 1000),
+  };
+  await order.save({ validateBeforeSave: false });
+
+  return `Dispute ${dispute.id} opened on order ${order._id} (${dispute.reason})`;
+};
+
+// ── account.updated — vendor finished (or lost) Stripe Connect onboarding ────
+const onAccountUpdated = async (account) => {
+  const vendor = await User.findOne({ 'payoutAccount.stripeAccountId': account.id });
+  if (!vendor) return `No vendor for account ${account.id}`;
+
+  vendor.payoutAccount.payoutsEnabled = account.capabilities?.transfers === 'active';
+  await vendor.save({ validateBeforeSave: false });
+
+  return `Vendor ${vendor._id} payouts ${vendor.payoutAccount.payoutsEnabled ? 'enabled' : 'disabled'}`;
+};
+
+const handlers = {
+  'checkout.session.completed':    onCheckoutCompleted,
+  'checkout.session.expired':      onCheckoutExpired,
+  'payment_intent.payment_failed': onPaymentFailed,
+  'charge.refunded':               onChargeRefunded,
+  'charge.dispute.created':        onDisputeCreated,
+  'account.updated':               onAccountUpdated,
+};
+
+/**
+ * processStripeEvent — runs the handler for a claimed WebhookEvent and
+ * stores the result on it (processed / failed / ignored).
+ * @param {WebhookEvent} record - claimed event (status 'processing')
+ * @returns {Promise<WebhookEvent>}
+ */
+export const processStripeEvent = async (record) => {
+  const handler = handlers[record.type];
+
+  if (!handler) {
+    record.status  = 'ignored';
+    record.outcome = 'No handler for this event type';
+  } else {
+    try {
+      record.outcome     = await handler(record.payload.data.object, record.payload);
+      record.status      = 'processed';
+      record.error       = undefined;
+      record.processedAt = new Date();
+    } catch (error) {
+      console.error(`Webhook ${record.eventId} (${record.type}) failed:`, error.message);
+      record.status = 'failed';
+      record.error  = error.message;
+    }
+  }
+
+  await record.save();
+  return record;
+};
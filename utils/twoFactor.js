@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+
+// ── TOTP (RFC 6238) — SHA-1, 6 digits, 30 s steps: what authenticator apps expect
+const STEP_SECONDS   = 30;
+const DIGITS         = 6;
+const DRIFT_STEPS    = 1;    // accept the previous/next code for clock skew
+const RECOVERY_CODES = 10;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac   = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// ── Secret storage ────────────────────────────────────────────────────────────
+// Secrets are stored AES-256-GCM encrypted, keyed by TWO_FACTOR_ENCRYPTION_KEY
+// (falls back to JWT_SECRET) — a database dump alone can't mint codes.
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * encryptSecret — base32 secret → "iv.tag.ciphertext" (base64url parts)
+ */
+export const encryptSecret = (secret) => {
+  const iv     = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data   = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString('base64url')).join('.');
+};
+
+/**
+ * decryptSecret — reverses encryptSecret (throws if the key has changed)
+ */
+export const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+/**
+ * generateTotpSecret — a new random 160-bit secret, base32 encoded
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauthUri — the URI authenticator apps scan (render it as a QR code)
+ * @param {string} secret  - base32
+ * @param {string} account - shown under the issuer, usually the email
+ */
+export const otpauthUri = (secret, account) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'FinalProject';
+  const label  = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits:    String(DIGITS),
+    period:    String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * verifyTotp — checks a code against the secret, allowing one step of drift
+ * @param {string} secret
+ * @param {string} code
+ * @param {number} [afterStep] - last step already used; older codes are refused (no replay)
+ * @returns {number|null} the matching time step, or null
+ */
+export const verifyTotp = (secret, code, afterStep = -1) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (step > afterStep && safeEqual(codeForStep(secret, step), clean)) return step;
+  }
+  return null;
+};
+
+// ── Recovery codes ────────────────────────────────────────────────────────────
+const normaliseRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normaliseRecoveryCode(code)).digest('hex');
+
+/**
+ * generateRecoveryCodes — one-time codes shown to the user once; only the
+ * hashes are stored
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODES }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');   // 10 hex chars
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * checkSecondFactor — verifies a TOTP code or a recovery code for a user
+ * with 2FA enabled and spends it (lastUsedStep moves on / the recovery code
+ * is removed). The caller saves the user.
+ * Needs +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep selected.
+ * @param {User}   user
+ * @param {object} input - { code } or { recoveryCode }
+ * @returns {'totp'|'recovery_code'|null} how the user got in, or null
+ */
+export const checkSecondFactor = (user, { code, recoveryCode }) => {
+  const tf = user.twoFactor;
+  if (!tf?.enabled || !tf.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(tf.secret), code, tf.lastUsedStep ?? -1);
+    if (step === null) return null;
+    tf.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash  = hashRecoveryCode(recoveryCode);
+    const index = tf.recoveryCodes.findIndex((stored) => safeEqual(stored, hash));
+    if (index === -1) return null;
+    tf.recoveryCodes.splice(index, 1);
+    return 'recovery_code';
+  }
+
+  return null;
+};
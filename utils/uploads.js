@@ -0,0 +1,66 @@
+import cloudinary from '../config/cloudinary.js';
+
+/**
+ * avatarFolder — Cloudinary folder a user uploads their profile picture into
+ * (see POST /api/upload with purpose 'avatar')
+ */
+export const avatarFolder = (userId) => `finalproject/avatars/${userId}`;
+
+// How long a signed link to a private upload stays valid
+const SIGNED_URL_TTL_SECONDS = 10 * 60;
+
+// Cloudinary delivery URL → its parts:
+// /<cloud>/<resourceType>/<type>/[s--signature--/][v123/]<public id>.<format>
+const parseUploadUrl = (url) => {
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    if (protocol !== 'https:' || hostname !== 'res.cloudinary.com') return null;
+
+    const [cloud, resourceType, type, ...rest] = pathname.split('/').filter(Boolean);
+    if (cloud !== process.env.CLOUDINARY_CLOUD_NAME || !rest.length) return null;
+
+    if (/^s--.+--$/.test(rest[0])) rest.shift();
+    if (/^v\d+$/.test(rest[0]))    rest.shift();
+    return { resourceType, type, path: rest.join('/') };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * isUploadUrl — the URL points at a folder on our Cloudinary account, i.e. it
+ * came from a signed upload into that folder
+ * @param {string} url
+ * @param {string} folder
+ * @param {object} [options]
+ * @param {string} [options.type] - delivery type the upload must have ('authenticated' for private files)
+ */
+export const isUploadUrl = (url, folder, { type } = {}) => {
+  const parts = parseUploadUrl(url);
+  return Boolean(parts) &&
+    parts.path.startsWith(`${folder}/`) &&
+    (!type || parts.type === type);
+};
+
+/**
+ * signedUploadUrl — a short-lived download link for an upload that isn't
+ * publicly readable (vendor documents). Raw files keep their extension in the
+ * public id; images and PDFs don't.
+ * @param {string} url - the delivery URL stored at upload time
+ * @returns {string|null} null when the URL isn't one of ours
+ */
+export const signedUploadUrl = (url) => {
+  const parts = parseUploadUrl(url);
+  if (!parts) return null;
+
+  const raw      = parts.resourceType === 'raw';
+  const dot      = parts.path.lastIndexOf('.');
+  const publicId = raw || dot === -1 ? parts.path : parts.path.slice(0, dot);
+  const format   = raw || dot === -1 ? '' : parts.path.slice(dot + 1);
+
+  return cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: parts.resourceType,
+    type:          parts.type,
+    expires_at:    Math.round(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS,
+  });
+};
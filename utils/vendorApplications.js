@@ -0,0 +1,64 @@
+import User from '../models/User.js';
+import { isUploadUrl, signedUploadUrl } from './uploads.js';
+
+/**
+ * approvedVendorFilter — User query for vendors the public may see.
+ * Vendors without an application predate onboarding and count as approved.
+ */
+export const approvedVendorFilter = () => ({
+  role:                       'Vendor',
+  isActive:                   true,
+  'vendorApplication.status': { $in: ['approved', null] },
+});
+
+/**
+ * hiddenVendorIds — vendors the public may not see, i.e. every vendor
+ * outside approvedVendorFilter (suspended, pending, rejected or deactivated).
+ * Their products are left out of listings and suggestions and can't be ordered.
+ * @returns {Promise<Array<ObjectId>>}
+ */
+export const hiddenVendorIds = () =>
+  User.distinct('_id', { role: 'Vendor', $nor: [approvedVendorFilter()] });
+
+/**
+ * REVIEW_TRANSITIONS — what an admin may move an application to from each
+ * status. Rejected applications go back to pending only when the vendor
+ * resubmits.
+ */
+export const REVIEW_TRANSITIONS = {
+  pending:   ['approved', 'rejected'],
+  approved:  ['suspended'],
+  suspended: ['approved'],
+  rejected:  [],
+};
+
+/**
+ * vendorDocumentFolder — Cloudinary folder a vendor uploads onboarding
+ * documents into (see POST /api/upload/vendor-documents)
+ */
+export const vendorDocumentFolder = (userId) => `finalproject/vendor-docs/${userId}`;
+
+// Documents are uploaded as 'authenticated' — never readable from a public URL
+export const VENDOR_DOCUMENT_TYPE = 'authenticated';
+
+/**
+ * isVendorDocumentUrl — the URL points at this vendor's document folder on
+ * our Cloudinary account, i.e. it came from the signed upload flow
+ */
+export const isVendorDocumentUrl = (url, userId) =>
+  isUploadUrl(url, vendorDocumentFolder(userId), { type: VENDOR_DOCUMENT_TYPE });
+
+/**
+ * withDocumentLinks — a vendor application for a response, each document's
+ * stored URL swapped for a short-lived signed download link
+ * @param {object|null} application - User.vendorApplication
+ */
+export const withDocumentLinks = (application) => {
+  if (!application) return null;
+
+  const plain = application.toObject?.() ?? application;
+  return {
+    ...plain,
+    documents: (plain.documents || []).map((doc) => ({ ...doc, url: signedUploadUrl(doc.url) })),
+  };
+};